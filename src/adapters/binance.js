@@ -0,0 +1,27 @@
+/**
+ * Binance spot order book (public, no key). Fills are walked through the depth by ../cex.js.
+ */
+const { venueSymbol, fillFromBook, takerFeeHints } = require('../cex');
+
+module.exports = {
+  name: 'binance',
+  kind: 'cex',
+  chainIds: null,
+  defaults: { baseUrl: 'https://api.binance.com', depth: 100, takerFeeBps: 10 },
+
+  authHeaders() {
+    return {};
+  },
+
+  async quote({ http, pair, settings, baseUrl, options }) {
+    const symbol = venueSymbol(pair.market, settings);
+    const { data } = await http.get(`${baseUrl}/api/v3/depth?symbol=${symbol}&limit=${settings.depth}`, options);
+    return { symbol, bids: data.bids, asks: data.asks };
+  },
+
+  normalize(book, ctx) {
+    return fillFromBook('binance', book, ctx);
+  },
+
+  costHints: takerFeeHints
+};
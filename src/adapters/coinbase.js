@@ -0,0 +1,27 @@
+/**
+ * Coinbase Exchange level-2 order book (public, no key). Fills are walked through the depth by ../cex.js.
+ */
+const { venueSymbol, fillFromBook, takerFeeHints } = require('../cex');
+
+module.exports = {
+  name: 'coinbase',
+  kind: 'cex',
+  chainIds: null,
+  defaults: { baseUrl: 'https://api.exchange.coinbase.com', takerFeeBps: 60 },
+
+  authHeaders() {
+    return {};
+  },
+
+  async quote({ http, pair, settings, baseUrl, options }) {
+    const symbol = venueSymbol(pair.market, settings, '-');
+    const { data } = await http.get(`${baseUrl}/products/${symbol}/book?level=2`, options);
+    return { symbol, bids: data.bids, asks: data.asks };
+  },
+
+  normalize(book, ctx) {
+    return fillFromBook('coinbase', book, ctx);
+  },
+
+  costHints: takerFeeHints
+};
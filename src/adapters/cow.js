@@ -0,0 +1,47 @@
+/**
+ * CowSwap quote API (POST). Gas is settled by the solver and charged through `feeAmount`. The
+ * quote is for `sellAmountBeforeFee`, so `buyAmount` already has the fee taken out.
+ */
+const { toBigInt, priceFromAmounts } = require('../amounts');
+
+const HOSTS = {
+  1: 'https://api.cow.fi/mainnet'
+};
+
+module.exports = {
+  name: 'cow',
+  chainIds: [1],
+  defaults: { baseUrl: HOSTS, version: 'v1' },
+
+  authHeaders() {
+    return {};
+  },
+
+  async quote({ http, pair, sellAmount, settings, baseUrl, options }) {
+    const url = `${baseUrl}/api/${settings.version}/quote`;
+    const body = {
+      sellToken: pair.fromAddress,
+      buyToken: pair.toAddress,
+      receiver: '0x000000000000000000000000000000000000dead',
+      from: '0x000000000000000000000000000000000000dead',
+      appData: '0x' + '0'.repeat(64),
+      partiallyFillable: false,
+      kind: 'sell',
+      sellAmountBeforeFee: sellAmount
+    };
+    const { data } = await http.post(url, body, { ...options, headers: { ...options.headers, 'Content-Type': 'application/json' } });
+    return data;
+  },
+
+  normalize(data) {
+    const quote = data.quote || data;
+    return { source: 'cow', buyAmount: quote.buyAmount, sellAmount: quote.sellAmount, raw: data };
+  },
+
+  costHints(raw) {
+    const quote = raw.quote || raw;
+    const fee = toBigInt(quote.feeAmount);
+    const sell = toBigInt(quote.sellAmount);
+    return { feeFraction: fee > 0n && sell > 0n ? priceFromAmounts(fee, 0, sell + fee, 0) : 0, gasIncludedInFee: true, feeInAmounts: true };
+  }
+};
@@ -0,0 +1,118 @@
+/**
+ * Aggregator adapter registry.
+ *
+ * An adapter is a plain object:
+ *   - name            aggregator name as used in `chains[].aggregators`
+ *   - chainIds        supported chain ids (null = any chain the API accepts)
+ *   - defaults        default settings ({ baseUrl, version, apiKeyEnv, timeout })
+ *   - authHeaders()   (settings) => headers to send with every request
+ *   - quote()         ({ http, chainId, pair, sellAmount, settings, baseUrl, options }) => raw payload
+ *   - normalize()     (raw, { pair, sellAmount, settings }) => { source, buyAmount, sellAmount, raw }
+ *                     (raw base-unit amounts; the scanner derives `price` itself so every adapter agrees)
+ *   - costHints()     optional, (raw) => gas/fee hints used for net-of-cost figures; `feeInAmounts`
+ *                     says `buyAmount` is already net of `feeFraction` (only the price is pre-fee)
+ *   - needsGasPrice   optional, true when costHints() has gas units but no price (priced with
+ *                     `chains[].gasPriceGwei` unless another quote of the pair has one)
+ *   - kind            optional, 'cex' for exchange order-book venues (listed in `chains[].cexVenues`)
+ *
+ * Built-ins live next to this file. Extra adapters are discovered from `adapterDirs` and
+ * `adapterPackages` in `pairs.config.json`; per-adapter settings come from `adapters.<name>`.
+ */
+const fs = require('fs');
+const path = require('path');
+const { axiosClient } = require('../http');
+
+const registry = new Map();
+
+function registerAdapter(adapter, origin) {
+  const where = origin ? ` (${origin})` : '';
+  if (!adapter || typeof adapter.name !== 'string') throw new Error(`Adapter${where} must export a string name`);
+  if (typeof adapter.quote !== 'function') throw new Error(`Adapter ${adapter.name}${where} must export quote()`);
+  if (typeof adapter.normalize !== 'function') throw new Error(`Adapter ${adapter.name}${where} must export normalize()`);
+  registry.set(adapter.name, adapter);
+  return adapter;
+}
+
+function registerModule(exported, origin) {
+  const list = Array.isArray(exported) ? exported : [exported];
+  return list.map(adapter => registerAdapter(adapter, origin));
+}
+
+function loadAdapterDir(dir) {
+  const files = fs.readdirSync(dir).filter(f => f.endsWith('.js') && f !== 'index.js').sort();
+  return files.flatMap(file => {
+    const full = path.join(dir, file);
+    return registerModule(require(full), full);
+  });
+}
+
+function loadAdapterPackage(name, baseDir) {
+  const resolved = require.resolve(name, { paths: [baseDir, __dirname] });
+  return registerModule(require(resolved), name);
+}
+
+function loadAdapters(config, baseDir) {
+  for (const dir of config.adapterDirs || []) loadAdapterDir(path.resolve(baseDir, dir));
+  for (const pkg of config.adapterPackages || []) loadAdapterPackage(pkg, baseDir);
+  return listAdapters();
+}
+
+function getAdapter(name) {
+  return registry.get(name) || null;
+}
+
+function listAdapters() {
+  return Array.from(registry.values());
+}
+
+function adapterSettings(adapter, config) {
+  const settings = { ...(adapter.defaults || {}), ...((config.adapters || {})[adapter.name] || {}) };
+  if (settings.apiKeyEnv && process.env[settings.apiKeyEnv]) settings.apiKey = process.env[settings.apiKeyEnv];
+  return settings;
+}
+
+function resolveBaseUrl(settings, chainId) {
+  const base = settings.baseUrl;
+  if (base && typeof base === 'object') return base[chainId] || null;
+  return base || undefined;
+}
+
+function supportsChain(adapter, chainId, settings) {
+  const chainIds = settings.chainIds || adapter.chainIds;
+  if (chainIds && !chainIds.includes(chainId)) return false;
+  return resolveBaseUrl(settings, chainId) !== null;
+}
+
+async function quoteWithAdapter(name, chainId, pair, sellAmount, config) {
+  const adapter = getAdapter(name);
+  if (!adapter) throw new Error(`Unknown aggregator ${name}`);
+  const settings = adapterSettings(adapter, config);
+  if (!supportsChain(adapter, chainId, settings)) throw new Error(`${name} not supported for chain`);
+
+  const headers = adapter.authHeaders ? adapter.authHeaders(settings) : {};
+  const options = { headers };
+  if (settings.timeout) options.timeout = settings.timeout;
+
+  const raw = await adapter.quote({ http: axiosClient, chainId, pair, sellAmount, settings, baseUrl: resolveBaseUrl(settings, chainId), options });
+  return adapter.normalize(raw, { pair, sellAmount, settings });
+}
+
+function costHints(quote) {
+  const adapter = getAdapter(quote.source);
+  return adapter && adapter.costHints ? adapter.costHints(quote.raw || {}) : {};
+}
+
+loadAdapterDir(__dirname);
+
+module.exports = {
+  registerAdapter,
+  loadAdapterDir,
+  loadAdapterPackage,
+  loadAdapters,
+  getAdapter,
+  listAdapters,
+  adapterSettings,
+  supportsChain,
+  quoteWithAdapter,
+  costHints
+};
@@ -0,0 +1,30 @@
+/**
+ * Kraken order book (public, no key). Kraken calls bitcoin XBT and reports errors in a 200 body.
+ * Fills are walked through the depth by ../cex.js.
+ */
+const { venueSymbol, fillFromBook, takerFeeHints } = require('../cex');
+
+module.exports = {
+  name: 'kraken',
+  kind: 'cex',
+  chainIds: null,
+  defaults: { baseUrl: 'https://api.kraken.com', depth: 100, takerFeeBps: 40, symbols: { BTC: 'XBT' } },
+
+  authHeaders() {
+    return {};
+  },
+
+  async quote({ http, pair, settings, baseUrl, options }) {
+    const symbol = venueSymbol(pair.market, settings);
+    const { data } = await http.get(`${baseUrl}/0/public/Depth?pair=${symbol}&count=${settings.depth}`, options);
+    if (data.error && data.error.length) throw new Error(`kraken ${symbol}: ${data.error.join('; ')}`);
+    const book = Object.values(data.result || {})[0] || {};
+    return { symbol, bids: book.bids, asks: book.asks };
+  },
+
+  normalize(book, ctx) {
+    return fillFromBook('kraken', book, ctx);
+  },
+
+  costHints: takerFeeHints
+};
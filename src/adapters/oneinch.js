@@ -0,0 +1,40 @@
+/**
+ * 1inch quote API. `v5.0` is the legacy keyless api.1inch.io endpoint; newer versions live on
+ * api.1inch.dev behind a bearer token.
+ */
+const LEGACY_HOST = 'https://api.1inch.io';
+const DEV_HOST = 'https://api.1inch.dev';
+
+function isLegacy(settings) {
+  return !settings.version || settings.version === 'v5.0';
+}
+
+module.exports = {
+  name: '1inch',
+  chainIds: null,
+  defaults: { version: 'v5.0', apiKeyEnv: 'ONEINCH_API_KEY' },
+  needsGasPrice: true,
+
+  authHeaders(settings) {
+    return settings.apiKey ? { Authorization: `Bearer ${settings.apiKey}` } : {};
+  },
+
+  async quote({ http, chainId, pair, sellAmount, settings, baseUrl, options }) {
+    const url = isLegacy(settings)
+      ? `${baseUrl || LEGACY_HOST}/v5.0/${chainId}/quote?fromTokenAddress=${pair.fromAddress}&toTokenAddress=${pair.toAddress}&amount=${sellAmount}`
+      : `${baseUrl || DEV_HOST}/swap/${settings.version}/${chainId}/quote?src=${pair.fromAddress}&dst=${pair.toAddress}&amount=${sellAmount}&includeGas=true`;
+    const { data } = await http.get(url, options);
+    return data;
+  },
+
+  normalize(data, { sellAmount }) {
+    const buyAmount = data.toTokenAmount || data.toAmount || data.dstAmount;
+    // Newer versions no longer echo the sell amount back.
+    const soldAmount = data.fromTokenAmount || sellAmount;
+    return { source: '1inch', buyAmount, sellAmount: soldAmount, raw: data };
+  },
+
+  costHints(raw) {
+    return { gasUnits: Number(raw.estimatedGas || raw.gas) || null };
+  }
+};
@@ -0,0 +1,30 @@
+/**
+ * Paraswap prices API. Set `version` to pin the API version query param (e.g. `6.2`).
+ */
+module.exports = {
+  name: 'paraswap',
+  chainIds: null,
+  defaults: { baseUrl: 'https://api.paraswap.io', apiKeyEnv: 'PARASWAP_API_KEY' },
+
+  authHeaders(settings) {
+    return settings.apiKey ? { 'X-API-KEY': settings.apiKey } : {};
+  },
+
+  async quote({ http, chainId, pair, sellAmount, settings, baseUrl, options }) {
+    const version = settings.version ? `&version=${settings.version}` : '';
+    const url = `${baseUrl}/prices/?fromToken=${pair.fromAddress}&toToken=${pair.toAddress}&amount=${sellAmount}&srcDecimals=${pair.fromDecimals}&destDecimals=${pair.toDecimals}&side=SELL&network=${chainId}${version}`;
+    const { data } = await http.get(url, options);
+    return data;
+  },
+
+  normalize(data) {
+    const route = data.priceRoute || data;
+    return { source: 'paraswap', buyAmount: route.destAmount, sellAmount: route.srcAmount, raw: data };
+  },
+
+  costHints(raw) {
+    const route = raw.priceRoute || raw;
+    const gasUsd = Number(route.gasCostUSD);
+    return { gasUsd: isFinite(gasUsd) ? gasUsd : null, gasUnits: Number(route.gasCost) || null };
+  }
+};
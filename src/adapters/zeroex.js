@@ -0,0 +1,44 @@
+/**
+ * 0x swap API. v1 uses one host per chain; v2 (permit2) uses a single host, a `chainId`
+ * query param and requires an API key. An explicit `adapters.0x.baseUrl` wins for either version.
+ */
+const V2_HOST = 'https://api.0x.org';
+const HOSTS = {
+  1: 'https://api.0x.org',
+  56: 'https://bsc.api.0x.org',
+  137: 'https://polygon.api.0x.org'
+};
+
+module.exports = {
+  name: '0x',
+  chainIds: [1, 56, 137],
+  defaults: { version: 'v1', apiKeyEnv: 'ZEROEX_API_KEY' },
+
+  authHeaders(settings) {
+    const headers = settings.apiKey ? { '0x-api-key': settings.apiKey } : {};
+    if (settings.version === 'v2') headers['0x-version'] = 'v2';
+    return headers;
+  },
+
+  async quote({ http, chainId, pair, sellAmount, settings, baseUrl, options }) {
+    const query = `sellToken=${encodeURIComponent(pair.fromAddress)}&buyToken=${encodeURIComponent(pair.toAddress)}&sellAmount=${sellAmount}`;
+    const v2 = settings.version === 'v2';
+    const host = baseUrl || (v2 ? V2_HOST : HOSTS[chainId]);
+    if (!host) throw new Error(`0x v1 has no host for chain ${chainId}; set adapters.0x.baseUrl or use version v2`);
+    const url = v2 ? `${host}/swap/permit2/price?chainId=${chainId}&${query}` : `${host}/swap/v1/price?${query}`;
+    const { data } = await http.get(url, options);
+    return data;
+  },
+
+  normalize(data) {
+    return { source: '0x', buyAmount: data.buyAmount, sellAmount: data.sellAmount, raw: data };
+  },
+
+  costHints(raw) {
+    return {
+      gasUnits: Number(raw.estimatedGas || raw.gas) || null,
+      gasPriceWei: raw.gasPrice || null,
+      protocolFeeWei: raw.protocolFee || 0
+    };
+  }
+};
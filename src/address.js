@@ -0,0 +1,90 @@
+/**
+ * EVM address helpers: Keccak-256 and EIP-55 checksums.
+ *
+ * Kept dependency-free; only used for config validation, so a BigInt Keccak is plenty fast.
+ */
+const MASK = (1n << 64n) - 1n;
+const RATE_BYTES = 136;
+
+const RC = [
+  0x0000000000000001n, 0x0000000000008082n, 0x800000000000808an, 0x8000000080008000n,
+  0x000000000000808bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+  0x000000000000008an, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000an,
+  0x000000008000808bn, 0x800000000000008bn, 0x8000000000008089n, 0x8000000000008003n,
+  0x8000000000008002n, 0x8000000000000080n, 0x000000000000800an, 0x800000008000000an,
+  0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n
+];
+const ROTATIONS = [1, 3, 6, 10, 15, 21, 28, 36, 45, 55, 2, 14, 27, 41, 56, 8, 25, 43, 62, 18, 39, 61, 20, 44];
+const PI_LANES = [10, 7, 11, 17, 18, 3, 5, 16, 8, 21, 24, 4, 15, 23, 19, 13, 12, 2, 20, 14, 22, 9, 6, 1];
+
+function rotl(x, n) {
+  return ((x << BigInt(n)) | (x >> BigInt(64 - n))) & MASK;
+}
+
+function keccakF(state) {
+  const bc = new Array(5);
+  for (let round = 0; round < 24; round += 1) {
+    for (let i = 0; i < 5; i += 1) bc[i] = state[i] ^ state[i + 5] ^ state[i + 10] ^ state[i + 15] ^ state[i + 20];
+    for (let i = 0; i < 5; i += 1) {
+      const t = bc[(i + 4) % 5] ^ rotl(bc[(i + 1) % 5], 1);
+      for (let j = 0; j < 25; j += 5) state[j + i] ^= t;
+    }
+
+    let t = state[1];
+    for (let i = 0; i < 24; i += 1) {
+      const j = PI_LANES[i];
+      const next = state[j];
+      state[j] = rotl(t, ROTATIONS[i]);
+      t = next;
+    }
+
+    for (let j = 0; j < 25; j += 5) {
+      for (let i = 0; i < 5; i += 1) bc[i] = state[j + i];
+      for (let i = 0; i < 5; i += 1) state[j + i] ^= (~bc[(i + 1) % 5] & MASK) & bc[(i + 2) % 5];
+    }
+
+    state[0] ^= RC[round];
+  }
+}
+
+// Keccak-256 (the pre-standard padding Ethereum uses, not SHA3-256). Returns a hex string.
+function keccak256(input) {
+  const data = Buffer.isBuffer(input) ? input : Buffer.from(String(input), 'utf8');
+  const padded = Buffer.alloc(Math.floor(data.length / RATE_BYTES + 1) * RATE_BYTES);
+  data.copy(padded);
+  padded[data.length] ^= 0x01;
+  padded[padded.length - 1] ^= 0x80;
+
+  const state = new Array(25).fill(0n);
+  for (let offset = 0; offset < padded.length; offset += RATE_BYTES) {
+    for (let i = 0; i < RATE_BYTES / 8; i += 1) state[i] ^= padded.readBigUInt64LE(offset + i * 8);
+    keccakF(state);
+  }
+
+  const out = Buffer.alloc(32);
+  for (let i = 0; i < 4; i += 1) out.writeBigUInt64LE(state[i], i * 8);
+  return out.toString('hex');
+}
+
+function isAddress(value) {
+  return typeof value === 'string' && /^0x[0-9a-fA-F]{40}$/.test(value);
+}
+
+function toChecksumAddress(address) {
+  if (!isAddress(address)) throw new Error(`Not an address: ${address}`);
+  const lower = address.slice(2).toLowerCase();
+  const hash = keccak256(lower);
+  let out = '0x';
+  for (let i = 0; i < 40; i += 1) out += parseInt(hash[i], 16) >= 8 ? lower[i].toUpperCase() : lower[i];
+  return out;
+}
+
+// 'valid' | 'unchecked' (single-case, carries no checksum) | 'invalid' (mixed case, wrong checksum) | 'malformed'
+function checksumStatus(address) {
+  if (!isAddress(address)) return 'malformed';
+  const body = address.slice(2);
+  if (body === body.toLowerCase() || body === body.toUpperCase()) return 'unchecked';
+  return toChecksumAddress(address) === address ? 'valid' : 'invalid';
+}
+
+module.exports = { keccak256, isAddress, toChecksumAddress, checksumStatus };
@@ -0,0 +1,113 @@
+/**
+ * Alert notification channels. Each channel is `{ name, type, send(events, context) }`, built
+ * from `alerts.channels.<name>` in `pairs.config.json`. Secrets are read from env vars named in
+ * the config (`urlEnv`, `secretEnv`, `tokenEnv`, `chatIdEnv`) so they never live in the file.
+ *
+ * Types: webhook (JSON + optional HMAC-SHA256 signature), slack, discord, telegram, file, stdout.
+ * `stdout` logs through `context.log` (the scan's logger) or stderr, never stdout itself, so it
+ * cannot corrupt `scan --format json` output.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { axiosClient } = require('../http');
+
+const SIGNATURE_HEADER = 'X-Arbitrage-Signature';
+
+function fmt(value, digits = 3) {
+  return value === null || value === undefined ? 'n/a' : Number(value).toFixed(digits);
+}
+
+function formatEvent(event) {
+  const where = `${event.pair} on ${event.chain}`;
+  if (event.type === 'closed') {
+    return `CLOSED ${where} (last spread ${fmt(event.last_spread_percent)}%, open since ${event.first_seen}) [${event.rule}]`;
+  }
+  const net = event.net_spread_percent !== null && event.net_spread_percent !== undefined ? `net ${fmt(event.net_spread_percent)}%` : 'net n/a';
+  const usd = event.net_profit_usd !== null && event.net_profit_usd !== undefined ? ` ($${fmt(event.net_profit_usd, 2)})` : '';
+  const streak = event.consecutive_scans ? `, ${event.consecutive_scans} scans` : '';
+  const label = event.repeat ? 'STILL OPEN' : 'OPEN';
+  return `${label} ${where}: spread ${fmt(event.spread_percent)}%, ${net}${usd}, ${event.best} vs ${event.worst}${streak} [${event.rule}]`;
+}
+
+function signPayload(body, secret) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+function fromEnv(settings, key) {
+  const envName = settings[`${key}Env`];
+  return settings[key] || (envName ? process.env[envName] : undefined);
+}
+
+const builders = {
+  webhook(settings) {
+    const url = fromEnv(settings, 'url');
+    if (!url) return null;
+    const secret = fromEnv(settings, 'secret');
+    return async (events, context) => {
+      const body = JSON.stringify({ report_timestamp: context.timestamp, events });
+      const headers = { 'Content-Type': 'application/json' };
+      if (secret) headers[SIGNATURE_HEADER] = signPayload(body, secret);
+      await axiosClient.post(url, body, { headers, timeout: 10000 });
+    };
+  },
+
+  slack(settings) {
+    const url = fromEnv(settings, 'url');
+    if (!url) return null;
+    return async events => {
+      const text = events.map(e => `• ${formatEvent(e)}`).join('\n');
+      await axiosClient.post(url, { text }, { timeout: 10000 });
+    };
+  },
+
+  discord(settings) {
+    const url = fromEnv(settings, 'url');
+    if (!url) return null;
+    return async events => {
+      // Discord caps message content at 2000 characters.
+      const content = events.map(formatEvent).join('\n').slice(0, 2000);
+      await axiosClient.post(url, { content }, { timeout: 10000 });
+    };
+  },
+
+  telegram(settings) {
+    const token = fromEnv(settings, 'token');
+    const chatId = fromEnv(settings, 'chatId');
+    if (!token || !chatId) return null;
+    const apiUrl = settings.apiUrl || 'https://api.telegram.org';
+    return async events => {
+      const text = events.map(formatEvent).join('\n');
+      await axiosClient.post(`${apiUrl}/bot${token}/sendMessage`, { chat_id: chatId, text, disable_web_page_preview: true }, { timeout: 10000 });
+    };
+  },
+
+  file(settings, baseDir) {
+    const target = path.resolve(baseDir, settings.path || 'reports/alerts.jsonl');
+    return async events => {
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.appendFileSync(target, events.map(e => JSON.stringify(e)).join('\n') + '\n');
+    };
+  },
+
+  stdout() {
+    return async (events, context = {}) => {
+      const log = context.log || { log: line => console.error(line) };
+      for (const e of events) log.log(`[alert] ${formatEvent(e)}`);
+    };
+  }
+};
+
+function buildChannels(channelConfig = {}, baseDir = process.cwd()) {
+  const channels = {};
+  for (const [name, settings] of Object.entries(channelConfig)) {
+    const type = settings.type || name;
+    const builder = builders[type];
+    if (!builder) throw new Error(`Unknown alert channel type ${type} (${name})`);
+    const send = builder(settings, baseDir);
+    if (send) channels[name] = { name, type, send };
+  }
+  return channels;
+}
+
+module.exports = { buildChannels, formatEvent, signPayload, SIGNATURE_HEADER };
@@ -0,0 +1,177 @@
+/**
+ * Alert rules engine.
+ *
+ * Rules (`alerts.rules[]` in `pairs.config.json`) match opportunities on:
+ *   minSpreadPercent, minNetSpreadPercent, minProfitUsd (net), minConsecutiveScans,
+ *   chains (names or ids), pairs, aggregators (the best leg must be listed)
+ * and send to `channels` (names from `alerts.channels`, default: every configured channel).
+ *
+ * A matched opportunity alerts once, then stays quiet for `cooldownMinutes` (per rule, falling back
+ * to `alerts.cooldownMinutes`). When it stops matching, a `closed` follow-up goes out unless the
+ * rule sets `notifyClosed: false`. Open alerts are kept in `alerts.stateFile` between runs; an
+ * event that no channel delivered is left out of the saved state, so the next run sends it again.
+ */
+const fs = require('fs');
+const path = require('path');
+const { buildChannels } = require('./channels');
+
+const DEFAULT_COOLDOWN_MINUTES = 60;
+
+function ruleMatches(rule, op, chain) {
+  if (rule.chains && !rule.chains.includes(chain.chain) && !rule.chains.includes(chain.chainId)) return false;
+  if (rule.pairs && !rule.pairs.includes(op.pair)) return false;
+  if (rule.aggregators && !rule.aggregators.includes(op.best)) return false;
+  if (rule.minSpreadPercent !== undefined && !(op.spread_percent >= rule.minSpreadPercent)) return false;
+  if (rule.minNetSpreadPercent !== undefined && !(op.net_spread_percent >= rule.minNetSpreadPercent)) return false;
+  if (rule.minProfitUsd !== undefined && !(op.net_profit_usd >= rule.minProfitUsd)) return false;
+  if (rule.minConsecutiveScans !== undefined && !((op.persistence?.consecutive_scans || 0) >= rule.minConsecutiveScans)) return false;
+  return true;
+}
+
+function alertKey(rule, chain, pair) {
+  return `${rule.name}|${chain}|${pair}`;
+}
+
+function openEvent(rule, chain, op, repeat) {
+  return {
+    type: 'opened',
+    repeat,
+    rule: rule.name,
+    chain: chain.chain,
+    chainId: chain.chainId,
+    pair: op.pair,
+    spread_percent: op.spread_percent ?? null,
+    net_spread_percent: op.net_spread_percent ?? null,
+    net_profit_usd: op.net_profit_usd ?? null,
+    best: op.best,
+    worst: op.worst,
+    consecutive_scans: op.persistence?.consecutive_scans ?? null
+  };
+}
+
+// Pure: returns the events to send and the next state. `state.open` is keyed by rule|chain|pair.
+function evaluateAlerts(report, alertsConfig = {}, state = { open: {} }, now = new Date(report.timestamp)) {
+  const open = { ...(state.open || {}) };
+  const events = [];
+  const scannedChains = new Set(report.chains.map(c => c.chain));
+
+  for (const rule of alertsConfig.rules || []) {
+    const cooldownMs = (rule.cooldownMinutes ?? alertsConfig.cooldownMinutes ?? DEFAULT_COOLDOWN_MINUTES) * 60000;
+    const matched = new Set();
+
+    for (const chain of report.chains) {
+      for (const op of chain.opportunities || []) {
+        if (!ruleMatches(rule, op, chain)) continue;
+        const key = alertKey(rule, chain.chain, op.pair);
+        if (matched.has(key)) continue;
+        matched.add(key);
+
+        const prior = open[key];
+        const due = !prior || now.getTime() - new Date(prior.last_notified).getTime() >= cooldownMs;
+        if (due) events.push({ ...openEvent(rule, chain, op, Boolean(prior)), channels: rule.channels });
+        open[key] = {
+          rule: rule.name,
+          chain: chain.chain,
+          pair: op.pair,
+          first_seen: prior ? prior.first_seen : report.timestamp,
+          last_notified: due ? report.timestamp : prior.last_notified,
+          last_spread_percent: op.spread_percent
+        };
+      }
+    }
+
+    for (const [key, entry] of Object.entries(open)) {
+      if (entry.rule !== rule.name || matched.has(key) || !scannedChains.has(entry.chain)) continue;
+      delete open[key];
+      if (rule.notifyClosed === false) continue;
+      events.push({
+        type: 'closed',
+        rule: rule.name,
+        chain: entry.chain,
+        pair: entry.pair,
+        first_seen: entry.first_seen,
+        last_spread_percent: entry.last_spread_percent,
+        channels: rule.channels
+      });
+    }
+  }
+
+  return { events, state: { open } };
+}
+
+async function dispatchAlerts(events, channels, context = {}) {
+  const results = [];
+  const names = Object.keys(channels);
+  for (const name of names) {
+    const batch = events.filter(e => !e.channels || e.channels.includes(name)).map(({ channels: _, ...e }) => e);
+    if (!batch.length) continue;
+    try {
+      await channels[name].send(batch, context);
+      results.push({ channel: name, sent: batch.length });
+    } catch (err) {
+      results.push({ channel: name, sent: 0, error: err.message || String(err) });
+    }
+  }
+  return results;
+}
+
+function loadState(file) {
+  if (!fs.existsSync(file)) return { open: {} };
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function saveState(file, state) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(state, null, 2));
+}
+
+function hasAlertRules(config) {
+  return Boolean(config.alerts && (config.alerts.rules || []).length);
+}
+
+// Evaluate rules against a report; returns { events, state, previous, stateFile }. Nothing is saved
+// here: `commitAlerts` persists the state once the channels have been tried.
+function prepareAlerts(report, alertsConfig, baseDir) {
+  const stateFile = path.resolve(baseDir, alertsConfig.stateFile || 'reports/alerts-state.json');
+  const previous = loadState(stateFile);
+  const { events, state } = evaluateAlerts(report, alertsConfig, previous);
+  return { events, state, previous, stateFile };
+}
+
+async function sendAlerts(events, alertsConfig, baseDir, context) {
+  if (!events.length) return [];
+  const channels = buildChannels(alertsConfig.channels, baseDir);
+  return dispatchAlerts(events, channels, context);
+}
+
+// Pure: the state to keep after dispatch. An event counts as delivered when one of its channels
+// sent without error; undelivered ones are rolled back to the previous entry (or dropped) so a
+// failed send does not start the cooldown, and a failed `closed` follow-up stays open.
+function settleAlertState({ events, state, previous }, results) {
+  const open = { ...state.open };
+  const prior = previous.open || {};
+  for (const event of events) {
+    const delivered = results.some(r => !r.error && r.sent > 0 && (!event.channels || event.channels.includes(r.channel)));
+    if (delivered) continue;
+    const key = alertKey({ name: event.rule }, event.chain, event.pair);
+    if (prior[key]) open[key] = prior[key];
+    else delete open[key];
+  }
+  return { open };
+}
+
+function commitAlerts(prepared, results) {
+  saveState(prepared.stateFile, settleAlertState(prepared, results));
+}
+
+module.exports = {
+  ruleMatches,
+  evaluateAlerts,
+  dispatchAlerts,
+  prepareAlerts,
+  sendAlerts,
+  settleAlertState,
+  commitAlerts,
+  hasAlertRules,
+  loadState
+};
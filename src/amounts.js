@@ -0,0 +1,112 @@
+/**
+ * Decimal-correct fixed-point helpers for token amounts and prices.
+ *
+ * Raw amounts are BigInt (or integer strings) in token base units. Human amounts and prices are
+ * only turned into JS numbers at the very end, for display and ranking.
+ *
+ * Price definition used everywhere: human units of the buy token per human unit of the sell token.
+ */
+const PRICE_DECIMALS = 18;
+// Slippage buffer per leg for chains without `slippageBps`; every net figure (scan, cycles, CEX,
+// cross-chain, paper trading) uses this one value.
+const DEFAULT_SLIPPAGE_BPS = 30;
+
+function pow10(n) {
+  return 10n ** BigInt(n);
+}
+
+function toDecimalString(value) {
+  if (typeof value === 'string') return value.trim();
+  if (typeof value === 'bigint') return value.toString();
+  if (!isFinite(value)) throw new Error(`Not a finite amount: ${value}`);
+  if (Math.abs(value) >= 1e21) return BigInt(Math.trunc(value)).toString();
+  // Avoid exponent notation (1e-7) which BigInt parsing can't read.
+  const text = String(value);
+  return /e/i.test(text) ? value.toFixed(20).replace(/0+$/, '') : text;
+}
+
+// "1.5" (or 1.5) with 18 decimals -> 1500000000000000000n. Extra fraction digits are truncated.
+function parseUnits(value, decimals) {
+  const text = toDecimalString(value);
+  const match = /^(-)?(\d*)(?:\.(\d*))?$/.exec(text);
+  if (!match || (!match[2] && !match[3])) throw new Error(`Invalid decimal amount: ${text}`);
+  const [, sign, whole = '', fraction = ''] = match;
+  const digits = (whole || '0') + fraction.padEnd(decimals, '0').slice(0, decimals);
+  const raw = BigInt(digits);
+  return sign ? -raw : raw;
+}
+
+// 1500000000000000000n with 18 decimals -> "1.5".
+function formatUnits(raw, decimals) {
+  let value = BigInt(raw);
+  const negative = value < 0n;
+  if (negative) value = -value;
+  const base = pow10(decimals);
+  const whole = value / base;
+  const fraction = (value % base).toString().padStart(decimals, '0').replace(/0+$/, '');
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+function toBigInt(raw) {
+  if (raw === null || raw === undefined || raw === '') return null;
+  try {
+    return BigInt(raw);
+  } catch (err) {
+    return null;
+  }
+}
+
+// Whole base units (wei, gas) from an integer string, BigInt or number; null when unusable.
+function wholeUnits(value) {
+  return toBigInt(typeof value === 'number' && isFinite(value) ? Math.round(value) : value);
+}
+
+function unitsToNumber(raw, decimals) {
+  const value = toBigInt(raw);
+  return value === null ? null : Number(formatUnits(value, decimals));
+}
+
+// Human price from two raw amounts, exact up to PRICE_DECIMALS before the final Number().
+function priceFromAmounts(buyRaw, buyDecimals, sellRaw, sellDecimals) {
+  const buy = toBigInt(buyRaw);
+  const sell = toBigInt(sellRaw);
+  if (buy === null || sell === null || sell === 0n) return null;
+  const scaled = (buy * pow10(sellDecimals + PRICE_DECIMALS)) / (sell * pow10(buyDecimals));
+  return Number(formatUnits(scaled, PRICE_DECIMALS));
+}
+
+// Raw sell amount worth `usd` at `usdPrice` per token.
+function usdToUnits(usd, usdPrice, decimals) {
+  const usdFixed = parseUnits(usd, PRICE_DECIMALS);
+  const priceFixed = parseUnits(usdPrice, PRICE_DECIMALS);
+  if (priceFixed <= 0n) throw new Error(`Invalid USD price: ${usdPrice}`);
+  const raw = (usdFixed * pow10(decimals)) / priceFixed;
+  return raw > 0n ? raw : 1n;
+}
+
+// USD value of a raw amount at `usdPrice` per whole token (e.g. wei of gas at the native price).
+function unitsToUsd(raw, decimals, usdPrice) {
+  const value = toBigInt(raw);
+  if (value === null || !(usdPrice > 0)) return null;
+  const usd = (value * parseUnits(usdPrice, PRICE_DECIMALS)) / pow10(decimals);
+  return Number(formatUnits(usd, PRICE_DECIMALS));
+}
+
+// raw * numerator / denominator in base units, e.g. a reverse leg rescaled to a smaller fill.
+function scaleUnits(raw, numerator, denominator) {
+  return (BigInt(raw) * BigInt(numerator)) / BigInt(denominator);
+}
+
+module.exports = {
+  PRICE_DECIMALS,
+  DEFAULT_SLIPPAGE_BPS,
+  parseUnits,
+  formatUnits,
+  toBigInt,
+  wholeUnits,
+  unitsToNumber,
+  priceFromAmounts,
+  usdToUnits,
+  unitsToUsd,
+  scaleUnits
+};
@@ -1,181 +1,236 @@
 /**
  * Crypto Price Arbitrage Finder (enhanced)
  *
- * - Multi-chain (configurable) scanning across multiple aggregators (0x, 1inch, Paraswap, CowSwap)
- * - Smarter sell sizing from USD targets via CoinGecko (fallbacks to static amount)
- * - Resilient retries/timeouts with clear error context
+ * - Multi-chain (configurable) scanning across pluggable aggregator adapters (0x, 1inch, Paraswap, CowSwap built in)
+ * - Pairs declared by symbol from a per-chain token registry, with a schema-checked config (see ./config.js)
+ * - Sell sizing from USD targets via a price oracle: overrides, batched CoinGecko, quote-derived and
+ *   stablecoin-peg prices with an on-disk cache (see ./prices.js)
+ * - Round-trip evaluation (buy on one aggregator, sell back on another) next to the best-execution spread
+ * - Multi-hop cycle search per chain (WETH -> USDC -> WBTC -> WETH), verified at chained amounts (see ./cycles.js)
+ * - Cross-chain comparison of the same asset across chains, net of bridge assumptions (see ./crosschain.js)
+ * - DEX-vs-CEX spreads against Binance, Coinbase and Kraken order books walked to the trade size (see ./cex.js)
+ * - Net-of-cost figures: gas, protocol fees and a per-chain slippage buffer
+ * - Optional depth sweep over a USD size ladder: price-impact curves, optimal size, break-even size
+ * - Exact BigInt amount/price math and quote sanity checks against the USD reference price and the aggregator median
+ * - Resilient retries/timeouts with clear error context, honouring `Retry-After` on 429s
+ * - Per-aggregator, per-chain health stats and a circuit breaker for failing aggregators (see ./health.js)
+ * - Bounded pair concurrency and per-host token-bucket rate limits (see `watch` mode in ./watch.js)
+ * - `--record <dir>` / `--replay <dir>` to capture and replay every HTTP exchange offline
  * - JSON + CSV + Markdown reports with `latest` pointers for the frontend
- * - Optional webhook posting
+ * - `scan` / `quote` / `report` CLI with filters, output formats and CI-friendly exit codes (see ./cli.js)
+ * - Local HTTP API with report listing, on-demand quotes and a live scan stream (see ./server.js)
+ * - Append-only scan history with persistence analytics (streaks, rolling mean, new/closed)
+ * - Paper trading of round trips against the report's own quotes, with a PnL ledger (see ./paper.js)
+ * - Alert rules with dedup/cooldowns and webhook/Slack/Discord/Telegram/file/stdout channels
+ *   (without rules, the legacy whole-report webhook post is kept)
  */
 require('dotenv').config();
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const { axiosClient } = require('./http');
+const { enableRecording, enableReplay } = require('./recorder');
+const { createHistoryStore, annotateReport, historyOptions } = require('./history');
+const { DEFAULT_SLIPPAGE_BPS, parseUnits, wholeUnits, unitsToNumber, unitsToUsd, scaleUnits, priceFromAmounts, usdToUnits } = require('./amounts');
+const { sleep, createLimiter, installRateLimits, retryAfterMs } = require('./ratelimit');
+const { hasAlertRules, prepareAlerts, sendAlerts, commitAlerts } = require('./alerts');
+const { loadAdapters, quoteWithAdapter, costHints } = require('./adapters');
+const { loadConfig, expandChainPairs, pairFromTokens } = require('./config');
+const { reportFileName } = require('./reports');
+const { assetKey, findCrossChain } = require('./crosschain');
+const { tokenKey, edgeFromQuotes, addEdge, findCycles, verifyCycle } = require('./cycles');
+const { createHealthTracker, loadHealthState, saveHealthState, formatErrorClasses } = require('./health');
+const { createPriceOracle, loadPriceCache, savePriceCache, noUsdPriceMessage } = require('./prices');
+const { paperSettings, loadLedger, saveLedger, simulateReport, summarizeLedger } = require('./paper');
+const { cexMarket, cexSpreads } = require('./cex');
 
-const config = require('../config/pairs.config.json');
+const config = loadConfig();
 
-const REPORTS_DIR = path.join(__dirname, '..', 'reports');
-if (!fs.existsSync(REPORTS_DIR)) fs.mkdirSync(REPORTS_DIR, { recursive: true });
+const ROOT_DIR = path.join(__dirname, '..');
+const REPORTS_DIR = path.join(ROOT_DIR, 'reports');
+loadAdapters(config, ROOT_DIR);
 
-const OX_HOSTS = {
-  1: 'https://api.0x.org',
-  56: 'https://bsc.api.0x.org',
-  137: 'https://polygon.api.0x.org'
-};
-const COW_HOSTS = {
-  1: 'https://api.cow.fi/mainnet'
-};
-const DEFAULT_TIMEOUT = 12000;
 const MAX_RETRIES = 2;
 const RETRY_DELAY_MS = 500;
+const MAX_RETRY_AFTER_MS = 60000;
+const DEFAULT_VALIDATION = { maxReferenceDeviationPercent: 10, maxMedianDeviationPercent: 5 };
+const RANK_FIELDS = ['spread_percent', 'net_spread_percent', 'net_profit_usd'];
+const DEFAULT_CYCLES = { enabled: false, maxHops: 3, minReturnPercent: 0, maxCandidates: 5 };
 
 const priceCache = new Map();
-const axiosClient = axios.create({ timeout: DEFAULT_TIMEOUT });
-
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
+const healthStates = new Map();
 
-async function withRetry(fn, label) {
+async function withRetry(fn, label, { retries = MAX_RETRIES, delayMs = RETRY_DELAY_MS } = {}) {
   let attempt = 0;
   while (true) {
     try {
       return await fn();
     } catch (err) {
-      if (attempt >= MAX_RETRIES) throw decorateError(err, label);
+      if (attempt >= retries) throw decorateError(err, label);
       attempt += 1;
-      await sleep(RETRY_DELAY_MS * attempt);
+      const serverDelay = retryAfterMs(err);
+      await sleep(serverDelay === null ? delayMs * attempt : Math.min(serverDelay, MAX_RETRY_AFTER_MS));
     }
   }
 }
 
 function decorateError(err, label) {
-  const reason = err.response?.data?.description || err.response?.data?.message || err.message || String(err);
+  const reason = err.response?.data?.description || err.response?.data?.message || err.response?.data?.msg || err.message || String(err);
   const status = err.response?.status ? ` [${err.response.status}]` : '';
-  return new Error(`${label || 'request'} failed${status}: ${reason}`);
+  const decorated = new Error(`${label || 'request'} failed${status}: ${reason}`);
+  decorated.status = err.response?.status;
+  decorated.code = err.code;
+  return decorated;
 }
 
 function normalizeAmount(raw, decimals) {
-  if (raw === null || raw === undefined) return null;
-  const num = Number(raw);
-  if (!isFinite(num)) return null;
-  return num / Math.pow(10, decimals);
+  return unitsToNumber(raw, decimals);
+}
+
+// CoinGecko USD prices for several ids in one request ({ id: usd }).
+async function fetchCoinGeckoPrices(ids) {
+  const settings = (config.prices || {}).coingecko || {};
+  const base = process.env.COINGECKO_API_URL || settings.baseUrl || 'https://api.coingecko.com/api/v3';
+  const apiKey = process.env[settings.apiKeyEnv || 'COINGECKO_API_KEY'];
+  const headers = apiKey ? { [settings.apiKeyHeader || 'x-cg-demo-api-key']: apiKey } : {};
+  const url = `${base}/simple/price?ids=${encodeURIComponent(ids.join(','))}&vs_currencies=usd`;
+  const { data } = await withRetry(() => axiosClient.get(url, { headers }), 'coingecko', { retries: settings.retries ?? MAX_RETRIES });
+  return Object.fromEntries(ids.map(id => [id, data?.[id]?.usd]));
 }
 
-async function fetchTokenUsdPrice(coingeckoId) {
-  if (!coingeckoId) return null;
-  if (priceCache.has(coingeckoId)) return priceCache.get(coingeckoId);
-  const url = `https://api.coingecko.com/api/v3/simple/price?ids=${encodeURIComponent(coingeckoId)}&vs_currencies=usd`;
-  const { data } = await axiosClient.get(url);
-  const usd = data?.[coingeckoId]?.usd;
-  if (usd) priceCache.set(coingeckoId, usd);
-  return usd || null;
+// A fresh price oracle sharing the in-memory cache. A scan creates one and passes it down as
+// `prices`; callers outside a scan (e.g. an API request) get their own.
+function priceOracle() {
+  return createPriceOracle(config.prices, { fetchBatch: fetchCoinGeckoPrices, cache: priceCache });
 }
 
-async function calculateSellAmount(pair, chain) {
+async function fetchTokenUsdPrice(coingeckoId, prices = priceOracle()) {
+  const entry = await prices.price(coingeckoId);
+  return entry ? entry.usd : null;
+}
+
+// Derives the sell token's USD price by quoting `usd` worth of the pair's stablecoin side.
+function stablecoinProbe(chain, pair, usd, prices, health) {
+  if (!prices.isStable(pair.toCoingeckoId) || !pair.toDecimals) return undefined;
+  return async () => {
+    const quotes = await collectQuotes(chain, reversePair(pair), usdToUnits(usd, 1, pair.toDecimals).toString(), validationSettings(chain), { health });
+    const bought = quotes.filter(q => isUsable(q) && q.buyAmountHuman > 0).map(q => q.buyAmountHuman);
+    return bought.length ? usd / median(bought) : null;
+  };
+}
+
+async function calculateSellAmount(pair, chain, prices = priceOracle(), health = null) {
   // Prefer explicit sample amount (token units), otherwise derive from USD target.
   if (pair.sampleSellAmount) {
-    const raw = BigInt(Math.floor(pair.sampleSellAmount * Math.pow(10, pair.fromDecimals)));
-    return { raw: raw.toString(), human: pair.sampleSellAmount };
+    const raw = parseUnits(pair.sampleSellAmount, pair.fromDecimals);
+    return { raw: raw.toString(), human: unitsToNumber(raw, pair.fromDecimals) };
   }
 
   const usdTarget = pair.usdSellTarget || chain.defaultUsdSell || 10;
-  try {
-    const price = await fetchTokenUsdPrice(pair.coingeckoId);
-    if (price) {
-      const tokens = usdTarget / price;
-      const raw = BigInt(Math.max(1, Math.floor(tokens * Math.pow(10, pair.fromDecimals))));
-      return { raw: raw.toString(), human: tokens };
-    }
-  } catch (err) {
-    // Fall through to default below.
-  }
-
-  const fallback = Math.max(1, usdTarget / 1000);
-  const raw = BigInt(Math.floor(fallback * Math.pow(10, pair.fromDecimals)));
-  return { raw: raw.toString(), human: fallback };
-}
-
-async function quote0x(chainId, pair, sellAmount) {
-  const host = OX_HOSTS[chainId];
-  if (!host) throw new Error('0x not supported for chain');
-  const url = `${host}/swap/v1/price?sellToken=${encodeURIComponent(pair.fromAddress)}&buyToken=${encodeURIComponent(pair.toAddress)}&sellAmount=${sellAmount}`;
-  const { data } = await axiosClient.get(url);
-  return { source: '0x', price: Number(data.price), buyAmount: data.buyAmount, sellAmount: data.sellAmount, raw: data };
-}
-
-async function quote1inch(chainId, pair, sellAmount) {
-  const url = `https://api.1inch.io/v5.0/${chainId}/quote?fromTokenAddress=${pair.fromAddress}&toTokenAddress=${pair.toAddress}&amount=${sellAmount}`;
-  const { data } = await axiosClient.get(url);
-  const price = data.toTokenAmount && data.fromTokenAmount ? Number(data.toTokenAmount) / Number(data.fromTokenAmount) : null;
-  return { source: '1inch', price, buyAmount: data.toTokenAmount, sellAmount: data.fromTokenAmount, raw: data };
-}
-
-async function quoteParaswap(chainId, pair, sellAmount) {
-  const url = `https://api.paraswap.io/prices/?fromToken=${pair.fromAddress}&toToken=${pair.toAddress}&amount=${sellAmount}&srcDecimals=${pair.fromDecimals}&destDecimals=${pair.toDecimals}&side=SELL&network=${chainId}`;
-  const { data } = await axiosClient.get(url);
-  const route = data.priceRoute || data;
-  const price = route.destAmount && route.srcAmount ? Number(route.destAmount) / Number(route.srcAmount) : null;
-  return { source: 'paraswap', price, buyAmount: route.destAmount, sellAmount: route.srcAmount, raw: data };
-}
-
-async function quoteCow(chainId, pair, sellAmount) {
-  const host = COW_HOSTS[chainId];
-  if (!host) throw new Error('CowSwap not supported for chain');
-  const url = `${host}/api/v1/quote`;
-  const body = {
-    sellToken: pair.fromAddress,
-    buyToken: pair.toAddress,
-    receiver: '0x000000000000000000000000000000000000dead',
-    from: '0x000000000000000000000000000000000000dead',
-    appData: '0x' + '0'.repeat(64),
-    partiallyFillable: false,
-    kind: 'sell',
-    sellAmountBeforeFee: sellAmount
-  };
-  const { data } = await axiosClient.post(url, body, { headers: { 'Content-Type': 'application/json' } });
-  const quote = data.quote || data;
-  const price = quote.buyAmount && quote.sellAmount ? Number(quote.buyAmount) / Number(quote.sellAmount) : null;
-  return { source: 'cow', price, buyAmount: quote.buyAmount, sellAmount: quote.sellAmount, raw: data };
+  const price = await prices.price(pair.coingeckoId, { derive: stablecoinProbe(chain, pair, usdTarget, prices, health) });
+  if (!price) {
+    throw new Error(noUsdPriceMessage(pair, usdTarget));
+  }
+  const raw = usdToUnits(usdTarget, price.usd, pair.fromDecimals);
+  return { raw: raw.toString(), human: unitsToNumber(raw, pair.fromDecimals), usdTarget, usdPrice: price.usd, priceSource: price.source, priceAt: price.at };
 }
 
-async function collectQuotes(chain, pair, sellAmount) {
+// `options.cex` adds the chain's CEX venues (`cexVenues`) for pairs that map to a market.
+// `options.health` is the scan's health tracker; without one, calls are not tracked.
+async function collectQuotes(chain, pair, sellAmount, validation, options = {}) {
   const tasks = [];
-  for (const agg of chain.aggregators || []) {
+  const { health } = options;
+  const market = options.cex ? cexMarket(pair, config.cex) : null;
+  const venues = market ? chain.cexVenues || [] : [];
+  for (const agg of [...(chain.aggregators || []), ...venues]) {
     const label = `${agg} ${pair.name}`;
-    const fn = async () => {
-      switch (agg) {
-        case '0x':
-          return quote0x(chain.id, pair, sellAmount);
-        case '1inch':
-          return quote1inch(chain.id, pair, sellAmount);
-        case 'paraswap':
-          return quoteParaswap(chain.id, pair, sellAmount);
-        case 'cow':
-          return quoteCow(chain.id, pair, sellAmount);
-        default:
-          throw new Error(`Unknown aggregator ${agg}`);
-      }
+    const venue = venues.includes(agg) ? { venue: 'cex' } : {};
+    const blocked = health && health.blocked(agg, chain);
+    if (blocked) {
+      tasks.push(Promise.resolve({ source: agg, ...venue, error: blocked, skipped: true }));
+      continue;
+    }
+    let tries = 0;
+    const fn = () => {
+      tries += 1;
+      return quoteWithAdapter(agg, chain.id, venue.venue ? { ...pair, market } : pair, sellAmount, config);
     };
+    const started = Date.now();
+    const track = (ok, error) => health && health.record(agg, chain, { ok, error, latencyMs: Date.now() - started, retries: Math.max(0, tries - 1) });
 
     tasks.push(
       withRetry(fn, label)
         .then(res => normalizeQuote(res, pair))
-        .catch(err => ({ source: agg, error: err.message }))
+        .then(
+          quote => {
+            track(true);
+            return quote;
+          },
+          err => {
+            track(false, err);
+            return { source: agg, ...venue, error: err.message };
+          }
+        )
     );
   }
 
-  return Promise.all(tasks);
+  const quotes = await Promise.all(tasks);
+  return validation ? validateQuotes(quotes, validation) : quotes;
+}
+
+function validationSettings(chain) {
+  return { ...DEFAULT_VALIDATION, ...(config.validation || {}), ...(chain.validation || {}) };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function deviationPercent(price, reference) {
+  return (Math.abs(price - reference) / reference) * 100;
+}
+
+function isUsable(q) {
+  return !q.error && !q.suspect && q.price && isFinite(q.price);
+}
+
+// Flag quotes far from the USD reference price (buy-token per sell-token) or, with at least
+// three usable quotes, from the cross-aggregator median. Suspect quotes stay in the report with a
+// reason but are left out of spreads, round trips and depth curves.
+function validateQuotes(quotes, { referencePrice, maxReferenceDeviationPercent, maxMedianDeviationPercent } = {}) {
+  const flag = (q, reason) => ({ ...q, suspect: true, suspect_reason: reason });
+
+  let checked = quotes.map(q => {
+    if (!isUsable(q) || !referencePrice || maxReferenceDeviationPercent === undefined || maxReferenceDeviationPercent === null) return q;
+    const deviation = deviationPercent(q.price, referencePrice);
+    if (deviation <= maxReferenceDeviationPercent) return q;
+    return flag(q, `price ${q.price} deviates ${deviation.toFixed(2)}% from USD reference ${referencePrice}`);
+  });
+
+  const usable = checked.filter(isUsable);
+  if (usable.length >= 3 && maxMedianDeviationPercent !== undefined && maxMedianDeviationPercent !== null) {
+    const mid = median(usable.map(q => q.price));
+    checked = checked.map(q => {
+      if (!isUsable(q)) return q;
+      const deviation = deviationPercent(q.price, mid);
+      return deviation <= maxMedianDeviationPercent ? q : flag(q, `price ${q.price} deviates ${deviation.toFixed(2)}% from aggregator median ${mid}`);
+    });
+  }
+  return checked;
 }
 
+// One price definition for every adapter: human buy-token units per human sell-token unit,
+// computed from the raw amounts rather than whatever `price` field an API returns.
 function normalizeQuote(res, pair) {
   const buyNorm = normalizeAmount(res.buyAmount, pair.toDecimals);
   const sellNorm = normalizeAmount(res.sellAmount, pair.fromDecimals);
-  return { ...res, buyAmountHuman: buyNorm, sellAmountHuman: sellNorm };
+  const price = priceFromAmounts(res.buyAmount, pair.toDecimals, res.sellAmount, pair.fromDecimals);
+  return { ...res, price, buyAmountHuman: buyNorm, sellAmountHuman: sellNorm };
 }
 
 function computeSpread(quotes) {
-  const valid = quotes.filter(q => q.price && isFinite(q.price));
+  const valid = quotes.filter(isUsable);
   if (valid.length < 2) return null;
   const prices = valid.map(q => q.price);
   const maxP = Math.max(...prices);
@@ -186,12 +241,207 @@ function computeSpread(quotes) {
   return { spread_percent: spread, best: best?.source, worst: worst?.source };
 }
 
-async function analyzePair(chain, pair) {
-  const sellInfo = await calculateSellAmount(pair, chain);
-  const quotes = await collectQuotes(chain, pair, sellInfo.raw);
+function reversePair(pair) {
+  return {
+    ...pair,
+    name: `${pair.toSymbol} / ${pair.fromSymbol}`,
+    fromSymbol: pair.toSymbol,
+    toSymbol: pair.fromSymbol,
+    fromAddress: pair.toAddress,
+    toAddress: pair.fromAddress,
+    fromDecimals: pair.toDecimals,
+    toDecimals: pair.fromDecimals
+  };
+}
+
+function pickBestBuy(quotes) {
+  let best = null;
+  for (const q of quotes) {
+    if (q.error || q.suspect || !q.buyAmount || !q.buyAmountHuman) continue;
+    if (!best || BigInt(q.buyAmount) > BigInt(best.buyAmount)) best = q;
+  }
+  return best;
+}
+
+// Gas price in wei (BigInt) from the quotes, else from `chains[].gasPriceGwei`.
+function chainGasPriceWei(quotes, chain) {
+  const observed = quotes.map(q => wholeUnits(q.raw?.gasPrice)).find(v => v > 0n);
+  if (observed) return observed;
+  return chain.gasPriceGwei ? parseUnits(chain.gasPriceGwei, 9) : null;
+}
+
+// Gas and protocol fees are multiplied out in wei (BigInt) and priced with unitsToUsd. Fee
+// fractions and slippage scale USD figures that are already floats, so they stay floats.
+// `costUsd` goes with the quote's price; `fillCostUsd` with its amounts, leaving out a fee the
+// adapter already took from `buyAmount` (round trips, cycles and paper fills use the amounts).
+function estimateQuoteCost(quote, ctx) {
+  if (quote.error) return quote;
+  const hints = costHints(quote);
+  const { nativeUsd, notionalUsd, gasPriceWei } = ctx;
+
+  let gasUsd = hints.gasUsd ?? null;
+  const gasUnits = wholeUnits(hints.gasUnits);
+  if (gasUsd === null && gasUnits && nativeUsd) {
+    const price = wholeUnits(hints.gasPriceWei) || gasPriceWei;
+    if (price) gasUsd = unitsToUsd(gasUnits * price, 18, nativeUsd);
+  }
+  if (hints.gasIncludedInFee) gasUsd = 0;
+
+  let feeUsd = 0;
+  const protocolFee = wholeUnits(hints.protocolFeeWei);
+  if (protocolFee && nativeUsd) feeUsd += unitsToUsd(protocolFee, 18, nativeUsd);
+  const fractionUsd = hints.feeFraction && notionalUsd ? hints.feeFraction * notionalUsd : 0;
+  feeUsd += fractionUsd;
+
+  return {
+    ...quote,
+    gasUsd,
+    feeUsd,
+    costUsd: gasUsd === null ? null : gasUsd + feeUsd,
+    fillCostUsd: gasUsd === null ? null : gasUsd + feeUsd - (hints.feeInAmounts ? fractionUsd : 0)
+  };
+}
+
+function slippageUsd(chain, notionalUsd, legs) {
+  const bps = chain.slippageBps ?? DEFAULT_SLIPPAGE_BPS;
+  return notionalUsd ? notionalUsd * (bps / 10000) * legs : null;
+}
+
+// Gross -> net for a two-leg trade. Unknown gas on either leg leaves the net figures null.
+function computeNetFigures(grossPercent, legs, notionalUsd, slippage) {
+  if (!notionalUsd || grossPercent === null || grossPercent === undefined) return null;
+  if (legs.some(q => !q || q.costUsd === null || q.costUsd === undefined)) return null;
+  const grossUsd = notionalUsd * (grossPercent / 100);
+  const costUsd = legs.reduce((acc, q) => acc + q.costUsd, 0) + (slippage || 0);
+  const net = grossUsd - costUsd;
+  return { cost_usd: costUsd, net_profit_usd: net, net_spread_percent: (net / notionalUsd) * 100 };
+}
+
+// `decimals` are the start token's; the end amount is then scaled in base units (scaleUnits).
+function computeRoundTrip(forwardQuotes, reverseQuotes, startAmount, usdPrice, slippage, decimals) {
+  const bestForward = pickBestBuy(forwardQuotes);
+  if (!bestForward || !startAmount) return null;
+
+  let best = null;
+  for (const fwd of forwardQuotes) {
+    if (fwd.error || fwd.suspect || !fwd.buyAmountHuman) continue;
+    for (const rev of reverseQuotes) {
+      if (rev.error || rev.suspect || !rev.buyAmountHuman) continue;
+      // Reverse legs are quoted at the best forward size; scale them for the smaller forward fills.
+      const endAmount = decimals === undefined || !rev.buyAmount
+        ? rev.buyAmountHuman * (fwd.buyAmountHuman / bestForward.buyAmountHuman)
+        : unitsToNumber(scaleUnits(rev.buyAmount, fwd.buyAmount, bestForward.buyAmount), decimals);
+      if (!best || endAmount > best.end_amount) {
+        best = { fwd, rev, end_amount: endAmount };
+      }
+    }
+  }
+  if (!best) return null;
+
+  const gain = best.end_amount - startAmount;
+  const profitPercent = (gain / startAmount) * 100;
+  const legs = [best.fwd, best.rev].map(q => ({ costUsd: q.fillCostUsd }));
+  const net = computeNetFigures(profitPercent, legs, usdPrice ? startAmount * usdPrice : null, slippage);
+  return {
+    buy_on: best.fwd.source,
+    sell_on: best.rev.source,
+    end_amount: best.end_amount,
+    start_amount: startAmount,
+    net_token_gain: gain,
+    profit_percent: profitPercent,
+    profit_usd: usdPrice ? gain * usdPrice : null,
+    net_profit_usd: net ? net.net_profit_usd : null
+  };
+}
+
+function sizeLadder(pair, chain) {
+  const ladder = pair.sizeLadderUsd || chain.sizeLadderUsd;
+  if (!Array.isArray(ladder) || !ladder.length) return null;
+  return [...new Set(ladder.map(Number).filter(v => v > 0))].sort((a, b) => a - b);
+}
+
+// Quote every aggregator at each ladder step. Price impact is measured against each aggregator's
+// own price at the smallest step, so routing differences between aggregators don't show up as impact.
+async function sweepDepth(chain, pair, ladder, tokenUsd, nativeUsd, validation, health) {
+  if (!tokenUsd) return { ladder_usd: ladder, error: 'no USD price for sizing' };
+
+  const curve = {};
+  const steps = [];
+  for (const sizeUsd of ladder) {
+    const raw = usdToUnits(sizeUsd, tokenUsd, pair.fromDecimals);
+    const amount = unitsToNumber(raw, pair.fromDecimals);
+    const fetched = await collectQuotes(chain, pair, raw.toString(), validation, { health });
+    const ctx = { nativeUsd, notionalUsd: sizeUsd, gasPriceWei: chainGasPriceWei(fetched, chain) };
+    const quotes = fetched.map(q => estimateQuoteCost(q, ctx));
+
+    for (const q of quotes) {
+      const points = curve[q.source] || (curve[q.source] = []);
+      if (q.error || q.suspect || !q.price) {
+        points.push({ size_usd: sizeUsd, amount, error: q.error || q.suspect_reason || 'empty quote' });
+        continue;
+      }
+      const price = q.price;
+      const base = points.find(p => p.price);
+      const impact = base ? ((base.price - price) / base.price) * 100 : 0;
+      points.push({ size_usd: sizeUsd, amount, price, price_impact_percent: impact, cost_usd: q.costUsd });
+    }
+
+    const spread = computeSpread(quotes);
+    const step = { size_usd: sizeUsd, amount };
+    if (spread) {
+      const legs = [quotes.find(q => q.source === spread.best), quotes.find(q => q.source === spread.worst)];
+      const net = computeNetFigures(spread.spread_percent, legs, sizeUsd, slippageUsd(chain, sizeUsd, 2));
+      Object.assign(step, {
+        best: spread.best,
+        worst: spread.worst,
+        spread_percent: spread.spread_percent,
+        net_spread_percent: net ? net.net_spread_percent : null,
+        net_profit_usd: net ? net.net_profit_usd : null
+      });
+    }
+    steps.push(step);
+  }
+
+  const profitOf = s => (s.net_profit_usd ?? (s.spread_percent !== undefined ? s.size_usd * (s.spread_percent / 100) : null));
+  const ranked = steps.filter(s => profitOf(s) !== null).sort((a, b) => profitOf(b) - profitOf(a));
+  const negative = steps.find(s => s.net_spread_percent !== null && s.net_spread_percent !== undefined && s.net_spread_percent < 0);
+  return {
+    ladder_usd: ladder,
+    curve,
+    steps,
+    optimal_size_usd: ranked.length ? ranked[0].size_usd : null,
+    optimal_profit_usd: ranked.length ? profitOf(ranked[0]) : null,
+    negative_from_usd: negative ? negative.size_usd : null
+  };
+}
+
+// `options.reverse` / `options.depth` set to false skip the round trip and the depth sweep.
+// `options.prices` / `options.health` are the caller's price oracle and health tracker (a scan
+// shares its own across pairs); by default the pair gets a fresh oracle and is not tracked.
+async function analyzePair(chain, pair, options = {}) {
+  const prices = options.prices || priceOracle();
+  const { health } = options;
+  await prices.prefetch([pair.coingeckoId, pair.toCoingeckoId, chain.nativeCoingeckoId]);
+  const sellInfo = await calculateSellAmount(pair, chain, prices, health);
+  const usd = await usdPrices(chain, pair, prices);
+  const tokenUsd = sellInfo.usdPrice || usd.sell?.usd || null;
+  const nativeUsd = usd.native?.usd || null;
+  const notionalUsd = tokenUsd ? sellInfo.human * tokenUsd : null;
+  const validation = { ...validationSettings(chain), referencePrice: referencePrice(usd) };
+
+  const forwardQuotes = await collectQuotes(chain, pair, sellInfo.raw, validation, { cex: true, health });
+  if (prices.isStable(pair.toCoingeckoId) && !prices.isStable(pair.coingeckoId)) {
+    const usable = forwardQuotes.filter(isUsable);
+    if (usable.length) prices.observe(pair.coingeckoId, median(usable.map(q => q.price)));
+  }
+  const costCtx = { nativeUsd, notionalUsd, gasPriceWei: chainGasPriceWei(forwardQuotes, chain) };
+  const priced = forwardQuotes.map(q => estimateQuoteCost(q, costCtx));
+  const quotes = priced.filter(q => q.venue !== 'cex');
+  const cexQuotes = priced.filter(q => q.venue === 'cex');
   const spread = computeSpread(quotes);
+  const slippage = slippageUsd(chain, notionalUsd, 2);
 
-  const buys = quotes.map(q => q.buyAmountHuman || 0);
+  const buys = quotes.filter(q => !q.suspect).map(q => q.buyAmountHuman || 0);
   const bestBuy = buys.length ? Math.max(...buys) : 0;
   let liquidityFlag = null;
   if (pair.minBuyAmount && bestBuy < pair.minBuyAmount) {
@@ -205,28 +455,166 @@ async function analyzePair(chain, pair) {
     sellAmount: Number(sellInfo.human.toFixed ? sellInfo.human.toFixed(6) : sellInfo.human),
     sellToken: pair.fromSymbol,
     buyToken: pair.toSymbol,
+    asset: assetKey(pair) || undefined,
+    sizing: sellInfo.usdPrice
+      ? { usd_target: sellInfo.usdTarget, usd_price: sellInfo.usdPrice, source: sellInfo.priceSource, at: sellInfo.priceAt }
+      : { sample_amount: Number(pair.sampleSellAmount) },
+    usd_prices: usd,
     quotes,
     minBuyAmount: pair.minBuyAmount,
-    liquidity_flag: liquidityFlag || undefined
+    liquidity_flag: liquidityFlag || undefined,
+    suspect_quotes: quotes.filter(q => q.suspect).length || undefined
   };
 
   if (spread && !liquidityFlag) {
     result.spread_percent = spread.spread_percent;
     result.best = spread.best;
     result.worst = spread.worst;
+    result.notional_usd = notionalUsd;
+    const legs = [quotes.find(q => q.source === spread.best), quotes.find(q => q.source === spread.worst)];
+    const net = computeNetFigures(spread.spread_percent, legs, notionalUsd, slippage);
+    result.cost_usd = net ? net.cost_usd : null;
+    result.net_spread_percent = net ? net.net_spread_percent : null;
+    result.net_profit_usd = net ? net.net_profit_usd : null;
+  }
+
+  const bestForward = pickBestBuy(quotes);
+  if (bestForward && !liquidityFlag && options.reverse !== false) {
+    const reverseValidation = { ...validation, referencePrice: validation.referencePrice ? 1 / validation.referencePrice : null };
+    const reverseQuotes = (await collectQuotes(chain, reversePair(pair), bestForward.buyAmount, reverseValidation, { health })).map(q => estimateQuoteCost(q, costCtx));
+    result.reverseQuotes = reverseQuotes;
+    const roundTrip = computeRoundTrip(quotes, reverseQuotes, sellInfo.human, tokenUsd, slippage, pair.fromDecimals);
+    if (roundTrip) result.round_trip = roundTrip;
+  }
+
+  if (cexQuotes.length) {
+    result.cex_quotes = cexQuotes;
+    result.cex_spreads = cexSpreads(result, cexQuotes, { notionalUsd, slippageBps: chain.slippageBps ?? DEFAULT_SLIPPAGE_BPS });
   }
 
+  const ladder = sizeLadder(pair, chain);
+  if (ladder && options.depth !== false) result.depth = await sweepDepth(chain, pair, ladder, tokenUsd, nativeUsd, validation, health);
+
   return result;
 }
 
-function sortOpportunities(list) {
-  return (list || []).filter(r => r.spread_percent).sort((a, b) => b.spread_percent - a.spread_percent);
+// { sell, buy, native } as { id, usd, source, at } (null when no source has a price).
+async function usdPrices(chain, pair, prices) {
+  const entry = async id => {
+    const price = await prices.price(id);
+    return price ? { id, ...price } : null;
+  };
+  return { sell: await entry(pair.coingeckoId), buy: await entry(pair.toCoingeckoId), native: await entry(chain.nativeCoingeckoId) };
+}
+
+// Buy-token per sell-token implied by USD prices. Prices derived from quotes are not used to
+// check quotes.
+function referencePrice({ sell, buy }) {
+  if (!sell || !buy || sell.source === 'quotes' || buy.source === 'quotes') return null;
+  return sell.usd / buy.usd;
+}
+
+function cycleSettings(chain) {
+  return { ...DEFAULT_CYCLES, ...(config.cycles || {}), ...(chain.cycles || {}) };
+}
+
+// Both sides of every configured pair, plus `cycles.tokens` looked up in the registry.
+function cycleTokens(chain, settings) {
+  const tokens = new Map();
+  const add = t => {
+    if (t && t.address && !tokens.has(tokenKey(t.address))) tokens.set(tokenKey(t.address), t);
+  };
+  for (const p of chain.pairs || []) {
+    add({ symbol: p.fromSymbol, address: p.fromAddress, decimals: p.fromDecimals, coingeckoId: p.coingeckoId });
+    add({ symbol: p.toSymbol, address: p.toAddress, decimals: p.toDecimals, coingeckoId: p.toCoingeckoId });
+  }
+  for (const symbol of settings.tokens || []) add(config.tokenRegistry && config.tokenRegistry.find(chain.id, symbol));
+  return [...tokens.values()];
+}
+
+// Validated, cost-annotated quotes for one cycle leg at a raw sell amount.
+async function quoteLeg(chain, pair, sellAmount, { prices = priceOracle(), health } = {}) {
+  const usd = await usdPrices(chain, pair, prices);
+  const validation = { ...validationSettings(chain), referencePrice: referencePrice(usd) };
+  const quotes = await collectQuotes(chain, pair, sellAmount, validation, { health });
+  const notionalUsd = usd.sell ? unitsToNumber(sellAmount, pair.fromDecimals) * usd.sell.usd : null;
+  const costCtx = { nativeUsd: usd.native?.usd || null, notionalUsd, gasPriceWei: chainGasPriceWei(quotes, chain) };
+  return quotes.map(q => estimateQuoteCost(q, costCtx));
+}
+
+// Builds the chain's rate graph from the pair results, quotes the missing directions between
+// tokens, then searches and verifies cycles. Returns null when disabled or under three tokens.
+// `context` is { prices, health } as for analyzePair.
+async function scanCycles(chain, pairResults, limit = fn => fn(), context = {}) {
+  const settings = cycleSettings(chain);
+  const prices = context.prices || priceOracle();
+  const tokens = cycleTokens(chain, settings);
+  if (!settings.enabled || tokens.length < 3) return null;
+
+  const byName = new Map((chain.pairs || []).map(p => [p.name, p]));
+  const edges = new Map();
+  for (const result of pairResults) {
+    const pair = byName.get(result.pair);
+    if (!pair || result.error) continue;
+    addEdge(edges, edgeFromQuotes(pair, result.quotes));
+    addEdge(edges, edgeFromQuotes(reversePair(pair), result.reverseQuotes));
+  }
+
+  const sizing = { usdSellTarget: settings.usdSize || chain.defaultUsdSell };
+  const missing = [];
+  for (const from of tokens) {
+    for (const to of tokens) {
+      if (from !== to && !edges.has(`${tokenKey(from.address)}>${tokenKey(to.address)}`)) missing.push(pairFromTokens(from, to, sizing));
+    }
+  }
+  await Promise.all(
+    missing.map(pair =>
+      limit(async () => {
+        const sell = await calculateSellAmount(pair, chain, prices, context.health);
+        addEdge(edges, edgeFromQuotes(pair, await quoteLeg(chain, pair, sell.raw, { prices, health: context.health })));
+      }).catch(() => null)
+    )
+  );
+
+  const byKey = new Map(tokens.map(t => [tokenKey(t.address), t]));
+  const legPair = leg => pairFromTokens(byKey.get(leg.from), byKey.get(leg.to), sizing);
+  const slippageBps = chain.slippageBps ?? DEFAULT_SLIPPAGE_BPS;
+  const candidates = findCycles(edges.values(), settings).slice(0, settings.maxCandidates);
+  const cycles = await Promise.all(
+    candidates.map(cycle =>
+      limit(async () => {
+        const start = await calculateSellAmount(legPair(cycle.legs[0]), chain, prices, context.health);
+        const quote = async (leg, amount) => pickBestBuy(await quoteLeg(chain, legPair(leg), amount, { prices, health: context.health }));
+        return verifyCycle(cycle, start, quote, { slippageBps });
+      }).catch(err => ({ path: cycle.path, hops: cycle.hops, estimated_return_percent: cycle.estimated_return_percent, verified: false, error: err.message }))
+    )
+  );
+
+  const rank = c => (c.verified ? rankValue(c, 'net_profit_usd') : -Infinity);
+  cycles.sort((a, b) => rank(b) - rank(a) || (b.return_percent ?? -Infinity) - (a.return_percent ?? -Infinity));
+  return { tokens: tokens.map(t => t.symbol), edges: edges.size, quoted_pairs: missing.length, cycles };
+}
+
+function rankValue(op, field) {
+  const v = op[field];
+  return v === null || v === undefined || !isFinite(v) ? -Infinity : v;
 }
 
-function buildCsv(report) {
-  const rows = ['timestamp,chain,pair,best,worst,spread_percent,sell_amount,sell_token,buy_token,liquidity_flag'];
+function sortOpportunities(list, rankBy = 'spread_percent') {
+  return (list || []).filter(r => r.spread_percent).sort((a, b) => rankValue(b, rankBy) - rankValue(a, rankBy));
+}
+
+function resolveRankBy(value) {
+  if (!value) return 'spread_percent';
+  if (value === 'net') return 'net_spread_percent';
+  if (!RANK_FIELDS.includes(value)) throw new Error(`RANK_BY must be one of net, ${RANK_FIELDS.join(', ')}`);
+  return value;
+}
+
+function buildCsv(report, options = {}) {
+  const rows = ['timestamp,chain,pair,best,worst,spread_percent,net_spread_percent,net_profit_usd,cost_usd,round_trip_buy_on,round_trip_sell_on,round_trip_profit_percent,round_trip_profit_usd,round_trip_net_profit_usd,sell_amount,sell_token,buy_token,liquidity_flag,status,consecutive_scans,rolling_mean_spread'];
   for (const chain of report.chains) {
-    for (const op of chain.opportunities) {
+    for (const op of sortOpportunities(chain.opportunities, options.rankBy)) {
       const cells = [
         report.timestamp,
         chain.chain,
@@ -234,10 +622,21 @@ function buildCsv(report) {
         op.best,
         op.worst,
         op.spread_percent?.toFixed(4),
+        op.net_spread_percent?.toFixed(4),
+        op.net_profit_usd?.toFixed(4),
+        op.cost_usd?.toFixed(4),
+        op.round_trip?.buy_on,
+        op.round_trip?.sell_on,
+        op.round_trip?.profit_percent?.toFixed(4),
+        op.round_trip?.profit_usd?.toFixed(4),
+        op.round_trip?.net_profit_usd?.toFixed(4),
         op.sellAmount,
         op.sellToken,
         op.buyToken,
-        op.liquidity_flag || ''
+        op.liquidity_flag || '',
+        op.persistence?.status,
+        op.persistence?.consecutive_scans,
+        op.persistence?.rolling_mean_spread?.toFixed(4)
       ];
       rows.push(cells.map(v => (v === undefined ? '' : String(v))).join(','));
     }
@@ -245,73 +644,320 @@ function buildCsv(report) {
   return rows.join('\n');
 }
 
-function buildMarkdown(report) {
+function buildCrossChainCsv(report) {
+  const rows = ['timestamp,asset,buy_chain,buy_pair,buy_on,buy_price,sell_chain,sell_pair,sell_on,sell_price,price_basis,spread_percent,notional_usd,bridge_cost_usd,bridge_latency_min,cost_usd,net_spread_percent,net_profit_usd'];
+  for (const op of report.cross_chain?.opportunities || []) {
+    const cells = [
+      report.timestamp,
+      op.asset,
+      op.buy_chain,
+      op.buy_pair,
+      op.buy_on,
+      op.buy_price,
+      op.sell_chain,
+      op.sell_pair,
+      op.sell_on,
+      op.sell_price,
+      op.price_basis,
+      op.spread_percent?.toFixed(4),
+      op.notional_usd?.toFixed(2),
+      op.bridge_cost_usd,
+      op.bridge_latency_min,
+      op.cost_usd?.toFixed(4),
+      op.net_spread_percent?.toFixed(4),
+      op.net_profit_usd?.toFixed(4)
+    ];
+    rows.push(cells.map(v => (v === undefined || v === null ? '' : String(v))).join(','));
+  }
+  return rows.join('\n');
+}
+
+function buildMarkdown(report, options = {}) {
   const lines = [];
   lines.push(`# Arbitrage Opportunities (${report.timestamp})`);
   for (const chain of report.chains) {
     lines.push(`\n## ${chain.chain} (top ${chain.opportunities.length})`);
-    lines.push('| Pair | Spread % | Best | Worst | Sell Amount | Notes |');
-    lines.push('| --- | ---: | --- | --- | --- | --- |');
-    for (const op of chain.opportunities) {
-      lines.push(`| ${op.pair} | ${op.spread_percent?.toFixed(4) || 'n/a'} | ${op.best || 'n/a'} | ${op.worst || 'n/a'} | ${op.sellAmount} ${op.sellToken} | ${op.liquidity_flag || ''} |`);
+    lines.push('| Pair | Best-Exec Spread % | Net Spread % | Net Profit USD | Best | Worst | Round Trip | Round Trip % | Round Trip USD | Round Trip Net USD | Sell Amount | Notes |');
+    lines.push('| --- | ---: | ---: | ---: | --- | --- | --- | ---: | ---: | ---: | --- | --- |');
+    for (const op of sortOpportunities(chain.opportunities, options.rankBy)) {
+      const rt = op.round_trip;
+      const route = rt ? `${rt.buy_on} -> ${rt.sell_on}` : 'n/a';
+      const persistence = op.persistence ? `${op.persistence.status}, ${op.persistence.consecutive_scans} scans` : '';
+      const notes = [op.liquidity_flag, persistence].filter(Boolean).join('; ');
+      lines.push(`| ${op.pair} | ${op.spread_percent?.toFixed(4) || 'n/a'} | ${op.net_spread_percent?.toFixed(4) || 'n/a'} | ${op.net_profit_usd?.toFixed(4) || 'n/a'} | ${op.best || 'n/a'} | ${op.worst || 'n/a'} | ${route} | ${rt?.profit_percent?.toFixed(4) || 'n/a'} | ${rt?.profit_usd?.toFixed(4) || 'n/a'} | ${rt?.net_profit_usd?.toFixed(4) || 'n/a'} | ${op.sellAmount} ${op.sellToken} | ${notes} |`);
+    }
+    const cycles = chain.cycles?.cycles || [];
+    if (cycles.length) {
+      lines.push(`\n### ${chain.chain} cycles (${chain.cycles.tokens.join(', ')})`);
+      lines.push('| Path | Aggregators | Estimated % | Verified % | Net % | Net Profit USD | Notes |');
+      lines.push('| --- | --- | ---: | ---: | ---: | ---: | --- |');
+      for (const c of cycles) {
+        lines.push(`| ${c.path.join(' -> ')} | ${(c.aggregators || []).join(', ')} | ${c.estimated_return_percent.toFixed(4)} | ${c.return_percent?.toFixed(4) || 'n/a'} | ${c.net_return_percent?.toFixed(4) || 'n/a'} | ${c.net_profit_usd?.toFixed(4) || 'n/a'} | ${c.error || ''} |`);
+      }
+    }
+    const cexRows = (chain.raw || []).flatMap(r => (r.cex_spreads || []).map(c => ({ pair: r.pair, ...c })));
+    const cexErrors = (chain.raw || []).flatMap(r => (r.cex_quotes || []).filter(q => q.error).map(q => `${q.source} ${r.pair}: ${q.error}`));
+    if (cexRows.length || cexErrors.length) {
+      lines.push(`\n### ${chain.chain} DEX vs CEX`);
+      lines.push('| Pair | Venue | Route | Buy Price | Sell Price | CEX Mid | Spread % | Taker Fee bps | Net Spread % | Net Profit USD |');
+      lines.push('| --- | --- | --- | ---: | ---: | ---: | ---: | ---: | ---: | ---: |');
+      for (const c of cexRows) {
+        lines.push(`| ${c.pair} | ${c.venue} ${c.symbol} | ${c.buy_on} -> ${c.sell_on} | ${c.buy_price.toPrecision(8)} | ${c.sell_price.toPrecision(8)} | ${c.mid_price.toPrecision(8)} | ${c.spread_percent.toFixed(4)} | ${c.taker_fee_bps} | ${c.net_spread_percent?.toFixed(4) || 'n/a'} | ${c.net_profit_usd?.toFixed(4) || 'n/a'} |`);
+      }
+      if (cexErrors.length) lines.push(`\nCEX errors: ${cexErrors.join('; ')}`);
+    }
+    if (chain.closed?.length) {
+      lines.push(`\nClosed since last scan: ${chain.closed.map(c => `${c.pair} (${c.last_spread_percent?.toFixed(4)}%)`).join(', ')}`);
+    }
+  }
+  const crossChain = report.cross_chain?.opportunities || [];
+  if (crossChain.length) {
+    lines.push(`\n## Cross-chain (top ${crossChain.length})`);
+    lines.push('| Asset | Buy | Sell | Buy Price | Sell Price | Spread % | Bridge USD | Bridge Min | Net Spread % | Net Profit USD |');
+    lines.push('| --- | --- | --- | ---: | ---: | ---: | ---: | ---: | ---: | ---: |');
+    for (const op of crossChain) {
+      lines.push(`| ${op.asset} | ${op.buy_chain} (${op.buy_on}) | ${op.sell_chain} (${op.sell_on}) | ${op.buy_price.toPrecision(8)} | ${op.sell_price.toPrecision(8)} | ${op.spread_percent.toFixed(4)} | ${op.bridge_cost_usd} | ${op.bridge_latency_min} | ${op.net_spread_percent?.toFixed(4) || 'n/a'} | ${op.net_profit_usd?.toFixed(4) || 'n/a'} |`);
+    }
+  }
+  const health = report.health?.aggregators || [];
+  if (health.length) {
+    lines.push('\n## Aggregator health');
+    lines.push('| Chain | Aggregator | Attempts | Success % | Retries | Skipped | p50 ms | p95 ms | Errors | Breaker |');
+    lines.push('| --- | --- | ---: | ---: | ---: | ---: | ---: | ---: | --- | --- |');
+    for (const h of health) {
+      const rate = h.success_rate === null ? 'n/a' : (h.success_rate * 100).toFixed(1);
+      lines.push(`| ${h.chain} | ${h.aggregator} | ${h.attempts} | ${rate} | ${h.retries} | ${h.skipped} | ${h.latency_ms.p50 ?? 'n/a'} | ${h.latency_ms.p95 ?? 'n/a'} | ${formatErrorClasses(h.errors)} | ${h.breaker} |`);
+    }
+  }
+  if (report.paper) {
+    const t = report.paper.totals;
+    const rate = t.win_rate === null ? 'n/a' : `${(t.win_rate * 100).toFixed(1)}%`;
+    lines.push('\n## Paper trading');
+    lines.push(`PnL ${t.pnl_usd.toFixed(2)} USD over ${t.fills} fills (win rate ${rate}, max drawdown ${t.max_drawdown_usd.toFixed(2)} USD, ${t.skipped} skipped).`);
+    if (report.paper.trades.length) {
+      lines.push('\n| Chain | Pair | Route | Status | PnL USD | Notes |');
+      lines.push('| --- | --- | --- | --- | ---: | --- |');
+      for (const tr of report.paper.trades) {
+        lines.push(`| ${tr.chain} | ${tr.pair} | ${tr.buy_on} -> ${tr.sell_on} | ${tr.status} | ${tr.pnl_usd?.toFixed(4) || 'n/a'} | ${tr.reason || ''} |`);
+      }
     }
   }
+  const prices = Object.entries(report.prices?.tokens || {});
+  if (prices.length) {
+    lines.push('\n## USD prices');
+    lines.push('| Token | USD | Source | As Of |');
+    lines.push('| --- | ---: | --- | --- |');
+    for (const [id, p] of prices) lines.push(`| ${id} | ${p.usd} | ${p.source} | ${p.at || 'static'} |`);
+    if (report.prices.errors.length) lines.push(`\nCoinGecko errors: ${report.prices.errors.join('; ')}`);
+  }
   return lines.join('\n');
 }
 
-async function main() {
-  const timestamp = new Date().toISOString();
-  const enabledChains = parseChainFilter(config.chains || []);
-
-  const chainReports = [];
-  for (const chain of enabledChains) {
-    const pairResults = [];
-    for (const pair of chain.pairs || []) {
-      try {
-        const r = await analyzePair(chain, pair);
-        pairResults.push(r);
-      } catch (err) {
-        pairResults.push({ pair: pair.name, chainId: chain.id, chain: chain.name, error: err.message });
-      }
-    }
-    const opportunities = sortOpportunities(pairResults);
-    chainReports.push({ chain: chain.name, chainId: chain.id, total_pairs: pairResults.length, opportunities, raw: pairResults });
+function cliOption(name) {
+  const idx = process.argv.indexOf(name);
+  return idx >= 0 ? process.argv[idx + 1] : null;
+}
+
+let clientReady = false;
+let replaying = false;
+
+// One-time setup of the shared HTTP client for CLI entry points.
+function setupClient(options = {}) {
+  if (clientReady) return;
+  clientReady = true;
+  const recordDir = options.record || cliOption('--record');
+  const replayDir = options.replay || cliOption('--replay');
+  if (recordDir && replayDir) throw new Error('--record and --replay are mutually exclusive');
+  if (recordDir) enableRecording(axiosClient, path.resolve(recordDir));
+  if (replayDir) enableReplay(axiosClient, path.resolve(replayDir));
+  replaying = Boolean(replayDir);
+  if (!replayDir) installRateLimits(axiosClient, config.rateLimits);
+}
+
+function scanConcurrency() {
+  return Number(process.env.SCAN_CONCURRENCY) || config.concurrency || 1;
+}
+
+async function scanChains(chains, { rankBy, concurrency, prices, health }) {
+  const limit = createLimiter(concurrency);
+  return Promise.all(
+    chains.map(async chain => {
+      const pairResults = await Promise.all(
+        (chain.pairs || []).map(pair =>
+          limit(() => analyzePair(chain, pair, { prices, health })).catch(err => ({ pair: pair.name, chainId: chain.id, chain: chain.name, error: err.message }))
+        )
+      );
+      const opportunities = sortOpportunities(pairResults, rankBy);
+      const report = { chain: chain.name, chainId: chain.id, total_pairs: pairResults.length, opportunities, raw: pairResults };
+      const cycles = await scanCycles(chain, pairResults, limit, { prices, health }).catch(err => ({ error: err.message, cycles: [] }));
+      if (cycles) report.cycles = cycles;
+      return report;
+    })
+  );
+}
+
+// `paper.ledgerFile` (relative to the repo root) or `paper-ledger.json` in the reports directory.
+function paperLedgerFile(outDir = REPORTS_DIR) {
+  const file = (config.paper || {}).ledgerFile;
+  return file ? path.resolve(ROOT_DIR, file) : path.join(outDir, 'paper-ledger.json');
+}
+
+// Every CoinGecko id a scan of `chains` may price: pair tokens, cycle tokens and native tokens.
+function scanPriceIds(chains) {
+  const ids = new Set();
+  for (const chain of chains) {
+    ids.add(chain.nativeCoingeckoId);
+    for (const pair of chain.pairs || []) ids.add(pair.coingeckoId).add(pair.toCoingeckoId);
+    if (cycleSettings(chain).enabled) for (const token of cycleTokens(chain, cycleSettings(chain))) ids.add(token.coingeckoId);
+  }
+  return [...ids].filter(Boolean);
+}
+
+async function postWebhook(report, log = console) {
+  const webhook = process.env.WEBHOOK_URL;
+  if (!webhook || !report.top.length) return;
+  try {
+    await axiosClient.post(webhook, report, { headers: { 'Content-Type': 'application/json' }, timeout: 10000 });
+    log.log('Posted to webhook');
+  } catch (err) {
+    log.warn('Webhook post failed:', err.message || err);
   }
+}
 
+// `top` and the summary counts that come from the chain results alone.
+function summarizeChains(chainReports, rankBy) {
   const flattened = chainReports.flatMap(c => c.opportunities || []);
-  const topFlattened = sortOpportunities(flattened).slice(0, 20);
-  const report = {
-    timestamp,
-    chains: chainReports,
-    top: topFlattened,
-    summary: {
-      total_chains: chainReports.length,
-      total_pairs: chainReports.reduce((acc, c) => acc + c.total_pairs, 0),
-      candidates: topFlattened.length
-    }
+  const top = sortOpportunities(flattened, rankBy).slice(0, 20);
+  const summary = {
+    total_chains: chainReports.length,
+    total_pairs: chainReports.reduce((acc, c) => acc + c.total_pairs, 0),
+    candidates: top.length,
+    round_trip_profitable: flattened.filter(op => op.round_trip?.net_token_gain > 0).length,
+    net_profitable: flattened.filter(op => op.net_profit_usd > 0).length
   };
+  const cycles = chainReports.flatMap(c => (c.cycles ? c.cycles.cycles : []));
+  if (chainReports.some(c => c.cycles)) {
+    summary.cycles_verified = cycles.filter(c => c.verified).length;
+    summary.cycles_profitable = cycles.filter(c => c.net_profit_usd > 0).length;
+  }
+  const cexRows = chainReports.flatMap(c => (c.raw || []).flatMap(r => r.cex_spreads || []));
+  if (chainReports.some(c => (c.raw || []).some(r => r.cex_quotes))) {
+    summary.cex_spreads = cexRows.length;
+    summary.cex_profitable = cexRows.filter(row => row.net_profit_usd > 0).length;
+  }
+  return { flattened, top, summary };
+}
 
-  const outPath = path.join(REPORTS_DIR, `opportunities-${timestamp.replace(/[:.]/g, '-')}.json`);
-  fs.writeFileSync(outPath, JSON.stringify(report, null, 2));
+// Watch cycles only scan the chains that are due. `latestChains` (chain name -> chain report)
+// carries every chain's newest result between cycles, so the latest.* files keep the chains this
+// cycle skipped; each chain says when it was scanned in `scanned_at`.
+function mergeLatest(report, latestChains, rankBy) {
+  for (const chain of report.chains) latestChains.set(chain.chain, { ...chain, scanned_at: report.timestamp });
+  if (latestChains.size === report.chains.length) return report;
+  const chains = [...latestChains.values()];
+  const { top, summary } = summarizeChains(chains, rankBy);
+  const merged = { ...report, chains, top, summary: { ...report.summary, ...summary } };
+  if (report.cross_chain) {
+    const scanned = (config.chains || []).filter(c => latestChains.has(c.name));
+    merged.cross_chain = findCrossChain(chains, scanned, config.crossChain);
+    merged.summary.cross_chain_candidates = merged.cross_chain.opportunities.length;
+  }
+  return merged;
+}
 
-  const latestJson = path.join(REPORTS_DIR, 'latest.json');
-  fs.writeFileSync(latestJson, JSON.stringify(report, null, 2));
-  fs.writeFileSync(path.join(REPORTS_DIR, 'latest.csv'), buildCsv(report));
-  fs.writeFileSync(path.join(REPORTS_DIR, 'latest.md'), buildMarkdown(report));
+// One full scan cycle: quote, build the report, update history, write artifacts, post the webhook.
+// Options: chains, rankBy, concurrency, outDir, write (false skips report files and history),
+// notify (false skips alerts and the webhook), log (defaults to console), latestChains (see
+// mergeLatest; the merged report is then returned, the per-cycle one goes to the report file),
+// replay (also set by setupClient for --replay).
+// A replayed scan starts from empty price and breaker state and saves neither: a cached price
+// changes the sell amounts and an open breaker skips a call, so the recording would not match.
+async function runScan(options = {}) {
+  const timestamp = new Date().toISOString();
+  const rankBy = resolveRankBy(options.rankBy || process.env.RANK_BY);
+  const log = options.log || console;
+  const outDir = options.outDir ? path.resolve(options.outDir) : REPORTS_DIR;
+  const write = options.write !== false;
+  const notify = options.notify !== false;
+  const enabledChains = options.chains || parseChainFilter(config.chains || []);
 
-  console.log('Wrote', outPath);
+  const replay = Boolean(options.replay) || replaying;
 
-  const webhook = process.env.WEBHOOK_URL;
-  if (webhook && report.top.length) {
-    try {
-      await axiosClient.post(webhook, report, { headers: { 'Content-Type': 'application/json' }, timeout: 10000 });
-      console.log('Posted to webhook');
-    } catch (err) {
-      console.warn('Webhook post failed:', err.message || err);
+  const healthSettings = config.health || {};
+  const healthFile = healthSettings.stateFile ? path.resolve(ROOT_DIR, healthSettings.stateFile) : path.join(outDir, 'health-state.json');
+  if (!replay && !healthStates.has(healthFile)) healthStates.set(healthFile, loadHealthState(healthFile));
+  const health = createHealthTracker(healthSettings, replay ? { breakers: {} } : healthStates.get(healthFile), enabledChains);
+  const priceSettings = config.prices || {};
+  const priceFile = priceSettings.cacheFile ? path.resolve(ROOT_DIR, priceSettings.cacheFile) : path.join(outDir, 'price-cache.json');
+  const scanPrices = replay ? new Map() : loadPriceCache(priceFile, priceCache);
+  const prices = createPriceOracle(priceSettings, { fetchBatch: fetchCoinGeckoPrices, cache: scanPrices });
+  await prices.prefetch(scanPriceIds(enabledChains));
+  const chainReports = await scanChains(enabledChains, { rankBy, concurrency: options.concurrency || scanConcurrency(), prices, health });
+
+  const { flattened, top, summary } = summarizeChains(chainReports, rankBy);
+  const report = { timestamp, rank_by: rankBy, chains: chainReports, top, summary };
+  report.prices = prices.snapshot();
+  report.health = health.snapshot();
+  report.summary.open_breakers = report.health.aggregators.filter(a => a.breaker === 'open').length;
+  if ((config.crossChain || {}).enabled !== false) {
+    report.cross_chain = findCrossChain(chainReports, enabledChains, config.crossChain);
+    report.summary.cross_chain_candidates = report.cross_chain.opportunities.length;
+  }
+
+  const historyOpts = historyOptions(config);
+  const history = createHistoryStore(historyOpts.dir, historyOpts);
+  annotateReport(report, history, historyOpts);
+  report.summary.new_opportunities = flattened.filter(op => op.persistence?.status === 'new').length;
+  report.summary.closed_opportunities = chainReports.reduce((acc, c) => acc + c.closed.length, 0);
+  const paper = paperSettings(config.paper);
+  const ledgerFile = paperLedgerFile(outDir);
+  // Read fresh every scan: a `paper replay` run between watch cycles must not be overwritten.
+  const ledger = paper.enabled ? loadLedger(ledgerFile, log) : null;
+  if (ledger) {
+    report.paper = { ...simulateReport(report, ledger, paper, config.chains || []), totals: summarizeLedger(ledger) };
+    report.summary.paper_fills = report.paper.trades.filter(t => t.status === 'filled').length;
+    report.summary.paper_pnl_usd = report.paper.totals.pnl_usd;
+  }
+  if (write) {
+    history.append(report);
+    history.prune();
+    if (!replay) {
+      saveHealthState(healthFile, health.state());
+      savePriceCache(priceFile, priceCache, priceSettings);
+    }
+    if (ledger) saveLedger(ledgerFile, ledger);
+  }
+
+  const alerts = notify && hasAlertRules(config) ? prepareAlerts(report, config.alerts, ROOT_DIR) : null;
+  if (alerts) report.alerts = alerts.events.map(({ channels, ...event }) => event);
+
+  const latest = options.latestChains ? mergeLatest(report, options.latestChains, rankBy) : report;
+  if (write) {
+    fs.mkdirSync(outDir, { recursive: true });
+    const outPath = path.join(outDir, reportFileName(timestamp));
+    fs.writeFileSync(outPath, JSON.stringify(report, null, 2));
+    fs.writeFileSync(path.join(outDir, 'latest.json'), JSON.stringify(latest, null, 2));
+    fs.writeFileSync(path.join(outDir, 'latest.csv'), buildCsv(latest, { rankBy }));
+    fs.writeFileSync(path.join(outDir, 'latest.md'), buildMarkdown(latest, { rankBy }));
+    fs.writeFileSync(path.join(outDir, 'latest-cross-chain.csv'), buildCrossChainCsv(latest));
+    log.log('Wrote', outPath);
+  }
+
+  if (alerts) {
+    const results = await sendAlerts(alerts.events, config.alerts, ROOT_DIR, { timestamp, log });
+    for (const result of results) {
+      if (result.error) log.warn(`Alert channel ${result.channel} failed:`, result.error);
+      else log.log(`Sent ${result.sent} alerts to ${result.channel}`);
     }
+    if (write) commitAlerts(alerts, results);
+  } else if (notify) {
+    await postWebhook(report, log);
   }
+  return latest;
+}
 
-  console.log(JSON.stringify(report, null, 2));
+function main() {
+  return require('./cli').run(process.argv.slice(2));
 }
 
 function parseChainFilter(chains) {
@@ -321,9 +967,110 @@ function parseChainFilter(chains) {
   return chains.filter(c => allow.includes(c.id));
 }
 
+function listFilter(value) {
+  if (!value) return null;
+  const items = (Array.isArray(value) ? value : String(value).split(',')).map(v => String(v).trim()).filter(Boolean);
+  return items.length ? items : null;
+}
+
+function pairKey(text) {
+  return String(text).replace(/\s+/g, '').toUpperCase();
+}
+
+function pairMatches(pair, wanted) {
+  return wanted.some(w => pairKey(w) === pairKey(pair.name) || pairKey(w) === pairKey(`${pair.fromSymbol}/${pair.toSymbol}`));
+}
+
+// Narrow configured chains by name/id, pair ("WETH/USDC" or the configured name) and aggregator.
+// Without a chain filter, CHAIN_IDS still applies. Chains left with no pairs or aggregators are dropped.
+function selectChains(chains, filters = {}) {
+  const chainFilter = listFilter(filters.chains);
+  const pairFilter = listFilter(filters.pairs);
+  const aggFilter = listFilter(filters.aggregators);
+  const base = chainFilter ? chains.filter(c => chainFilter.includes(c.name) || chainFilter.includes(String(c.id))) : parseChainFilter(chains);
+  return base
+    .map(chain => ({
+      ...chain,
+      pairs: pairFilter ? (chain.pairs || []).filter(p => pairMatches(p, pairFilter)) : chain.pairs,
+      aggregators: aggFilter ? (chain.aggregators || []).filter(a => aggFilter.includes(a)) : chain.aggregators
+    }))
+    .filter(chain => (chain.pairs || []).length && (chain.aggregators || []).length);
+}
+
+function findChain(ref) {
+  return (config.chains || []).find(c => c.name === ref || String(c.id) === String(ref)) || null;
+}
+
+// Resolve an ad-hoc quote request (CLI `quote`, API `/api/quote`) to a chain and pair. The pair can
+// be a configured one or any two registry symbols. Throws on bad input.
+function resolveQuoteRequest(chainRef, pairText, { amount, aggregators } = {}) {
+  const chain = findChain(chainRef);
+  if (!chain) throw new Error(`Unknown chain ${chainRef} (configured: ${(config.chains || []).map(c => c.name).join(', ')})`);
+  const wanted = listFilter(aggregators);
+  const chainAggregators = wanted ? chain.aggregators.filter(a => wanted.includes(a)) : chain.aggregators;
+  if (!chainAggregators.length) throw new Error(`None of ${wanted.join(', ')} is configured for ${chain.name}`);
+
+  let pair = (chain.pairs || []).find(p => pairMatches(p, [pairText]));
+  if (!pair) {
+    const { entries, problems } = expandChainPairs({ id: chain.id, name: chain.name, pairs: [pairText] }, config.tokenRegistry);
+    if (problems.length) throw new Error(`${chain.name} ${pairText}: ${problems[0].message}`);
+    pair = entries[0].pair;
+  }
+  pair = { ...pair };
+  if (amount !== undefined && amount !== null) {
+    // Checked the way calculateSellAmount will read it, so 1e-7 or 0x10 fail here as bad input.
+    let raw = null;
+    try {
+      raw = parseUnits(String(amount), pair.fromDecimals);
+    } catch (err) {
+      // Not a plain decimal; reported below.
+    }
+    if (!(raw > 0n)) throw new Error(`amount must be a positive decimal number of ${pair.fromSymbol} (at least one base unit), got ${amount}`);
+    pair.sampleSellAmount = String(amount);
+  }
+  return { chain: { ...chain, aggregators: chainAggregators }, pair };
+}
+
+module.exports = {
+  config,
+  REPORTS_DIR,
+  withRetry,
+  decorateError,
+  normalizeAmount,
+  priceOracle,
+  fetchTokenUsdPrice,
+  fetchCoinGeckoPrices,
+  calculateSellAmount,
+  collectQuotes,
+  normalizeQuote,
+  validateQuotes,
+  computeSpread,
+  computeRoundTrip,
+  computeNetFigures,
+  estimateQuoteCost,
+  sweepDepth,
+  analyzePair,
+  sortOpportunities,
+  resolveRankBy,
+  rankValue,
+  validationSettings,
+  scanCycles,
+  buildCsv,
+  buildCrossChainCsv,
+  buildMarkdown,
+  parseChainFilter,
+  selectChains,
+  resolveQuoteRequest,
+  setupClient,
+  scanChains,
+  paperLedgerFile,
+  runScan,
+  main,
+  priceCache
+};
+
 if (require.main === module) {
-  main().catch(err => {
-    console.error(err);
-    process.exit(1);
+  main().then(code => {
+    process.exitCode = code;
   });
 }
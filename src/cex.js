@@ -0,0 +1,153 @@
+/**
+ * Centralized-exchange venues next to the DEX aggregators.
+ *
+ * CEX adapters (`kind: 'cex'` in ./adapters) fetch a public order book and hand it to
+ * `fillFromBook`, which walks the book depth for the pair's sell amount: the effective fill
+ * price at that size, not the mid. A chain lists its venues in `chains[].cexVenues`; their quotes
+ * are collected with the aggregators' and then kept apart as `cex_quotes`, so DEX-vs-DEX spreads,
+ * round trips and depth sweeps are unchanged.
+ *
+ * Pairs map to markets by symbol: `WETH / USDC` is the ETH/USDC market. Registry symbols are
+ * turned into exchange assets with `cex.symbols` ({ "WETH": "ETH" }, merged over the defaults
+ * below); an adapter's own `symbols` setting renames assets for that venue (Kraken's XBT). When
+ * the pair sells a quote asset (USDC / WETH) the book is walked from the other side.
+ *
+ * `cexSpreads` compares each venue with the pair's best DEX route in both directions (buy on the
+ * CEX and sell on a DEX, or the reverse) and nets out the DEX leg cost, the venue's taker fee
+ * (`adapters.<venue>.takerFeeBps`) and one leg of the chain's slippage buffer.
+ */
+const { DEFAULT_SLIPPAGE_BPS, parseUnits, unitsToNumber } = require('./amounts');
+const { legPrices } = require('./crosschain');
+
+const DEFAULT_SYMBOLS = { WETH: 'ETH', WBTC: 'BTC', WMATIC: 'POL', WBNB: 'BNB' };
+const QUOTE_ASSETS = ['USD', 'USDC', 'USDT', 'DAI', 'FDUSD', 'EUR'];
+
+// { base, quote, inverted } for a pair, or null when a side has no symbol. `inverted` means the
+// pair sells the market's quote asset.
+function cexMarket(pair, settings = {}) {
+  const symbols = { ...DEFAULT_SYMBOLS, ...(settings.symbols || {}) };
+  const asset = symbol => (symbol ? symbols[symbol] || symbol.toUpperCase() : null);
+  const from = asset(pair.fromSymbol);
+  const to = asset(pair.toSymbol);
+  if (!from || !to) return null;
+  const inverted = QUOTE_ASSETS.includes(from) && !QUOTE_ASSETS.includes(to);
+  return inverted ? { base: to, quote: from, inverted } : { base: from, quote: to, inverted };
+}
+
+// Exchange symbol for a market, e.g. venueSymbol(market, settings, '-') -> "ETH-USDC".
+function venueSymbol(market, settings = {}, separator = '') {
+  const rename = settings.symbols || {};
+  return [market.base, market.quote].map(a => rename[a] || a).join(separator);
+}
+
+function bookLevels(levels) {
+  return (levels || []).map(([price, size]) => [Number(price), Number(size)]).filter(([price, size]) => price > 0 && size > 0);
+}
+
+// Walks price levels (best first) until `amount` is filled. `unit` says what `amount` is in:
+// 'base' returns the quote total for that much base, 'quote' the base total for that much quote.
+function walkBook(levels, amount, unit = 'base') {
+  let left = amount;
+  let total = 0;
+  let used = 0;
+  for (const [price, size] of levels) {
+    if (left <= 0) break;
+    const capacity = unit === 'base' ? size : size * price;
+    const take = Math.min(left, capacity);
+    total += unit === 'base' ? take * price : take / price;
+    left -= take;
+    used += 1;
+  }
+  if (left > amount * 1e-12) throw new Error(`order book too thin: filled ${amount - left} of ${amount} ${unit}`);
+  return { total, levels: used };
+}
+
+// Adapter normalize() for an order book { symbol, bids, asks } (levels as [price, size, ...]).
+// Selling the base walks the bids; selling the quote asset buys base from the asks. `raw.buy_price`
+// is the other side at the same size: buy-token paid per sell-token bought.
+function fillFromBook(source, book, { pair, sellAmount, settings = {} }) {
+  const bids = bookLevels(book.bids);
+  const asks = bookLevels(book.asks);
+  if (!bids.length || !asks.length) throw new Error(`${source} ${book.symbol}: empty order book`);
+  const amount = unitsToNumber(sellAmount, pair.fromDecimals);
+  const { inverted } = pair.market;
+
+  let sell;
+  let buy;
+  try {
+    sell = inverted ? walkBook(asks, amount, 'quote') : walkBook(bids, amount, 'base');
+    buy = inverted ? walkBook(bids, amount, 'quote') : walkBook(asks, amount, 'base');
+  } catch (err) {
+    throw new Error(`${source} ${book.symbol}: ${err.message}`);
+  }
+
+  const mid = (bids[0][0] + asks[0][0]) / 2;
+  // Float sums carry noise past ~15 significant digits; don't let it into the raw amount.
+  const received = Number(sell.total.toPrecision(15)).toFixed(pair.toDecimals);
+  return {
+    source,
+    venue: 'cex',
+    buyAmount: parseUnits(received, pair.toDecimals).toString(),
+    sellAmount: String(sellAmount),
+    raw: {
+      symbol: book.symbol,
+      best_bid: bids[0][0],
+      best_ask: asks[0][0],
+      mid_price: inverted ? 1 / mid : mid,
+      buy_price: buy.total / amount,
+      levels: sell.levels,
+      taker_fee_bps: settings.takerFeeBps ?? 0
+    }
+  };
+}
+
+// Adapter costHints(): no gas, the taker fee as a fraction of the notional.
+function takerFeeHints(raw) {
+  return { gasUsd: 0, feeFraction: (raw.taker_fee_bps || 0) / 10000 };
+}
+
+function usable(q) {
+  return !q.error && !q.suspect && q.price > 0;
+}
+
+function spreadRow(dex, q, notionalUsd, slippageBps) {
+  const dexLeg = legPrices(dex);
+  if (!dexLeg) return null;
+  const buyCex = { buy_on: q.source, sell_on: dexLeg.sell_on, buy_price: q.raw.buy_price, sell_price: dexLeg.sell_price, dex_cost_usd: dexLeg.sell_cost_usd };
+  const sellCex = { buy_on: dexLeg.buy_on, sell_on: q.source, buy_price: dexLeg.buy_price, sell_price: q.price, dex_cost_usd: dexLeg.buy_cost_usd };
+  const spread = side => ((side.sell_price - side.buy_price) / side.buy_price) * 100;
+  const [direction, side] = spread(buyCex) >= spread(sellCex) ? ['buy_cex', buyCex] : ['sell_cex', sellCex];
+  const spreadPercent = spread(side);
+
+  let net = null;
+  if (notionalUsd && side.dex_cost_usd !== null && q.costUsd !== null && q.costUsd !== undefined) {
+    const cost = side.dex_cost_usd + q.costUsd + notionalUsd * (slippageBps / 10000);
+    const profit = notionalUsd * (spreadPercent / 100) - cost;
+    net = { cost_usd: cost, net_profit_usd: profit, net_spread_percent: (profit / notionalUsd) * 100 };
+  }
+  return {
+    venue: q.source,
+    symbol: q.raw.symbol,
+    direction,
+    buy_on: side.buy_on,
+    sell_on: side.sell_on,
+    buy_price: side.buy_price,
+    sell_price: side.sell_price,
+    mid_price: q.raw.mid_price,
+    price_basis: direction === 'sell_cex' ? dexLeg.price_basis : 'forward',
+    spread_percent: spreadPercent,
+    taker_fee_bps: q.raw.taker_fee_bps,
+    cost_usd: net ? net.cost_usd : null,
+    net_spread_percent: net ? net.net_spread_percent : null,
+    net_profit_usd: net ? net.net_profit_usd : null
+  };
+}
+
+// One row per usable CEX quote, best net first. `dex` is { quotes, reverseQuotes } of the pair.
+function cexSpreads(dex, cexQuotes, { notionalUsd = null, slippageBps = DEFAULT_SLIPPAGE_BPS } = {}) {
+  const rows = cexQuotes.filter(usable).map(q => spreadRow(dex, q, notionalUsd, slippageBps)).filter(Boolean);
+  const rank = row => (row.net_profit_usd === null ? -Infinity : row.net_profit_usd);
+  return rows.sort((a, b) => rank(b) - rank(a) || b.spread_percent - a.spread_percent);
+}
+
+module.exports = { QUOTE_ASSETS, cexMarket, venueSymbol, walkBook, fillFromBook, takerFeeHints, cexSpreads };
@@ -0,0 +1,427 @@
+#!/usr/bin/env node
+/**
+ * Command-line interface: `node src/cli.js <command>` (`node src/arbitrage.js` with no command scans).
+ *
+ *   scan   [--chains 1,polygon] [--pairs WETH/USDC,...] [--aggregators 0x,1inch] [--format json|csv|md|table]
+ *          [--out <dir>] [--no-write] [--no-webhook] [--rank-by net] [--fail-above <n>] [--record|--replay <dir>]
+ *   quote  <chain> <pair> [--amount <sell tokens>] [--aggregators ...] [--format table|json]
+ *   report show [latest|<timestamp>|<file>] [--format table|json|csv|md] [--dir <dir>]
+ *   report diff <a> <b> [--format table|json] [--dir <dir>]
+ *   paper  show|replay [--dir <reports dir>] [--ledger <file>] [--reset] [--no-write] [--format table|json]
+ *   watch  [--chains ...] [--pairs ...] [--aggregators ...] [--out <dir>] [--no-write] [--no-webhook]
+ *   serve  [--port 8787] [--host 127.0.0.1] [--dir <reports dir>] [--watch + the watch flags]
+ *   validate-config [file]
+ *
+ * Exit codes: 0 ok, 1 unexpected error, 2 bad usage, 3 an opportunity is above `--fail-above`
+ * (compared on the `--rank-by` figure), 4 no usable quotes at all.
+ */
+const path = require('path');
+
+const EXIT = { OK: 0, ERROR: 1, USAGE: 2, THRESHOLD: 3, NO_QUOTES: 4 };
+const SCAN_FORMATS = ['json', 'csv', 'md', 'table'];
+
+const USAGE = `Usage:
+  node src/cli.js scan [--chains 1,polygon] [--pairs WETH/USDC] [--aggregators 0x,1inch]
+                       [--format json|csv|md|table] [--out <dir>] [--no-write] [--no-webhook]
+                       [--rank-by spread_percent|net|net_spread_percent|net_profit_usd] [--fail-above <n>]
+                       [--record <dir> | --replay <dir>]
+  node src/cli.js quote <chain> <pair> [--amount <sell tokens>] [--aggregators ...] [--format table|json]
+  node src/cli.js report show [latest|<timestamp>|<file>] [--format table|json|csv|md] [--dir <dir>]
+  node src/cli.js report diff <a> <b> [--format table|json] [--dir <dir>]
+  node src/cli.js report health [latest|<timestamp>|<file>] [--format table|json|prom] [--dir <dir>]
+  node src/cli.js paper show [--ledger <file>] [--dir <dir>] [--format table|json]
+  node src/cli.js paper replay [--dir <dir>] [--ledger <file>] [--reset] [--no-write] [--format table|json]
+  node src/cli.js watch [--chains ...] [--pairs ...] [--aggregators ...] [--out <dir>] [--no-write] [--no-webhook]
+  node src/cli.js serve [--port 8787] [--host 127.0.0.1] [--dir <reports dir>] [--watch + the watch flags]
+  node src/cli.js validate-config [file]`;
+
+const FILTER_OPTIONS = { chains: 'string', pairs: 'string', aggregators: 'string' };
+const CLIENT_OPTIONS = { record: 'string', replay: 'string' };
+const OUTPUT_OPTIONS = { out: 'string', write: 'boolean', webhook: 'boolean', 'rank-by': 'string' };
+
+function usageError(message) {
+  const err = new Error(message);
+  err.usage = true;
+  return err;
+}
+
+function camel(name) {
+  return name.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+// Parses `--name value`, `--name=value`, bare boolean `--flag` and `--no-flag` against a
+// { name: 'string' | 'boolean' } spec. Anything not starting with `--` is positional.
+function parseArgs(argv, spec) {
+  const options = {};
+  const positionals = [];
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+    const eq = arg.indexOf('=');
+    const name = eq >= 0 ? arg.slice(2, eq) : arg.slice(2);
+    const inline = eq >= 0 ? arg.slice(eq + 1) : undefined;
+
+    if (spec[name] === 'boolean') {
+      options[camel(name)] = inline === undefined ? true : inline !== 'false';
+    } else if (name.startsWith('no-') && spec[name.slice(3)] === 'boolean') {
+      options[camel(name.slice(3))] = false;
+    } else if (spec[name] === 'string') {
+      const value = inline !== undefined ? inline : argv[i + 1];
+      if (value === undefined || (inline === undefined && value.startsWith('--'))) throw usageError(`--${name} needs a value`);
+      if (inline === undefined) i += 1;
+      options[camel(name)] = value;
+    } else {
+      throw usageError(`Unknown option --${name}`);
+    }
+  }
+  return { options, positionals };
+}
+
+function pickFormat(value, allowed, fallback) {
+  const format = value || fallback;
+  if (!allowed.includes(format)) throw usageError(`--format must be one of ${allowed.join(', ')}`);
+  return format;
+}
+
+function parseThreshold(value) {
+  if (value === undefined) return null;
+  const n = Number(value);
+  if (value === '' || !isFinite(n)) throw usageError('--fail-above needs a number');
+  return n;
+}
+
+function rankByOption(value) {
+  const { resolveRankBy } = require('./arbitrage');
+  try {
+    return resolveRankBy(value || process.env.RANK_BY);
+  } catch (err) {
+    throw usageError(err.message);
+  }
+}
+
+function fmt(value, digits = 4) {
+  return value === null || value === undefined || !isFinite(value) ? '' : Number(value).toFixed(digits);
+}
+
+// Plain-text table; columns whose cells are all numeric are right-aligned.
+function formatTable(headers, rows) {
+  const cells = rows.map(row => row.map(v => (v === null || v === undefined ? '' : String(v))));
+  const widths = headers.map((h, i) => Math.max(h.length, ...cells.map(r => r[i].length)));
+  const numeric = headers.map((_, i) => cells.length > 0 && cells.every(r => r[i] === '' || isFinite(Number(r[i]))));
+  const line = row => row.map((v, i) => (numeric[i] ? v.padStart(widths[i]) : v.padEnd(widths[i]))).join('  ').trimEnd();
+  return [line(headers), widths.map(w => '-'.repeat(w)).join('  '), ...cells.map(line)].join('\n');
+}
+
+function scanTable(report, rankBy) {
+  const { sortOpportunities } = require('./arbitrage');
+  const rows = [];
+  const failed = [];
+  for (const chain of report.chains) {
+    for (const op of sortOpportunities(chain.opportunities, rankBy)) {
+      const rt = op.round_trip;
+      const notes = [op.liquidity_flag, op.suspect_quotes ? `${op.suspect_quotes} suspect` : null, op.persistence?.status].filter(Boolean).join('; ');
+      rows.push([chain.chain, op.pair, fmt(op.spread_percent), fmt(op.net_spread_percent), fmt(op.net_profit_usd), op.best, op.worst, rt ? `${rt.buy_on} -> ${rt.sell_on}` : '', fmt(rt?.net_profit_usd), notes]);
+    }
+    for (const r of chain.raw || []) if (r.error) failed.push(`  ${chain.chain} ${r.pair}: ${r.error}`);
+  }
+  const lines = [`Scan ${report.timestamp} (ranked by ${report.rank_by})`, ''];
+  lines.push(rows.length ? formatTable(['Chain', 'Pair', 'Spread %', 'Net %', 'Net USD', 'Best', 'Worst', 'Round trip', 'RT net USD', 'Notes'], rows) : 'No opportunities.');
+  const cycleRows = report.chains.flatMap(chain =>
+    (chain.cycles?.cycles || []).map(c => [chain.chain, c.path.join(' -> '), (c.aggregators || []).join(', '), fmt(c.estimated_return_percent), fmt(c.return_percent), fmt(c.net_profit_usd), c.error || ''])
+  );
+  if (cycleRows.length) lines.push('', 'Cycles:', formatTable(['Chain', 'Path', 'Aggregators', 'Est. %', 'Verified %', 'Net USD', 'Notes'], cycleRows));
+  const cexRows = report.chains.flatMap(chain =>
+    (chain.raw || []).flatMap(r => (r.cex_spreads || []).map(c => [chain.chain, r.pair, `${c.buy_on} -> ${c.sell_on}`, fmt(c.spread_percent), String(c.taker_fee_bps), fmt(c.net_profit_usd)]))
+  );
+  if (cexRows.length) lines.push('', 'DEX vs CEX:', formatTable(['Chain', 'Pair', 'Route', 'Spread %', 'Taker bps', 'Net USD'], cexRows));
+  const crossChain = report.cross_chain?.opportunities || [];
+  if (crossChain.length) {
+    const crossRows = crossChain.map(op => [op.asset, `${op.buy_chain} (${op.buy_on})`, `${op.sell_chain} (${op.sell_on})`, fmt(op.spread_percent), fmt(op.bridge_cost_usd, 2), String(op.bridge_latency_min), fmt(op.net_profit_usd)]);
+    lines.push('', 'Cross-chain:', formatTable(['Asset', 'Buy', 'Sell', 'Spread %', 'Bridge USD', 'Bridge min', 'Net USD'], crossRows));
+  }
+  if (failed.length) lines.push('', 'Failed pairs:', ...failed);
+  return lines.join('\n');
+}
+
+function renderReport(report, format, rankBy) {
+  const { buildCsv, buildMarkdown } = require('./arbitrage');
+  if (format === 'json') return JSON.stringify(report, null, 2);
+  if (format === 'csv') return buildCsv(report, { rankBy });
+  if (format === 'md') return buildMarkdown(report, { rankBy });
+  return scanTable(report, rankBy);
+}
+
+function hasUsableQuote(result) {
+  return !result.error && (result.quotes || []).some(q => !q.error && !q.suspect && q.price);
+}
+
+function stderrLog(io) {
+  return { log: (...args) => io.err(args.join(' ')), warn: (...args) => io.err(args.join(' ')), error: (...args) => io.err(args.join(' ')) };
+}
+
+async function scanCommand(argv, io) {
+  const { options } = parseArgs(argv, { ...FILTER_OPTIONS, ...CLIENT_OPTIONS, ...OUTPUT_OPTIONS, format: 'string', 'fail-above': 'string' });
+  const format = pickFormat(options.format, SCAN_FORMATS, 'json');
+  const threshold = parseThreshold(options.failAbove);
+  const { config, selectChains, setupClient, runScan, rankValue } = require('./arbitrage');
+  const rankBy = rankByOption(options.rankBy);
+
+  const chains = selectChains(config.chains || [], options);
+  if (!chains.length) throw usageError('Nothing to scan: no configured chain matches --chains/--pairs/--aggregators');
+
+  setupClient(options);
+  const report = await runScan({ chains, rankBy, outDir: options.out, write: options.write, notify: options.webhook, log: stderrLog(io) });
+  io.out(renderReport(report, format, rankBy));
+
+  const results = report.chains.flatMap(c => c.raw || []);
+  if (threshold !== null) {
+    const above = report.chains.flatMap(c => c.opportunities).filter(op => rankValue(op, rankBy) > threshold);
+    if (above.length) {
+      io.err(`${above.length} opportunities above --fail-above ${threshold} (${rankBy}): ${above.map(op => `${op.chain} ${op.pair}`).join(', ')}`);
+      return EXIT.THRESHOLD;
+    }
+  }
+  if (results.length && !results.some(hasUsableQuote)) {
+    io.err('No usable quotes: every pair failed');
+    return EXIT.NO_QUOTES;
+  }
+  return EXIT.OK;
+}
+
+function quoteTable(result) {
+  const usable = result.quotes.filter(q => !q.error && !q.suspect && q.price);
+  const bestPrice = usable.length ? Math.max(...usable.map(q => q.price)) : null;
+  const rows = result.quotes.map(q => {
+    let status = 'ok';
+    if (q.error) status = `error: ${q.error}`;
+    else if (q.suspect) status = `suspect: ${q.suspect_reason}`;
+    else if (q.price === bestPrice) status = 'best';
+    const vsBest = q.price && bestPrice ? ((q.price - bestPrice) / bestPrice) * 100 : null;
+    return [q.source, fmt(q.buyAmountHuman, 6), fmt(q.price, 6), fmt(vsBest), fmt(q.costUsd), status];
+  });
+  const lines = [`${result.chain} ${result.pair}: sell ${result.sellAmount} ${result.sellToken} for ${result.buyToken}`, ''];
+  lines.push(formatTable(['Aggregator', `Buy ${result.buyToken}`, 'Price', 'vs best %', 'Cost USD', 'Status'], rows));
+  if (result.spread_percent !== undefined) {
+    lines.push('', `Spread ${fmt(result.spread_percent)}% (${result.best} vs ${result.worst}), net ${fmt(result.net_spread_percent)}%`);
+  }
+  if (result.liquidity_flag) lines.push('', `Liquidity: ${result.liquidity_flag}`);
+  return lines.join('\n');
+}
+
+async function quoteCommand(argv, io) {
+  const { options, positionals } = parseArgs(argv, { ...CLIENT_OPTIONS, amount: 'string', aggregators: 'string', format: 'string' });
+  const format = pickFormat(options.format, ['table', 'json'], 'table');
+  const [chainRef, pairText] = positionals;
+  if (!chainRef || !pairText || positionals.length > 2) throw usageError('quote needs <chain> <pair>, e.g. quote ethereum WETH/USDC');
+
+  const { resolveQuoteRequest, setupClient, analyzePair } = require('./arbitrage');
+  let request;
+  try {
+    request = resolveQuoteRequest(chainRef, pairText, options);
+  } catch (err) {
+    throw usageError(err.message);
+  }
+  const { chain, pair } = request;
+
+  setupClient(options);
+  const result = await analyzePair(chain, pair, { reverse: false, depth: false });
+  io.out(format === 'json' ? JSON.stringify(result, null, 2) : quoteTable(result));
+  return hasUsableQuote(result) ? EXIT.OK : EXIT.NO_QUOTES;
+}
+
+function diffTable(diff) {
+  const lines = [`Diff ${diff.from} -> ${diff.to}`];
+  lines.push('', `Opened (${diff.opened.length})`);
+  if (diff.opened.length) lines.push(formatTable(['Chain', 'Pair', 'Spread %', 'Net %', 'Best'], diff.opened.map(o => [o.chain, o.pair, fmt(o.spread_percent), fmt(o.net_spread_percent), o.best])));
+  lines.push('', `Closed (${diff.closed.length})`);
+  if (diff.closed.length) lines.push(formatTable(['Chain', 'Pair', 'Last spread %', 'Best'], diff.closed.map(o => [o.chain, o.pair, fmt(o.spread_percent), o.best])));
+  lines.push('', `Changed (${diff.changed.length})`);
+  if (diff.changed.length) {
+    const rows = diff.changed.map(c => [c.chain, c.pair, fmt(c.spread_before), fmt(c.spread_after), fmt(c.spread_delta), c.best_before === c.best_after ? c.best_after : `${c.best_before} -> ${c.best_after}`]);
+    lines.push(formatTable(['Chain', 'Pair', 'Before %', 'After %', 'Delta', 'Best'], rows));
+  }
+  return lines.join('\n');
+}
+
+function healthTable(report) {
+  const { formatErrorClasses } = require('./health');
+  const rows = (report.health?.aggregators || []).map(h => [
+    h.chain,
+    h.aggregator,
+    String(h.attempts),
+    h.success_rate === null ? '' : fmt(h.success_rate * 100, 1),
+    String(h.retries),
+    String(h.skipped),
+    h.latency_ms.p50 === null ? '' : String(h.latency_ms.p50),
+    h.latency_ms.p95 === null ? '' : String(h.latency_ms.p95),
+    formatErrorClasses(h.errors),
+    h.breaker
+  ]);
+  const lines = [`Aggregator health for scan ${report.timestamp}`, ''];
+  lines.push(rows.length ? formatTable(['Chain', 'Aggregator', 'Attempts', 'Success %', 'Retries', 'Skipped', 'p50 ms', 'p95 ms', 'Errors', 'Breaker'], rows) : 'No health data in this report.');
+  return lines.join('\n');
+}
+
+async function reportCommand(argv, io) {
+  const [action, ...rest] = argv;
+  const { options, positionals } = parseArgs(rest, { format: 'string', dir: 'string' });
+  const { REPORTS_DIR } = require('./arbitrage');
+  const { loadReport, diffReports } = require('./reports');
+  const dir = options.dir ? path.resolve(options.dir) : REPORTS_DIR;
+  const load = ref => {
+    try {
+      return loadReport(ref, dir);
+    } catch (err) {
+      throw usageError(err.message);
+    }
+  };
+
+  if (action === 'show') {
+    if (positionals.length > 1) throw usageError('report show takes at most one report');
+    const format = pickFormat(options.format, SCAN_FORMATS, 'table');
+    const report = load(positionals[0]);
+    io.out(renderReport(report, format, report.rank_by));
+    return EXIT.OK;
+  }
+  if (action === 'diff') {
+    if (positionals.length !== 2) throw usageError('report diff needs two reports, e.g. report diff 2026-10-18T12:00:00.000Z latest');
+    const format = pickFormat(options.format, ['table', 'json'], 'table');
+    const diff = diffReports(load(positionals[0]), load(positionals[1]));
+    io.out(format === 'json' ? JSON.stringify(diff, null, 2) : diffTable(diff));
+    return EXIT.OK;
+  }
+  if (action === 'health') {
+    if (positionals.length > 1) throw usageError('report health takes at most one report');
+    const format = pickFormat(options.format, ['table', 'json', 'prom'], 'table');
+    const report = load(positionals[0]);
+    if (format === 'prom') io.out(require('./health').formatPrometheus(report).trimEnd());
+    else io.out(format === 'json' ? JSON.stringify(report.health || null, null, 2) : healthTable(report));
+    return EXIT.OK;
+  }
+  throw usageError('report needs show, diff or health');
+}
+
+function paperTable(totals, trades, title) {
+  const rate = totals.win_rate === null ? 'n/a' : `${fmt(totals.win_rate * 100, 1)}%`;
+  const lines = [title, ''];
+  lines.push(`PnL ${fmt(totals.pnl_usd, 2)} USD, ${totals.fills} fills, win rate ${rate}, drawdown ${fmt(totals.drawdown_usd, 2)} USD (max ${fmt(totals.max_drawdown_usd, 2)}), ${totals.skipped} skipped, ${totals.reports} reports`);
+  const balances = Object.entries(totals.balances).flatMap(([chain, tokens]) => Object.entries(tokens).map(([token, amount]) => [chain, token, fmt(amount, 6)]));
+  if (balances.length) lines.push('', formatTable(['Chain', 'Token', 'Balance'], balances));
+  if (trades.length) {
+    const rows = trades.map(t => [t.timestamp, t.chain, t.pair, `${t.buy_on} -> ${t.sell_on}`, t.status, fmt(t.pnl_usd), fmt(t.cumulative_pnl_usd), t.reason || '']);
+    lines.push('', formatTable(['Time', 'Chain', 'Pair', 'Route', 'Status', 'PnL USD', 'Total USD', 'Notes'], rows));
+  }
+  return lines.join('\n');
+}
+
+async function paperCommand(argv, io) {
+  const [action, ...rest] = argv;
+  const { options, positionals } = parseArgs(rest, { format: 'string', dir: 'string', ledger: 'string', reset: 'boolean', write: 'boolean' });
+  if (positionals.length) throw usageError(`paper ${action} takes no positional arguments`);
+  const format = pickFormat(options.format, ['table', 'json'], 'table');
+  const { config, REPORTS_DIR, paperLedgerFile } = require('./arbitrage');
+  const paper = require('./paper');
+  const dir = options.dir ? path.resolve(options.dir) : REPORTS_DIR;
+  const ledgerFile = options.ledger ? path.resolve(options.ledger) : paperLedgerFile(dir);
+
+  if (action === 'show') {
+    const ledger = paper.loadLedger(ledgerFile, stderrLog(io));
+    const totals = paper.summarizeLedger(ledger);
+    io.out(format === 'json' ? JSON.stringify({ totals, trades: ledger.trades }, null, 2) : paperTable(totals, ledger.trades.slice(-20), `Paper ledger ${ledgerFile}`));
+    return EXIT.OK;
+  }
+  if (action === 'replay') {
+    const { listReports, loadReport } = require('./reports');
+    const ledger = options.reset ? paper.emptyLedger() : paper.loadLedger(ledgerFile, stderrLog(io));
+    const reports = listReports(dir).map(r => loadReport(r.file, dir));
+    const results = paper.replayReports(reports, ledger, paper.paperSettings(config.paper), config.chains || []);
+    if (options.write !== false) paper.saveLedger(ledgerFile, ledger);
+    const trades = results.flatMap(r => r.trades);
+    const totals = paper.summarizeLedger(ledger);
+    io.out(format === 'json' ? JSON.stringify({ replayed: results.length, totals, trades }, null, 2) : paperTable(totals, trades, `Replayed ${results.length} of ${reports.length} reports from ${dir}`));
+    return EXIT.OK;
+  }
+  throw usageError('paper needs show or replay');
+}
+
+async function watchCommand(argv) {
+  const { options } = parseArgs(argv, { ...FILTER_OPTIONS, ...CLIENT_OPTIONS, ...OUTPUT_OPTIONS });
+  const { config, selectChains } = require('./arbitrage');
+  const chains = selectChains(config.chains || [], options);
+  if (!chains.length) throw usageError('Nothing to watch: no configured chain matches --chains/--pairs/--aggregators');
+  const scan = { rankBy: rankByOption(options.rankBy), outDir: options.out, write: options.write, notify: options.webhook };
+  await require('./watch').runWatch({ chains, scan, record: options.record, replay: options.replay });
+  return EXIT.OK;
+}
+
+async function serveCommand(argv) {
+  const { options } = parseArgs(argv, { ...FILTER_OPTIONS, ...CLIENT_OPTIONS, ...OUTPUT_OPTIONS, port: 'string', host: 'string', dir: 'string', watch: 'boolean' });
+  const port = options.port === undefined ? undefined : Number(options.port);
+  if (port !== undefined && !(Number.isInteger(port) && port >= 0 && port < 65536)) throw usageError('--port must be a port number');
+  let watch = null;
+  if (options.watch) {
+    const { config, selectChains } = require('./arbitrage');
+    const chains = selectChains(config.chains || [], options);
+    if (!chains.length) throw usageError('Nothing to watch: no configured chain matches --chains/--pairs/--aggregators');
+    const outDir = options.out || options.dir;
+    watch = { chains, scan: { rankBy: rankByOption(options.rankBy), outDir, write: options.write, notify: options.webhook } };
+  }
+  await require('./server').runServer({ port, host: options.host, reportsDir: options.dir || options.out, watch, record: options.record, replay: options.replay });
+  return EXIT.OK;
+}
+
+async function validateConfigCommand(argv) {
+  const { positionals } = parseArgs(argv, {});
+  return require('./config').runValidateConfig(positionals[0]);
+}
+
+const COMMANDS = {
+  scan: scanCommand,
+  quote: quoteCommand,
+  report: reportCommand,
+  paper: paperCommand,
+  watch: watchCommand,
+  serve: serveCommand,
+  'validate-config': validateConfigCommand
+};
+
+const defaultIo = {
+  out: text => process.stdout.write(`${text}\n`),
+  err: text => process.stderr.write(`${text}\n`)
+};
+
+// Runs one command and resolves to its exit code; never throws.
+async function run(argv, io = defaultIo) {
+  const args = argv.slice();
+  const command = args.length && !args[0].startsWith('--') ? args.shift() : 'scan';
+  if (command === 'help' || args.includes('--help')) {
+    io.out(USAGE);
+    return EXIT.OK;
+  }
+  const handler = COMMANDS[command];
+  if (!handler) {
+    io.err(`Unknown command ${command}\n\n${USAGE}`);
+    return EXIT.USAGE;
+  }
+  try {
+    return await handler(args, io);
+  } catch (err) {
+    if (err.usage) {
+      io.err(`${err.message}\n\n${USAGE}`);
+      return EXIT.USAGE;
+    }
+    io.err(err.stack || String(err));
+    return EXIT.ERROR;
+  }
+}
+
+module.exports = { EXIT, parseArgs, formatTable, run };
+
+if (require.main === module) {
+  run(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
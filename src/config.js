@@ -0,0 +1,326 @@
+/**
+ * Config loading, token registry and validation for `config/pairs.config.json`.
+ *
+ * Tokens come from the Uniswap-style lists named in `tokenLists` (symbol, address, decimals and
+ * `extensions.coingeckoId` per chain). A chain's pairs can then be declared as:
+ *   - "WETH/USDC"                                   (both symbols looked up in the registry)
+ *   - { "pair": "WETH/USDC", "usdSellTarget": 50 }  (same, plus per-pair options)
+ *   - a full object with addresses and decimals     (as before; missing ids are filled from the registry)
+ * and `pairSets: [{ "base": ["WETH", "WBTC"], "quote": ["USDC", "USDT"] }]` generates the cross product.
+ * A token's cross-chain identity is its `extensions.asset` (or its CoinGecko id); pairs may override
+ * it with `asset` / `toAsset`.
+ *
+ * `node src/cli.js validate-config [file]` (or `npm run validate-config`) checks the schema, address
+ * checksums, duplicate pairs and aggregator/chain support, and exits 1 on errors.
+ */
+const fs = require('fs');
+const path = require('path');
+const { validateSchema } = require('./schema');
+const { checksumStatus } = require('./address');
+const { loadAdapters, getAdapter, listAdapters, adapterSettings, supportsChain } = require('./adapters');
+const { noUsdPriceMessage, canPrice } = require('./prices');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DEFAULT_CONFIG_PATH = path.join(ROOT_DIR, 'config', 'pairs.config.json');
+const SCHEMA_PATH = path.join(ROOT_DIR, 'config', 'pairs.config.schema.json');
+const PAIR_OPTIONS = ['usdSellTarget', 'minBuyAmount', 'sampleSellAmount', 'sizeLadderUsd', 'asset', 'toAsset'];
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function loadTokenLists(files = [], baseDir = ROOT_DIR) {
+  return files.flatMap(file => {
+    const list = readJson(path.resolve(baseDir, file));
+    if (!Array.isArray(list.tokens)) throw new Error(`${file}: token list has no "tokens" array`);
+    return list.tokens.map(t => ({
+      chainId: t.chainId,
+      symbol: t.symbol,
+      name: t.name,
+      address: t.address,
+      decimals: t.decimals,
+      coingeckoId: (t.extensions || {}).coingeckoId,
+      asset: (t.extensions || {}).asset,
+      list: file
+    }));
+  });
+}
+
+// Per-chain symbol/address lookup. Symbols match case-insensitively; the first list wins.
+function createTokenRegistry(tokens = []) {
+  const bySymbol = new Map();
+  const byAddress = new Map();
+  for (const token of tokens) {
+    const symbolKey = `${token.chainId}|${String(token.symbol).toUpperCase()}`;
+    const addressKey = `${token.chainId}|${String(token.address).toLowerCase()}`;
+    if (!bySymbol.has(symbolKey)) bySymbol.set(symbolKey, token);
+    if (!byAddress.has(addressKey)) byAddress.set(addressKey, token);
+  }
+  return {
+    tokens: () => tokens.slice(),
+    forChain: chainId => tokens.filter(t => t.chainId === chainId),
+    find: (chainId, symbol) => bySymbol.get(`${chainId}|${String(symbol).toUpperCase()}`) || null,
+    findByAddress: (chainId, address) => byAddress.get(`${chainId}|${String(address).toLowerCase()}`) || null
+  };
+}
+
+function splitPairSymbols(text) {
+  return text.split('/').map(s => s.trim());
+}
+
+function pickOptions(source) {
+  const options = {};
+  for (const key of PAIR_OPTIONS) if (source[key] !== undefined) options[key] = source[key];
+  return options;
+}
+
+function pairFromTokens(from, to, options = {}, name) {
+  const pair = {
+    name: name || `${from.symbol} / ${to.symbol}`,
+    fromSymbol: from.symbol,
+    toSymbol: to.symbol,
+    fromAddress: from.address,
+    toAddress: to.address,
+    fromDecimals: from.decimals,
+    toDecimals: to.decimals
+  };
+  if (from.coingeckoId) pair.coingeckoId = from.coingeckoId;
+  if (to.coingeckoId) pair.toCoingeckoId = to.coingeckoId;
+  if (from.asset) pair.asset = from.asset;
+  if (to.asset) pair.toAsset = to.asset;
+  return { ...pair, ...options };
+}
+
+// Fill symbols and CoinGecko ids an explicit pair left out, without overriding anything it set.
+function enrichExplicitPair(entry, chainId, registry) {
+  const from = registry.findByAddress(chainId, entry.fromAddress) || {};
+  const to = registry.findByAddress(chainId, entry.toAddress) || {};
+  const pair = { ...entry };
+  if (!pair.fromSymbol && from.symbol) pair.fromSymbol = from.symbol;
+  if (!pair.toSymbol && to.symbol) pair.toSymbol = to.symbol;
+  if (!pair.coingeckoId && from.coingeckoId) pair.coingeckoId = from.coingeckoId;
+  if (!pair.toCoingeckoId && to.coingeckoId) pair.toCoingeckoId = to.coingeckoId;
+  if (!pair.asset && from.asset) pair.asset = from.asset;
+  if (!pair.toAsset && to.asset) pair.toAsset = to.asset;
+  if (!pair.name) pair.name = `${pair.fromSymbol || pair.fromAddress} / ${pair.toSymbol || pair.toAddress}`;
+  return pair;
+}
+
+// Resolves every pair declaration of one chain. Returns [{ at, pair }] plus unresolvable entries.
+function expandChainPairs(chain, registry, at = `chains[${chain.name || chain.id}]`) {
+  const entries = [];
+  const problems = [];
+
+  const bySymbols = (symbols, where, options, name) => {
+    const [fromSymbol, toSymbol] = splitPairSymbols(symbols);
+    const from = registry.find(chain.id, fromSymbol);
+    const to = registry.find(chain.id, toSymbol);
+    if (!from || !to) {
+      const missing = [!from && fromSymbol, !to && toSymbol].filter(Boolean).join(', ');
+      problems.push({ at: where, message: `unknown token ${missing} on chain ${chain.id} (add it to a token list)` });
+      return;
+    }
+    if (from === to) {
+      problems.push({ at: where, message: `${symbols} sells a token for itself` });
+      return;
+    }
+    entries.push({ at: where, pair: pairFromTokens(from, to, options, name) });
+  };
+
+  (chain.pairs || []).forEach((entry, i) => {
+    const where = `${at}.pairs[${i}]`;
+    if (typeof entry === 'string') bySymbols(entry, where);
+    else if (entry.pair) bySymbols(entry.pair, where, pickOptions(entry), entry.name);
+    else entries.push({ at: where, pair: enrichExplicitPair(entry, chain.id, registry) });
+  });
+
+  (chain.pairSets || []).forEach((set, i) => {
+    const options = pickOptions(set);
+    for (const base of set.base) {
+      for (const quote of set.quote) {
+        if (base.toUpperCase() === quote.toUpperCase()) continue;
+        bySymbols(`${base}/${quote}`, `${at}.pairSets[${i}] ${base}/${quote}`, options);
+      }
+    }
+  });
+
+  return { entries, problems };
+}
+
+function resolveConfig(raw, baseDir = ROOT_DIR) {
+  const registry = createTokenRegistry(loadTokenLists(raw.tokenLists, baseDir));
+  const problems = [];
+  const chains = (raw.chains || []).map(chain => {
+    const { entries, problems: chainProblems } = expandChainPairs(chain, registry);
+    problems.push(...chainProblems);
+    const { pairSets, ...rest } = chain;
+    return { ...rest, pairs: entries.map(e => e.pair) };
+  });
+  const config = { ...raw, chains };
+  Object.defineProperty(config, 'tokenRegistry', { value: registry, enumerable: false });
+  return { config, problems };
+}
+
+function loadConfig(file = DEFAULT_CONFIG_PATH) {
+  const { config, problems } = resolveConfig(readJson(file), ROOT_DIR);
+  if (problems.length) {
+    const lines = problems.map(p => `  ${p.at}: ${p.message}`).join('\n');
+    throw new Error(`Invalid config ${path.relative(ROOT_DIR, file)} (run npm run validate-config):\n${lines}`);
+  }
+  return config;
+}
+
+function checkAddress(address, where, label, report) {
+  const status = checksumStatus(address);
+  if (status === 'invalid') report.errors.push(`${where}: ${label} ${address} has a bad EIP-55 checksum`);
+  else if (status === 'unchecked') report.warnings.push(`${where}: ${label} ${address} is not checksummed`);
+  else if (status === 'malformed') report.errors.push(`${where}: ${label} ${address} is not an address`);
+}
+
+function validateTokens(tokens, report) {
+  const seen = new Map();
+  for (const token of tokens) {
+    const where = `${token.list} ${token.symbol} (chain ${token.chainId})`;
+    checkAddress(token.address, where, 'address', report);
+    if (!Number.isInteger(token.decimals) || token.decimals < 0 || token.decimals > 36) {
+      report.errors.push(`${where}: decimals must be an integer between 0 and 36`);
+    }
+    const key = `${token.chainId}|${String(token.symbol).toUpperCase()}`;
+    if (seen.has(key) && seen.get(key).address.toLowerCase() !== String(token.address).toLowerCase()) {
+      report.warnings.push(`${where}: symbol also used by ${seen.get(key).address}; ${seen.get(key).list} wins`);
+    } else if (!seen.has(key)) {
+      seen.set(key, token);
+    }
+  }
+}
+
+function validateAggregators(raw, chain, where, report) {
+  const known = cex => listAdapters().filter(a => (a.kind === 'cex') === cex).map(a => a.name).join(', ');
+  for (const name of chain.aggregators) {
+    const adapter = getAdapter(name);
+    if (!adapter || adapter.kind === 'cex') {
+      report.errors.push(`${where}: unknown aggregator "${name}" (known: ${known(false)})`);
+    } else if (!supportsChain(adapter, chain.id, adapterSettings(adapter, raw))) {
+      report.errors.push(`${where}: aggregator "${name}" does not support chain ${chain.id}`);
+    } else if (adapter.needsGasPrice && !chain.gasPriceGwei) {
+      report.warnings.push(`${where}: no gasPriceGwei, so ${name} net figures are null unless another aggregator's quote has a gas price`);
+    }
+  }
+  for (const name of chain.cexVenues || []) {
+    const adapter = getAdapter(name);
+    if (!adapter || adapter.kind !== 'cex') report.errors.push(`${where}: unknown CEX venue "${name}" (known: ${known(true)})`);
+  }
+}
+
+function validatePairs(chain, entries, registry, report, prices) {
+  const seen = new Map();
+  for (const { at, pair } of entries) {
+    const where = `${at} (${pair.name})`;
+    checkAddress(pair.fromAddress, where, 'fromAddress', report);
+    checkAddress(pair.toAddress, where, 'toAddress', report);
+    if (String(pair.fromAddress).toLowerCase() === String(pair.toAddress).toLowerCase()) {
+      report.errors.push(`${where}: fromAddress and toAddress are the same token`);
+    }
+
+    for (const side of ['from', 'to']) {
+      const listed = registry.findByAddress(chain.id, pair[`${side}Address`]);
+      if (listed && listed.decimals !== pair[`${side}Decimals`]) {
+        report.errors.push(`${where}: ${side}Decimals ${pair[`${side}Decimals`]} disagrees with ${listed.list} (${listed.symbol} has ${listed.decimals})`);
+      }
+    }
+    if (!pair.sampleSellAmount && !canPrice(pair.coingeckoId, prices)) {
+      report.errors.push(`${where}: ${noUsdPriceMessage(pair, pair.usdSellTarget || chain.defaultUsdSell || 10)}`);
+    }
+    if (!pair.toCoingeckoId) report.warnings.push(`${where}: no toCoingeckoId, quotes are only checked against each other`);
+
+    const key = `${pair.fromAddress}|${pair.toAddress}`.toLowerCase();
+    if (seen.has(key)) report.errors.push(`${where}: duplicate of ${seen.get(key)}`);
+    else seen.set(key, at);
+  }
+}
+
+// Returns { errors, warnings } as human-readable strings. Schema errors stop further checks.
+function validateConfig(raw, { baseDir = ROOT_DIR, schema = readJson(SCHEMA_PATH) } = {}) {
+  const report = { errors: [], warnings: [] };
+  for (const err of validateSchema(schema, raw)) report.errors.push(`${err.path} ${err.message}`);
+  if (report.errors.length) return report;
+
+  let tokens;
+  try {
+    tokens = loadTokenLists(raw.tokenLists, baseDir);
+  } catch (err) {
+    report.errors.push(`tokenLists: ${err.message}`);
+    return report;
+  }
+  validateTokens(tokens, report);
+  const registry = createTokenRegistry(tokens);
+
+  try {
+    loadAdapters(raw, baseDir);
+  } catch (err) {
+    report.errors.push(`adapters: ${err.message}`);
+  }
+
+  const chainIds = new Map();
+  raw.chains.forEach((chain, i) => {
+    const where = `chains[${i}] (${chain.name})`;
+    if (chainIds.has(chain.id)) report.errors.push(`${where}: chain id ${chain.id} already used by ${chainIds.get(chain.id)}`);
+    else chainIds.set(chain.id, where);
+
+    validateAggregators(raw, chain, where, report);
+    const { entries, problems } = expandChainPairs(chain, registry, `chains[${i}]`);
+    for (const p of problems) report.errors.push(`${p.at}: ${p.message}`);
+    validatePairs(chain, entries, registry, report, raw.prices);
+    if (!entries.length && !problems.length) report.warnings.push(`${where}: no pairs configured`);
+    for (const symbol of (chain.cycles || raw.cycles || {}).tokens || []) {
+      if (!registry.find(chain.id, symbol)) report.warnings.push(`${where}: cycle token ${symbol} is not in the token registry`);
+    }
+  });
+
+  const chainNames = new Set(raw.chains.map(c => c.name));
+  for (const route of Object.keys((raw.crossChain || {}).bridges || {})) {
+    const unknown = route.split('->').filter(name => !chainNames.has(name));
+    if (unknown.length) report.warnings.push(`crossChain.bridges["${route}"]: unknown chain ${unknown.join(', ')}`);
+  }
+
+  return report;
+}
+
+// Prints errors and warnings for a config file and returns the exit code (1 on errors).
+function runValidateConfig(file) {
+  const target = path.resolve(file || DEFAULT_CONFIG_PATH);
+  const raw = readJson(target);
+  const { errors, warnings } = validateConfig(raw, { baseDir: ROOT_DIR });
+  const label = path.relative(process.cwd(), target);
+  for (const w of warnings) console.warn(`warning: ${w}`);
+  for (const e of errors) console.error(`error: ${e}`);
+  if (errors.length) {
+    console.error(`${label}: ${errors.length} error(s), ${warnings.length} warning(s)`);
+    return 1;
+  }
+  const pairs = resolveConfig(raw, ROOT_DIR).config.chains.reduce((n, c) => n + c.pairs.length, 0);
+  console.log(`${label}: OK (${raw.chains.length} chains, ${pairs} pairs, ${warnings.length} warning(s))`);
+  return 0;
+}
+
+module.exports = {
+  DEFAULT_CONFIG_PATH,
+  loadTokenLists,
+  createTokenRegistry,
+  pairFromTokens,
+  expandChainPairs,
+  resolveConfig,
+  loadConfig,
+  validateConfig,
+  runValidateConfig
+};
+
+if (require.main === module) {
+  const [command, file] = process.argv.slice(2);
+  if (command !== 'validate') {
+    console.error('Usage: node src/config.js validate [config file]');
+    process.exitCode = 2;
+  } else {
+    process.exitCode = runValidateConfig(file);
+  }
+}
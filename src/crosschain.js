@@ -0,0 +1,127 @@
+/**
+ * Cross-chain comparison of the same asset pair on different chains.
+ *
+ * Pairs are matched on a canonical identity: `asset` / `toAsset` when set on the pair, otherwise
+ * the CoinGecko ids (so WETH on Ethereum and WETH (PoS) on Polygon are both `ethereum/usd-coin`).
+ * For every matching pair on two chains we compare the cost of buying the asset on one chain
+ * (from the reverse quotes, or the forward price when there are none) with the best price for
+ * selling it on the other, then subtract leg costs, slippage and a bridge assumption.
+ *
+ * Settings live under `crossChain` in `pairs.config.json`:
+ *   { "minSpreadPercent": 0, "bridgeDefaults": { "costUsd": 10, "latencyMin": 20 },
+ *     "bridges": { "ethereum->polygon": { "costUsd": 12, "latencyMin": 30 } } }
+ * A missing `a->b` entry falls back to `b->a`, then to `bridgeDefaults`.
+ */
+const { DEFAULT_SLIPPAGE_BPS } = require('./amounts');
+
+const DEFAULT_BRIDGE = { costUsd: 10, latencyMin: 20 };
+
+function assetKey(pair) {
+  const from = pair.asset || pair.coingeckoId || pair.fromSymbol;
+  const to = pair.toAsset || pair.toCoingeckoId || pair.toSymbol;
+  return from && to ? `${from}/${to}` : null;
+}
+
+function usable(q) {
+  return !q.error && !q.suspect && q.price > 0;
+}
+
+function best(quotes) {
+  return (quotes || []).filter(usable).reduce((top, q) => (!top || q.price > top.price ? q : top), null);
+}
+
+// Buy and sell prices of one pair result, in quote-token units per base-token unit.
+function legPrices(result) {
+  const sell = best(result.quotes);
+  if (!sell) return null;
+  const reverse = best(result.reverseQuotes);
+  return {
+    sell_price: sell.price,
+    sell_on: sell.source,
+    sell_cost_usd: sell.costUsd ?? null,
+    buy_price: reverse ? 1 / reverse.price : sell.price,
+    buy_on: reverse ? reverse.source : sell.source,
+    buy_cost_usd: reverse ? reverse.costUsd ?? null : sell.costUsd ?? null,
+    price_basis: reverse ? 'reverse' : 'forward'
+  };
+}
+
+function bridgeAssumption(settings, from, to) {
+  const bridges = settings.bridges || {};
+  return { ...DEFAULT_BRIDGE, ...(settings.bridgeDefaults || {}), ...(bridges[`${from}->${to}`] || bridges[`${to}->${from}`] || {}) };
+}
+
+function opportunity(asset, buy, sell, settings, slippageBps) {
+  const buyLeg = legPrices(buy.result);
+  const sellLeg = legPrices(sell.result);
+  if (!buyLeg || !sellLeg) return null;
+
+  const spread = ((sellLeg.sell_price - buyLeg.buy_price) / buyLeg.buy_price) * 100;
+  const bridge = bridgeAssumption(settings, buy.chain, sell.chain);
+  const notionals = [buy.result.notional_usd, sell.result.notional_usd].filter(v => v > 0);
+  const notional = notionals.length === 2 ? Math.min(...notionals) : null;
+
+  let net = null;
+  if (notional && buyLeg.buy_cost_usd !== null && sellLeg.sell_cost_usd !== null) {
+    const slippage = notional * ((slippageBps(buy.chain) + slippageBps(sell.chain)) / 10000);
+    const cost = buyLeg.buy_cost_usd + sellLeg.sell_cost_usd + slippage + bridge.costUsd;
+    const profit = notional * (spread / 100) - cost;
+    net = { cost_usd: cost, net_profit_usd: profit, net_spread_percent: (profit / notional) * 100 };
+  }
+
+  return {
+    asset,
+    buy_chain: buy.chain,
+    sell_chain: sell.chain,
+    buy_pair: buy.result.pair,
+    sell_pair: sell.result.pair,
+    buy_on: buyLeg.buy_on,
+    sell_on: sellLeg.sell_on,
+    buy_price: buyLeg.buy_price,
+    sell_price: sellLeg.sell_price,
+    price_basis: buyLeg.price_basis,
+    spread_percent: spread,
+    notional_usd: notional,
+    bridge_cost_usd: bridge.costUsd,
+    bridge_latency_min: bridge.latencyMin,
+    cost_usd: net ? net.cost_usd : null,
+    net_spread_percent: net ? net.net_spread_percent : null,
+    net_profit_usd: net ? net.net_profit_usd : null
+  };
+}
+
+// chainReports as built by scanChains; chains are the configured chain objects (for slippage).
+function findCrossChain(chainReports, chains = [], settings = {}) {
+  const bpsByName = new Map(chains.map(c => [c.name, c.slippageBps ?? DEFAULT_SLIPPAGE_BPS]));
+  const slippageBps = name => bpsByName.get(name) ?? DEFAULT_SLIPPAGE_BPS;
+  const minSpread = settings.minSpreadPercent ?? 0;
+
+  const byAsset = new Map();
+  for (const chain of chainReports) {
+    for (const result of chain.raw || []) {
+      if (result.error || result.liquidity_flag || !result.asset) continue;
+      if (!byAsset.has(result.asset)) byAsset.set(result.asset, []);
+      byAsset.get(result.asset).push({ chain: chain.chain, result });
+    }
+  }
+
+  const opportunities = [];
+  for (const [asset, listings] of byAsset) {
+    for (const buy of listings) {
+      for (const sell of listings) {
+        if (buy.chain === sell.chain) continue;
+        const op = opportunity(asset, buy, sell, settings, slippageBps);
+        if (op && op.spread_percent > minSpread) opportunities.push(op);
+      }
+    }
+  }
+
+  const rank = op => (op.net_profit_usd === null ? -Infinity : op.net_profit_usd);
+  opportunities.sort((a, b) => rank(b) - rank(a) || b.spread_percent - a.spread_percent);
+  return {
+    assets: [...byAsset.entries()].filter(([, l]) => new Set(l.map(x => x.chain)).size > 1).map(([asset]) => asset),
+    opportunities
+  };
+}
+
+module.exports = { assetKey, legPrices, bridgeAssumption, findCrossChain };
@@ -0,0 +1,145 @@
+/**
+ * Multi-hop cycle search within one chain (e.g. WETH -> USDC -> WBTC -> WETH).
+ *
+ * Tokens are nodes and each directed edge carries the best usable aggregator rate for that
+ * direction. With weights of -ln(rate), a profitable loop is a negative cycle; `findCycles` runs a
+ * hop-bounded Bellman-Ford relaxation from every token and keeps simple cycles of 3 or more hops
+ * (two-hop loops are the per-pair round trip). Candidates are estimates from independently sized
+ * quotes; `verifyCycle` re-quotes every leg at the amount the previous leg actually returned.
+ *
+ * Settings live under `cycles` in `pairs.config.json` (chains may override them):
+ *   { "enabled": true, "maxHops": 3, "usdSize": 100, "minReturnPercent": 0, "maxCandidates": 5,
+ *     "tokens": ["DAI"] }
+ * `tokens` adds registry symbols to the token set on top of those in the chain's pairs.
+ */
+const { DEFAULT_SLIPPAGE_BPS } = require('./amounts');
+
+const MIN_HOPS = 3;
+
+function tokenKey(address) {
+  return String(address).toLowerCase();
+}
+
+function usable(q) {
+  return !q.error && !q.suspect && q.price > 0 && isFinite(q.price);
+}
+
+// One edge per direction: the best usable quote among `quotes` for `pair`.
+function edgeFromQuotes(pair, quotes) {
+  let best = null;
+  for (const q of quotes || []) if (usable(q) && (!best || q.price > best.price)) best = q;
+  if (!best) return null;
+  return {
+    from: tokenKey(pair.fromAddress),
+    to: tokenKey(pair.toAddress),
+    fromSymbol: pair.fromSymbol,
+    toSymbol: pair.toSymbol,
+    rate: best.price,
+    source: best.source,
+    weight: -Math.log(best.price)
+  };
+}
+
+// Keeps the better of two edges in the same direction.
+function addEdge(edges, edge) {
+  if (!edge) return edges;
+  const key = `${edge.from}>${edge.to}`;
+  const current = edges.get(key);
+  if (!current || edge.rate > current.rate) edges.set(key, edge);
+  return edges;
+}
+
+function rotationKey(nodes) {
+  const start = nodes.indexOf([...nodes].sort()[0]);
+  return [...nodes.slice(start), ...nodes.slice(0, start)].join('>');
+}
+
+// Edges: iterable of { from, to, rate, weight, ... }. Returns cycles sorted by estimated return.
+function findCycles(edges, { maxHops = 3, minReturnPercent = 0 } = {}) {
+  const out = new Map();
+  for (const e of edges) {
+    if (!out.has(e.from)) out.set(e.from, []);
+    out.get(e.from).push(e);
+  }
+  const threshold = -Math.log(1 + minReturnPercent / 100);
+  const found = new Map();
+
+  for (const source of out.keys()) {
+    let layer = new Map([[source, { dist: 0, nodes: [source], legs: [] }]]);
+    for (let hop = 1; hop <= maxHops && layer.size; hop++) {
+      const next = new Map();
+      for (const [node, state] of layer) {
+        for (const edge of out.get(node) || []) {
+          const dist = state.dist + edge.weight;
+          if (edge.to === source) {
+            if (hop >= MIN_HOPS && dist < threshold) {
+              const key = rotationKey(state.nodes);
+              if (!found.has(key)) found.set(key, { legs: [...state.legs, edge], logReturn: -dist });
+            }
+            continue;
+          }
+          if (hop === maxHops || state.nodes.includes(edge.to)) continue;
+          const prev = next.get(edge.to);
+          if (!prev || dist < prev.dist) next.set(edge.to, { dist, nodes: [...state.nodes, edge.to], legs: [...state.legs, edge] });
+        }
+      }
+      layer = next;
+    }
+  }
+
+  return [...found.values()]
+    .map(({ legs, logReturn }) => ({
+      path: [...legs.map(l => l.fromSymbol), legs[0].fromSymbol],
+      hops: legs.length,
+      estimated_return_percent: (Math.exp(logReturn) - 1) * 100,
+      legs
+    }))
+    .sort((a, b) => b.estimated_return_percent - a.estimated_return_percent);
+}
+
+// Re-quotes a cycle leg by leg. `quoteLeg(leg, sellAmountRaw)` resolves to the best usable quote
+// for that leg (with fillCostUsd) or null; `start` is { raw, human, usdPrice } in the first token.
+async function verifyCycle(cycle, start, quoteLeg, { slippageBps = DEFAULT_SLIPPAGE_BPS } = {}) {
+  const legs = [];
+  let amount = start.raw;
+  for (const leg of cycle.legs) {
+    const quote = await quoteLeg(leg, amount);
+    if (!quote) return { ...summarize(cycle, legs), verified: false, error: `no usable quote for ${leg.fromSymbol} -> ${leg.toSymbol}` };
+    legs.push({
+      from: leg.fromSymbol,
+      to: leg.toSymbol,
+      source: quote.source,
+      sell_amount: quote.sellAmountHuman,
+      buy_amount: quote.buyAmountHuman,
+      price: quote.price,
+      cost_usd: quote.fillCostUsd ?? quote.costUsd ?? null
+    });
+    amount = quote.buyAmount;
+  }
+
+  const endHuman = legs[legs.length - 1].buy_amount;
+  const returnPercent = (endHuman / start.human - 1) * 100;
+  const notional = start.usdPrice ? start.human * start.usdPrice : null;
+  const result = { ...summarize(cycle, legs), verified: true, start_amount: start.human, end_amount: endHuman, return_percent: returnPercent, notional_usd: notional };
+
+  if (notional && legs.every(l => l.cost_usd !== null)) {
+    const cost = legs.reduce((acc, l) => acc + l.cost_usd, 0) + notional * (slippageBps / 10000) * legs.length;
+    const profit = notional * (returnPercent / 100) - cost;
+    Object.assign(result, { cost_usd: cost, net_profit_usd: profit, net_return_percent: (profit / notional) * 100 });
+  } else {
+    Object.assign(result, { cost_usd: null, net_profit_usd: null, net_return_percent: null });
+  }
+  return result;
+}
+
+function summarize(cycle, legs) {
+  return {
+    path: cycle.path,
+    hops: cycle.hops,
+    estimated_return_percent: cycle.estimated_return_percent,
+    aggregators: legs.map(l => l.source),
+    legs
+  };
+}
+
+module.exports = { tokenKey, edgeFromQuotes, addEdge, findCycles, verifyCycle };
@@ -0,0 +1,190 @@
+/**
+ * Per-aggregator, per-chain health for each scan, with a circuit breaker.
+ *
+ * Every quote call is recorded with its latency (including retries), the retries it used and, on
+ * failure, an error class: timeout, rate_limited, http_4xx, http_5xx, network or other. After
+ * `failureThreshold` consecutive failures on one chain the breaker opens. The aggregator is then
+ * skipped on that chain for the rest of the scan and for `cooldownScans` more scans. After that it
+ * is half-open: the next failure reopens it and a success closes it.
+ *
+ * Settings live under `health` in `pairs.config.json`:
+ *   { "failureThreshold": 5, "cooldownScans": 2, "stateFile": "reports/health-state.json" }
+ * Breaker state is kept between runs in `stateFile` (default: `health-state.json` next to the
+ * reports). `formatPrometheus(report)` renders a report's stats in the Prometheus text format.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_HEALTH = { failureThreshold: 5, cooldownScans: 0 };
+const ERROR_CLASSES = ['timeout', 'rate_limited', 'http_4xx', 'http_5xx', 'network', 'other'];
+
+function classifyError(err) {
+  const status = err.status ?? err.response?.status;
+  if (status === 429) return 'rate_limited';
+  if (err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT' || /timeout/i.test(err.message || '')) return 'timeout';
+  if (status >= 500) return 'http_5xx';
+  if (status >= 400) return 'http_4xx';
+  if (err.code && /^E[A-Z]+$/.test(err.code)) return 'network';
+  return 'other';
+}
+
+// Nearest-rank percentile; null for no samples.
+function percentile(values, p) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1))];
+}
+
+function loadHealthState(file) {
+  if (!file || !fs.existsSync(file)) return { breakers: {} };
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    return { breakers: {} };
+  }
+}
+
+function saveHealthState(file, state) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(state, null, 2));
+}
+
+// One tracker per scan. `state` ({ breakers }) carries breaker state across scans and is updated
+// in place; creating the tracker advances the open breakers of the scanned `chains` (all when
+// omitted) by one scan, so a chain's cooldown counts its own scans and not other chains' cycles.
+function createHealthTracker(settings = {}, state = { breakers: {} }, chains = null) {
+  const { failureThreshold, cooldownScans } = { ...DEFAULT_HEALTH, ...settings };
+  const breakers = state.breakers || (state.breakers = {});
+  const stats = new Map();
+  const scanned = chains ? new Set(chains.map(c => c.name)) : null;
+
+  for (const [key, breaker] of Object.entries(breakers)) {
+    if (!breaker.open) continue;
+    if (scanned && !scanned.has(key.slice(key.lastIndexOf('@') + 1))) continue;
+    if (breaker.scans_left > 0) {
+      breaker.scans_left -= 1;
+    } else {
+      breaker.open = false;
+      breaker.half_open = true;
+      breaker.consecutive_failures = failureThreshold - 1;
+    }
+  }
+
+  const keyOf = (aggregator, chain) => `${aggregator}@${chain.name}`;
+  const entry = (aggregator, chain) => {
+    const key = keyOf(aggregator, chain);
+    if (!stats.has(key)) {
+      stats.set(key, { aggregator, chain: chain.name, chainId: chain.id, attempts: 0, successes: 0, failures: 0, retries: 0, skipped: 0, errors: {}, latencies: [] });
+    }
+    return stats.get(key);
+  };
+  const breakerOf = (aggregator, chain) => {
+    const key = keyOf(aggregator, chain);
+    if (!breakers[key]) breakers[key] = { consecutive_failures: 0, open: false };
+    return breakers[key];
+  };
+
+  return {
+    // Reason string when the breaker is open (the call should be skipped), otherwise null.
+    blocked(aggregator, chain) {
+      const breaker = breakers[keyOf(aggregator, chain)];
+      if (!breaker || !breaker.open) return null;
+      entry(aggregator, chain).skipped += 1;
+      return `circuit open for ${aggregator} on ${chain.name} after ${breaker.consecutive_failures} consecutive failures (${breaker.last_error_class})`;
+    },
+
+    record(aggregator, chain, { ok, latencyMs, retries = 0, error }) {
+      const s = entry(aggregator, chain);
+      const breaker = breakerOf(aggregator, chain);
+      s.attempts += 1;
+      s.retries += retries;
+      if (latencyMs !== undefined) s.latencies.push(latencyMs);
+      breaker.half_open = false;
+      if (ok) {
+        s.successes += 1;
+        breaker.consecutive_failures = 0;
+        return;
+      }
+      const errorClass = classifyError(error || {});
+      s.failures += 1;
+      s.errors[errorClass] = (s.errors[errorClass] || 0) + 1;
+      breaker.consecutive_failures += 1;
+      breaker.last_error_class = errorClass;
+      if (!breaker.open && breaker.consecutive_failures >= failureThreshold) {
+        breaker.open = true;
+        breaker.scans_left = cooldownScans;
+        breaker.opened_at = new Date().toISOString();
+      }
+    },
+
+    snapshot() {
+      const aggregators = [...stats.values()].map(({ latencies, ...s }) => {
+        const breaker = breakers[keyOf(s.aggregator, { name: s.chain })] || {};
+        return {
+          ...s,
+          success_rate: s.attempts ? s.successes / s.attempts : null,
+          latency_ms: { p50: percentile(latencies, 50), p95: percentile(latencies, 95), max: latencies.length ? Math.max(...latencies) : null },
+          breaker: breaker.open ? 'open' : breaker.half_open ? 'half_open' : 'closed',
+          consecutive_failures: breaker.consecutive_failures || 0,
+          opened_at: breaker.open ? breaker.opened_at : undefined
+        };
+      });
+      aggregators.sort((a, b) => a.chain.localeCompare(b.chain) || a.aggregator.localeCompare(b.aggregator));
+      return { failure_threshold: failureThreshold, cooldown_scans: cooldownScans, aggregators };
+    },
+
+    state() {
+      return state;
+    }
+  };
+}
+
+// "timeout 3, http_5xx 1" for a stats row's error classes.
+function formatErrorClasses(errors) {
+  return Object.entries(errors || {}).map(([c, n]) => `${c} ${n}`).join(', ');
+}
+
+function labelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function labels(pairs) {
+  return `{${Object.entries(pairs).map(([k, v]) => `${k}="${labelValue(v)}"`).join(',')}}`;
+}
+
+// Prometheus text exposition of a report's `health` section. Values describe the last scan.
+function formatPrometheus(report) {
+  const rows = report.health?.aggregators || [];
+  const lines = [];
+  const metric = (name, help, samples) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`);
+    for (const [labelSet, value] of samples) if (value !== null && value !== undefined) lines.push(`${name}${labels(labelSet)} ${value}`);
+  };
+  const per = (field, fn = s => s[field]) => rows.map(s => [{ aggregator: s.aggregator, chain: s.chain }, fn(s)]);
+
+  if (report.timestamp) {
+    lines.push('# HELP arbitrage_scan_timestamp_seconds Time of the scan these figures come from.', '# TYPE arbitrage_scan_timestamp_seconds gauge');
+    lines.push(`arbitrage_scan_timestamp_seconds ${Date.parse(report.timestamp) / 1000}`);
+  }
+  metric('arbitrage_aggregator_attempts', 'Quote calls in the last scan.', per('attempts'));
+  metric('arbitrage_aggregator_successes', 'Successful quote calls in the last scan.', per('successes'));
+  metric('arbitrage_aggregator_failures', 'Failed quote calls in the last scan, by error class.',
+    rows.flatMap(s => ERROR_CLASSES.filter(c => s.errors[c]).map(c => [{ aggregator: s.aggregator, chain: s.chain, class: c }, s.errors[c]])));
+  metric('arbitrage_aggregator_retries', 'Retries used in the last scan.', per('retries'));
+  metric('arbitrage_aggregator_skipped', 'Quote calls skipped by an open circuit breaker in the last scan.', per('skipped'));
+  metric('arbitrage_aggregator_latency_ms', 'Quote call latency including retries.',
+    rows.flatMap(s => [['0.5', s.latency_ms.p50], ['0.95', s.latency_ms.p95]].map(([q, v]) => [{ aggregator: s.aggregator, chain: s.chain, quantile: q }, v])));
+  metric('arbitrage_aggregator_circuit_open', '1 while the circuit breaker is open.', per('breaker', s => (s.breaker === 'open' ? 1 : 0)));
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  DEFAULT_HEALTH,
+  classifyError,
+  percentile,
+  loadHealthState,
+  saveHealthState,
+  createHealthTracker,
+  formatErrorClasses,
+  formatPrometheus
+};
@@ -0,0 +1,228 @@
+/**
+ * Scan history store: append-only JSONL segments (one file per UTC day) plus an `index.json`
+ * listing every scan. Each line is one pair result from one scan.
+ *
+ * Also derives persistence fields for a fresh report (consecutive scans, rolling mean spread,
+ * new/open status, opportunities closed since the previous scan) and exposes a small CLI:
+ *
+ *   node src/history.js series --chain polygon --pair "WETH (PoS) / USDC" [--aggregator 0x] [--since <iso>] [--until <iso>] [--above 0.5]
+ *   node src/history.js best --pair "WBTC / USDC" [--chain ethereum] [--since <iso>]
+ *   node src/history.js prune
+ */
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_WINDOW = 12;
+
+function segmentName(timestamp) {
+  return `${timestamp.slice(0, 10)}.jsonl`;
+}
+
+function toEntry(timestamp, result) {
+  return {
+    timestamp,
+    chain: result.chain,
+    chainId: result.chainId,
+    pair: result.pair,
+    spread_percent: result.spread_percent ?? null,
+    net_spread_percent: result.net_spread_percent ?? null,
+    net_profit_usd: result.net_profit_usd ?? null,
+    best: result.best || null,
+    worst: result.worst || null,
+    liquidity_flag: result.liquidity_flag || null,
+    error: result.error || null,
+    quotes: (result.quotes || []).map(q => ({ source: q.source, price: q.price ?? null, buyAmountHuman: q.buyAmountHuman ?? null, error: q.error || null }))
+  };
+}
+
+function createHistoryStore(dir, options = {}) {
+  const retentionDays = options.retentionDays ?? DEFAULT_RETENTION_DAYS;
+  const indexPath = path.join(dir, 'index.json');
+
+  function readIndex() {
+    if (!fs.existsSync(indexPath)) return { scans: [] };
+    return JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+  }
+
+  function writeIndex(index) {
+    fs.writeFileSync(indexPath, JSON.stringify(index, null, 2));
+  }
+
+  function readSegment(file) {
+    const full = path.join(dir, file);
+    if (!fs.existsSync(full)) return [];
+    return fs
+      .readFileSync(full, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map(line => JSON.parse(line));
+  }
+
+  function append(report) {
+    fs.mkdirSync(dir, { recursive: true });
+    const entries = report.chains.flatMap(chain => (chain.raw || chain.opportunities || []).map(r => toEntry(report.timestamp, { chain: chain.chain, chainId: chain.chainId, ...r })));
+    const file = segmentName(report.timestamp);
+    if (entries.length) fs.appendFileSync(path.join(dir, file), entries.map(e => JSON.stringify(e)).join('\n') + '\n');
+
+    const index = readIndex();
+    index.scans.push({ timestamp: report.timestamp, file, entries: entries.length, chains: report.chains.map(c => c.chain) });
+    writeIndex(index);
+    return entries.length;
+  }
+
+  function scans() {
+    return readIndex().scans;
+  }
+
+  // Entries grouped by scan, oldest first, optionally limited to the newest `last` scans.
+  function load({ since, until, last } = {}) {
+    let list = scans().filter(s => (!since || s.timestamp >= since) && (!until || s.timestamp <= until));
+    if (last) list = list.slice(-last);
+    const wanted = new Set(list.map(s => s.timestamp));
+    const files = [...new Set(list.map(s => s.file))];
+    const byScan = new Map(list.map(s => [s.timestamp, { ...s, entries: [] }]));
+    for (const file of files) {
+      for (const entry of readSegment(file)) {
+        if (wanted.has(entry.timestamp)) byScan.get(entry.timestamp).entries.push(entry);
+      }
+    }
+    return Array.from(byScan.values());
+  }
+
+  function series({ chain, pair, aggregator, since, until } = {}) {
+    const points = [];
+    for (const scan of load({ since, until })) {
+      for (const e of scan.entries) {
+        if (chain && e.chain !== chain) continue;
+        if (pair && e.pair !== pair) continue;
+        if (aggregator) {
+          const q = e.quotes.find(x => x.source === aggregator);
+          if (!q) continue;
+          points.push({ timestamp: e.timestamp, chain: e.chain, pair: e.pair, aggregator, price: q.price, buyAmountHuman: q.buyAmountHuman, best: e.best === aggregator, error: q.error });
+        } else {
+          points.push({ timestamp: e.timestamp, chain: e.chain, pair: e.pair, spread_percent: e.spread_percent, net_spread_percent: e.net_spread_percent, best: e.best, worst: e.worst, error: e.error || e.liquidity_flag });
+        }
+      }
+    }
+    return points;
+  }
+
+  function prune(now = new Date()) {
+    const cutoff = new Date(now.getTime() - retentionDays * 86400000).toISOString();
+    const index = readIndex();
+    const keep = index.scans.filter(s => s.timestamp >= cutoff);
+    const keepFiles = new Set(keep.map(s => s.file));
+    const removed = index.scans.length - keep.length;
+    for (const file of new Set(index.scans.map(s => s.file))) {
+      if (!keepFiles.has(file)) fs.rmSync(path.join(dir, file), { force: true });
+    }
+    if (removed) writeIndex({ ...index, scans: keep });
+    return removed;
+  }
+
+  return { dir, append, scans, load, series, prune };
+}
+
+// How long has `pair` been above `threshold`, counting back from the newest point.
+function currentStreak(points, threshold = 0) {
+  let streak = null;
+  for (let i = points.length - 1; i >= 0; i -= 1) {
+    const p = points[i];
+    if (!(p.spread_percent > threshold)) break;
+    streak = { since: p.timestamp, until: streak ? streak.until : p.timestamp, scans: (streak ? streak.scans : 0) + 1 };
+  }
+  return streak;
+}
+
+function bestAggregatorCounts(points) {
+  const counts = {};
+  for (const p of points) if (p.best) counts[p.best] = (counts[p.best] || 0) + 1;
+  return Object.entries(counts)
+    .map(([aggregator, scans]) => ({ aggregator, scans, share: scans / points.length }))
+    .sort((a, b) => b.scans - a.scans);
+}
+
+function isOpen(entry, threshold) {
+  return entry && entry.spread_percent !== null && entry.spread_percent !== undefined && entry.spread_percent > threshold && !entry.liquidity_flag;
+}
+
+// Adds `persistence` to every opportunity and `closed` to every chain of a report that is not
+// yet in the store. Scans that did not cover a chain (e.g. CHAIN_IDS filter) do not break streaks.
+function annotateReport(report, store, options = {}) {
+  const window = options.window || DEFAULT_WINDOW;
+  const threshold = options.minSpreadPercent || 0;
+  const previous = store.load({ last: window }).reverse();
+
+  for (const chain of report.chains) {
+    const covering = previous.filter(scan => scan.entries.some(e => e.chain === chain.chain));
+    const find = (scan, pair) => scan.entries.find(e => e.chain === chain.chain && e.pair === pair);
+
+    for (const op of chain.opportunities) {
+      let consecutive = isOpen(op, threshold) ? 1 : 0;
+      if (consecutive) {
+        for (const scan of covering) {
+          if (!isOpen(find(scan, op.pair), threshold)) break;
+          consecutive += 1;
+        }
+      }
+      const spreads = [op.spread_percent, ...covering.map(scan => find(scan, op.pair)?.spread_percent)].filter(v => v !== null && v !== undefined);
+      const last = covering.length ? find(covering[0], op.pair) : null;
+      op.persistence = {
+        consecutive_scans: consecutive,
+        rolling_mean_spread: spreads.length ? spreads.reduce((a, b) => a + b, 0) / spreads.length : null,
+        window_scans: spreads.length,
+        status: isOpen(last, threshold) ? 'open' : 'new'
+      };
+    }
+
+    const openNow = new Set(chain.opportunities.filter(op => isOpen(op, threshold)).map(op => op.pair));
+    const prior = covering[0];
+    chain.closed = prior
+      ? prior.entries
+          .filter(e => e.chain === chain.chain && isOpen(e, threshold) && !openNow.has(e.pair))
+          .map(e => ({ pair: e.pair, last_spread_percent: e.spread_percent, last_seen: e.timestamp }))
+      : [];
+  }
+  return report;
+}
+
+function parseFlags(argv) {
+  const flags = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i].startsWith('--')) {
+      flags[argv[i].slice(2)] = argv[i + 1];
+      i += 1;
+    }
+  }
+  return flags;
+}
+
+function historyOptions(config) {
+  const opts = config.history || {};
+  return { ...opts, dir: path.resolve(__dirname, '..', opts.dir || 'reports/history') };
+}
+
+module.exports = { createHistoryStore, annotateReport, currentStreak, bestAggregatorCounts, historyOptions, toEntry };
+
+if (require.main === module) {
+  const config = require('../config/pairs.config.json');
+  const opts = historyOptions(config);
+  const store = createHistoryStore(opts.dir, opts);
+  const [command, ...rest] = process.argv.slice(2);
+  const flags = parseFlags(rest);
+
+  if (command === 'series') {
+    const points = store.series(flags);
+    const output = { points };
+    if (!flags.aggregator) output.streak = currentStreak(points.filter(p => !flags.chain || p.chain === flags.chain), Number(flags.above || 0));
+    console.log(JSON.stringify(output, null, 2));
+  } else if (command === 'best') {
+    console.log(JSON.stringify(bestAggregatorCounts(store.series(flags)), null, 2));
+  } else if (command === 'prune') {
+    console.log(`Pruned ${store.prune()} scans`);
+  } else {
+    console.error('Usage: node src/history.js <series|best|prune> [--chain] [--pair] [--aggregator] [--since] [--until] [--above]');
+    process.exit(1);
+  }
+}
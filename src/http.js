@@ -0,0 +1,11 @@
+/**
+ * Shared HTTP client. Every outbound request (CoinGecko, aggregators, webhooks) goes through
+ * `axiosClient` so timeouts and instrumentation live in one place.
+ */
+const axios = require('axios');
+
+const DEFAULT_TIMEOUT = 12000;
+
+const axiosClient = axios.create({ timeout: DEFAULT_TIMEOUT });
+
+module.exports = { axiosClient, DEFAULT_TIMEOUT };
@@ -0,0 +1,186 @@
+/**
+ * Local stand-in for the 0x, 1inch, Paraswap, CowSwap and CoinGecko APIs and the Binance, Coinbase
+ * and Kraken order-book endpoints.
+ *
+ * Script shape (all keys optional, mutable at runtime via `server.script`):
+ *   {
+ *     rates:    { '0x': 2000, '1inch': (ctx) => 2001 },   // human buy tokens per human sell token
+ *     decimals: { '0xa0b8...': 6 },                       // by lowercased token address, default 18
+ *     usd:      { ethereum: 2000 },                        // CoinGecko simple/price
+ *     failures: { paraswap: { status: 500, body: {...}, times: 1 } | { status: 429, retryAfter: 1 } | { timeout: true } },
+ *     gas:      { estimatedGas: 150000, gasPrice: '20000000000', gasCostUSD: '3.1', feeBps: 10 },
+ *     books:    { binance: { ETHUSDC: <canned /api/v3/depth body> }, coinbase: { 'ETH-USDC': ... } }
+ *   }
+ * Order books are served verbatim in the venue's own response shape, keyed by venue symbol.
+ *
+ * Run standalone with `npm run mock-server -- [script.json]` (port from MOCK_PORT, default 4010)
+ * and point `adapters.<name>.baseUrl` / `COINGECKO_API_URL` at it.
+ */
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_GAS = { estimatedGas: 150000, gasPrice: '20000000000', gasCostUSD: '3.1', feeBps: 10 };
+
+function routeFor(method, pathname) {
+  if (pathname.endsWith('/simple/price')) return 'coingecko';
+  if (/\/swap\/(v1|permit2)\/price$/.test(pathname)) return '0x';
+  if (/\/v5\.0\/\d+\/quote$/.test(pathname) || /\/swap\/v[\d.]+\/\d+\/quote$/.test(pathname)) return '1inch';
+  if (/\/prices\/?$/.test(pathname)) return 'paraswap';
+  if (method === 'POST' && /\/api\/v\d+\/quote$/.test(pathname)) return 'cow';
+  if (/\/api\/v3\/depth$/.test(pathname)) return 'binance';
+  if (/\/products\/[^/]+\/book$/.test(pathname)) return 'coinbase';
+  if (/\/0\/public\/Depth$/.test(pathname)) return 'kraken';
+  return null;
+}
+
+function bookSymbol(source, url) {
+  if (source === 'binance') return url.searchParams.get('symbol');
+  if (source === 'coinbase') return url.pathname.split('/').slice(-2)[0];
+  return url.searchParams.get('pair');
+}
+
+function readBody(req) {
+  return new Promise(resolve => {
+    let body = '';
+    req.on('data', chunk => (body += chunk));
+    req.on('end', () => resolve(body ? JSON.parse(body) : {}));
+  });
+}
+
+function tokenDecimals(script, address) {
+  const table = script.decimals || {};
+  const hit = table[String(address).toLowerCase()];
+  return hit === undefined ? 18 : hit;
+}
+
+function resolveRate(script, source, ctx) {
+  const rate = (script.rates || {})[source];
+  return typeof rate === 'function' ? rate(ctx) : rate;
+}
+
+function buyFor(script, source, sellToken, buyToken, sellAmount) {
+  const rate = resolveRate(script, source, { sellToken, buyToken, sellAmount });
+  if (rate === undefined || rate === null) return null;
+  const shift = tokenDecimals(script, buyToken) - tokenDecimals(script, sellToken);
+  const buy = Number(sellAmount) * rate * Math.pow(10, shift);
+  return { rate, buyAmount: BigInt(Math.floor(buy)).toString() };
+}
+
+function quoteLegs(source, url, body) {
+  const q = url.searchParams;
+  switch (source) {
+    case '0x':
+      return { sellToken: q.get('sellToken'), buyToken: q.get('buyToken'), sellAmount: q.get('sellAmount') };
+    case '1inch':
+      return {
+        sellToken: q.get('fromTokenAddress') || q.get('src'),
+        buyToken: q.get('toTokenAddress') || q.get('dst'),
+        sellAmount: q.get('amount')
+      };
+    case 'paraswap':
+      return { sellToken: q.get('fromToken'), buyToken: q.get('toToken'), sellAmount: q.get('amount') };
+    case 'cow':
+      return { sellToken: body.sellToken, buyToken: body.buyToken, sellAmount: body.sellAmountBeforeFee };
+    default:
+      return {};
+  }
+}
+
+function shapeResponse(source, legs, quote, gas) {
+  switch (source) {
+    case '0x':
+      return {
+        price: String(quote.rate),
+        buyAmount: quote.buyAmount,
+        sellAmount: legs.sellAmount,
+        estimatedGas: String(gas.estimatedGas),
+        gasPrice: gas.gasPrice,
+        protocolFee: '0'
+      };
+    case '1inch':
+      return { fromTokenAmount: legs.sellAmount, toTokenAmount: quote.buyAmount, estimatedGas: gas.estimatedGas };
+    case 'paraswap':
+      return { priceRoute: { srcAmount: legs.sellAmount, destAmount: quote.buyAmount, gasCost: String(gas.estimatedGas), gasCostUSD: gas.gasCostUSD } };
+    case 'cow': {
+      const sell = BigInt(legs.sellAmount);
+      const fee = (sell * BigInt(gas.feeBps)) / 10000n;
+      const scaledBuy = (BigInt(quote.buyAmount) * (sell - fee)) / sell;
+      return { quote: { sellAmount: (sell - fee).toString(), buyAmount: scaledBuy.toString(), feeAmount: fee.toString() } };
+    }
+    default:
+      return {};
+  }
+}
+
+function createMockServer(script = {}) {
+  const calls = [];
+  const counts = {};
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const body = req.method === 'POST' ? await readBody(req) : {};
+    const source = routeFor(req.method, url.pathname);
+    calls.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body, source, headers: req.headers });
+    counts[source] = (counts[source] || 0) + 1;
+
+    const send = (status, payload, headers = {}) => {
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(payload));
+    };
+
+    if (!source) return send(404, { message: `No mock route for ${req.method} ${url.pathname}` });
+
+    const failure = (server.script.failures || {})[source];
+    if (failure && (failure.times === undefined || counts[source] <= failure.times)) {
+      if (failure.timeout) return undefined; // Hold the socket open until the client gives up.
+      const headers = failure.retryAfter !== undefined ? { 'Retry-After': String(failure.retryAfter) } : {};
+      return send(failure.status || 500, failure.body || { message: `mock ${source} failure` }, headers);
+    }
+
+    if (source === 'coingecko') {
+      const ids = (url.searchParams.get('ids') || '').split(',').filter(Boolean);
+      const usd = server.script.usd || {};
+      return send(200, Object.fromEntries(ids.filter(id => usd[id] !== undefined).map(id => [id, { usd: usd[id] }])));
+    }
+
+    if (['binance', 'coinbase', 'kraken'].includes(source)) {
+      const symbol = bookSymbol(source, url);
+      const book = ((server.script.books || {})[source] || {})[symbol];
+      return book ? send(200, book) : send(400, { message: `no mock book for ${source} ${symbol}` });
+    }
+
+    const legs = quoteLegs(source, url, body);
+    const quote = buyFor(server.script, source, legs.sellToken, legs.buyToken, legs.sellAmount);
+    if (!quote) return send(400, { description: `no mock rate for ${source}` });
+    return send(200, shapeResponse(source, legs, quote, { ...DEFAULT_GAS, ...(server.script.gas || {}) }));
+  });
+
+  server.script = script;
+  server.calls = calls;
+
+  server.start = (port = 0) =>
+    new Promise(resolve => {
+      server.listen(port, '127.0.0.1', () => {
+        server.url = `http://127.0.0.1:${server.address().port}`;
+        resolve(server.url);
+      });
+    });
+
+  server.stop = () =>
+    new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(() => resolve());
+    });
+
+  return server;
+}
+
+module.exports = { createMockServer };
+
+if (require.main === module) {
+  const scriptPath = process.argv[2];
+  const script = scriptPath ? JSON.parse(fs.readFileSync(path.resolve(scriptPath), 'utf8')) : { rates: {}, usd: {} };
+  const server = createMockServer(script);
+  server.start(Number(process.env.MOCK_PORT || 4010)).then(url => console.log('Mock aggregator server on', url));
+}
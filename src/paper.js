@@ -0,0 +1,219 @@
+/**
+ * Paper trading: "executes" a report's round trips against the quotes already in it and keeps a
+ * ledger, to see whether acting on the scanner would have made money.
+ *
+ * An opportunity is taken when its round trip passes the entry rules (`paper.entry`):
+ *   minNetProfitUsd (the report's round-trip net figure, default 0), minProfitPercent,
+ *   minConsecutiveScans, chains (names or ids), pairs, aggregators (both legs must be listed)
+ * and at most `maxTradesPerScan` are taken per scan, best net first. Execution sells the pair's
+ * sell amount on the round trip's `buy_on` aggregator, then sells what came back on `sell_on`,
+ * scaling the reverse quote to that amount. Each leg gives up the chain's `slippageBps` plus
+ * `paper.feeBps`, and pays its quoted gas and protocol costs in USD.
+ *
+ * Balances are kept per chain and token symbol. `paper.inventory` sets opening balances
+ * ({ "ethereum": { "WETH": 1 } }); any other token is funded with `defaultInventoryUsd` worth the
+ * first time it is traded. A trade needs enough of the sell token; leg costs come out of the
+ * chain's `USD` balance, which may go negative.
+ *
+ * The ledger (`paper.ledgerFile`, default `paper-ledger.json` next to the reports) keeps balances,
+ * the last `maxTrades` fills and skipped trades (running PnL, win rate and drawdown cover all of
+ * them), plus the timestamp of the newest report simulated: reports at or before `last_seen` are
+ * skipped, so replaying saved `opportunities-*.json` files never counts a report twice.
+ */
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_SLIPPAGE_BPS } = require('./amounts');
+
+const DEFAULT_PAPER = { enabled: false, feeBps: 0, defaultInventoryUsd: 1000, maxTradesPerScan: 5, maxTrades: 1000, entry: { minNetProfitUsd: 0 } };
+
+function paperSettings(settings = {}) {
+  return { ...DEFAULT_PAPER, ...settings, entry: { ...DEFAULT_PAPER.entry, ...(settings.entry || {}) } };
+}
+
+function emptyLedger() {
+  return {
+    balances: {},
+    deposits: [],
+    trades: [],
+    last_seen: null,
+    stats: { reports: 0, fills: 0, wins: 0, losses: 0, skipped: 0, pnl_usd: 0, costs_usd: 0, peak_pnl_usd: 0, max_drawdown_usd: 0 }
+  };
+}
+
+// Ledgers written before `last_seen` listed every report timestamp in `seen`.
+function upgradeLedger(ledger) {
+  if (!Array.isArray(ledger.seen)) return ledger;
+  const { seen, ...rest } = ledger;
+  return { ...rest, last_seen: [...seen].sort().pop() || null, stats: { ...rest.stats, reports: seen.length } };
+}
+
+// An unreadable ledger is moved aside to `<file>.corrupt-<time>` (and logged) before starting a
+// new one, so its history can still be recovered by hand.
+function loadLedger(file, log = console) {
+  if (!file || !fs.existsSync(file)) return emptyLedger();
+  try {
+    return upgradeLedger({ ...emptyLedger(), ...JSON.parse(fs.readFileSync(file, 'utf8')) });
+  } catch (err) {
+    const aside = `${file}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    fs.renameSync(file, aside);
+    log.warn(`Paper ledger ${file} is unreadable (${err.message}); moved it to ${aside} and started a new ledger`);
+    return emptyLedger();
+  }
+}
+
+// Written to a temp file and renamed over the ledger, so a crash mid-write never truncates it.
+function saveLedger(file, ledger) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(ledger, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+// Reason an opportunity is not taken, or null when it passes the entry rules.
+function entryBlocked(op, chain, entry) {
+  const rt = op.round_trip;
+  if (!rt) return 'no round trip';
+  if (entry.chains && !entry.chains.includes(chain.chain) && !entry.chains.includes(chain.chainId)) return 'chain not in entry.chains';
+  if (entry.pairs && !entry.pairs.includes(op.pair)) return 'pair not in entry.pairs';
+  if (entry.aggregators && !(entry.aggregators.includes(rt.buy_on) && entry.aggregators.includes(rt.sell_on))) return 'aggregator not in entry.aggregators';
+  if (entry.minNetProfitUsd !== undefined && !(rt.net_profit_usd >= entry.minNetProfitUsd)) return `round-trip net ${rt.net_profit_usd} < ${entry.minNetProfitUsd} USD`;
+  if (entry.minProfitPercent !== undefined && !(rt.profit_percent >= entry.minProfitPercent)) return `round-trip ${rt.profit_percent}% < ${entry.minProfitPercent}%`;
+  if (entry.minConsecutiveScans !== undefined && !((op.persistence?.consecutive_scans || 0) >= entry.minConsecutiveScans)) return 'not seen in enough consecutive scans';
+  return null;
+}
+
+// Fills both legs from the report's quotes. Returns the amounts and USD figures, or { reason }.
+function executeRoundTrip(op, { slippageBps, feeBps }) {
+  const rt = op.round_trip;
+  const fwd = (op.quotes || []).find(q => q.source === rt.buy_on && !q.error);
+  const rev = (op.reverseQuotes || []).find(q => q.source === rt.sell_on && !q.error);
+  if (!fwd || !fwd.buyAmountHuman) return { reason: `no ${rt.buy_on} quote in the report` };
+  if (!rev || !rev.buyAmountHuman || !rev.sellAmountHuman) return { reason: `no ${rt.sell_on} reverse quote in the report` };
+  // Fills use the quoted amounts, so a fee already taken from them is not charged again.
+  const legCost = q => (q.fillCostUsd === undefined ? q.costUsd : q.fillCostUsd);
+  if ([fwd, rev].some(q => legCost(q) === null || legCost(q) === undefined)) return { reason: 'leg cost unknown' };
+  const tokenUsd = op.notional_usd && op.sellAmount ? op.notional_usd / op.sellAmount : null;
+  if (!tokenUsd) return { reason: `no USD price for ${op.sellToken}` };
+
+  const keep = 1 - (slippageBps + feeBps) / 10000;
+  const start = rt.start_amount ?? op.sellAmount;
+  const received = fwd.buyAmountHuman * (start / (fwd.sellAmountHuman || start)) * keep;
+  const end = rev.buyAmountHuman * (received / rev.sellAmountHuman) * keep;
+  const costs = legCost(fwd) + legCost(rev);
+  return { start, received, end, tokenUsd, costs, pnlUsd: (end - start) * tokenUsd - costs };
+}
+
+function chainBalances(ledger, chain, settings) {
+  if (!ledger.balances[chain]) ledger.balances[chain] = { ...((settings.inventory || {})[chain] || {}) };
+  return ledger.balances[chain];
+}
+
+function record(ledger, trade) {
+  ledger.trades.push(trade);
+  const { stats } = ledger;
+  if (trade.status !== 'filled') {
+    stats.skipped += 1;
+    return trade;
+  }
+  stats.fills += 1;
+  if (trade.pnl_usd > 0) stats.wins += 1;
+  else stats.losses += 1;
+  stats.pnl_usd += trade.pnl_usd;
+  stats.costs_usd += trade.costs_usd;
+  stats.peak_pnl_usd = Math.max(stats.peak_pnl_usd, stats.pnl_usd);
+  stats.max_drawdown_usd = Math.max(stats.max_drawdown_usd, stats.peak_pnl_usd - stats.pnl_usd);
+  trade.cumulative_pnl_usd = stats.pnl_usd;
+  return trade;
+}
+
+// Simulates one report into `ledger` (updated in place). `chains` is the configured chain list,
+// used for each chain's slippageBps. Returns the trades of this report.
+function simulateReport(report, ledger, settings = {}, chains = []) {
+  const s = paperSettings(settings);
+  if (ledger.last_seen && report.timestamp <= ledger.last_seen) return { timestamp: report.timestamp, duplicate: true, trades: [] };
+  ledger.last_seen = report.timestamp;
+  ledger.stats.reports += 1;
+
+  const candidates = [];
+  for (const chain of report.chains || []) {
+    for (const op of chain.opportunities || []) {
+      if (!entryBlocked(op, chain, s.entry)) candidates.push({ chain, op });
+    }
+  }
+  candidates.sort((a, b) => b.op.round_trip.net_profit_usd - a.op.round_trip.net_profit_usd);
+
+  const trades = [];
+  for (const { chain, op } of candidates.slice(0, s.maxTradesPerScan)) {
+    const configured = chains.find(c => c.name === chain.chain) || {};
+    const rt = op.round_trip;
+    const base = { timestamp: report.timestamp, chain: chain.chain, pair: op.pair, buy_on: rt.buy_on, sell_on: rt.sell_on, token: op.sellToken };
+    const fill = executeRoundTrip(op, { slippageBps: configured.slippageBps ?? DEFAULT_SLIPPAGE_BPS, feeBps: s.feeBps });
+    if (fill.reason) {
+      trades.push(record(ledger, { ...base, status: 'skipped', reason: fill.reason }));
+      continue;
+    }
+
+    const balances = chainBalances(ledger, chain.chain, s);
+    if (balances[op.sellToken] === undefined) {
+      const amount = s.defaultInventoryUsd / fill.tokenUsd;
+      balances[op.sellToken] = amount;
+      ledger.deposits.push({ timestamp: report.timestamp, chain: chain.chain, token: op.sellToken, amount, usd: s.defaultInventoryUsd });
+    }
+    if (balances[op.sellToken] < fill.start) {
+      trades.push(record(ledger, { ...base, status: 'skipped', reason: `insufficient ${op.sellToken} on ${chain.chain} (${balances[op.sellToken]} < ${fill.start})` }));
+      continue;
+    }
+    balances[op.sellToken] += fill.end - fill.start;
+    balances.USD = (balances.USD || 0) - fill.costs;
+    trades.push(record(ledger, {
+      ...base,
+      status: 'filled',
+      start_amount: fill.start,
+      intermediate_amount: fill.received,
+      end_amount: fill.end,
+      pnl_token: fill.end - fill.start,
+      token_usd: fill.tokenUsd,
+      costs_usd: fill.costs,
+      pnl_usd: fill.pnlUsd
+    }));
+  }
+  if (ledger.trades.length > s.maxTrades) ledger.trades.splice(0, ledger.trades.length - s.maxTrades);
+  return { timestamp: report.timestamp, trades };
+}
+
+// Totals for reports and the dashboard.
+function summarizeLedger(ledger) {
+  const { stats } = ledger;
+  return {
+    reports: stats.reports,
+    fills: stats.fills,
+    skipped: stats.skipped,
+    wins: stats.wins,
+    losses: stats.losses,
+    win_rate: stats.fills ? stats.wins / stats.fills : null,
+    pnl_usd: stats.pnl_usd,
+    costs_usd: stats.costs_usd,
+    drawdown_usd: stats.peak_pnl_usd - stats.pnl_usd,
+    max_drawdown_usd: stats.max_drawdown_usd,
+    balances: ledger.balances
+  };
+}
+
+// Replays reports (any order; they are taken oldest first) into `ledger`.
+function replayReports(reports, ledger, settings, chains) {
+  const ordered = [...reports].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  return ordered.map(report => simulateReport(report, ledger, settings, chains)).filter(r => !r.duplicate);
+}
+
+module.exports = {
+  DEFAULT_PAPER,
+  paperSettings,
+  emptyLedger,
+  loadLedger,
+  saveLedger,
+  entryBlocked,
+  executeRoundTrip,
+  simulateReport,
+  summarizeLedger,
+  replayReports
+};
@@ -0,0 +1,172 @@
+/**
+ * USD prices for trade sizing and cost conversions, from several sources in priority order.
+ *
+ *   override   fixed prices from `prices.overrides` ({ "<coingeckoId>": usd })
+ *   coingecko  CoinGecko /simple/price; a scan asks for every id it needs in one request
+ *   quotes     derived from our own aggregator quotes against a stablecoin
+ *   peg        1 USD for the ids in `prices.stablecoins`
+ *
+ * The first source with a price wins. CoinGecko and quote-derived prices are cached for
+ * `cacheTtlSec`, in memory and between runs in `cacheFile` (default: `price-cache.json` next to
+ * the reports). Every price handed out is recorded with its source and timestamp (`at`, null for
+ * override and peg) so reports can say what sizing and USD figures were based on.
+ *
+ * Settings live under `prices` in `pairs.config.json`:
+ *   { "sources": ["override", "coingecko", "quotes", "peg"], "cacheTtlSec": 300,
+ *     "stablecoins": ["usd-coin", "tether", "dai"], "overrides": { "wrapped-bitcoin": 60000 },
+ *     "coingecko": { "apiKeyEnv": "COINGECKO_API_KEY", "apiKeyHeader": "x-cg-demo-api-key", "retries": 2 } }
+ */
+const fs = require('fs');
+const path = require('path');
+
+const PRICE_SOURCES = ['override', 'coingecko', 'quotes', 'peg'];
+const DEFAULT_PRICES = { sources: PRICE_SOURCES, cacheTtlSec: 300, stablecoins: ['usd-coin', 'tether', 'dai'], overrides: {} };
+
+function fresh(entry, ttlSec, now) {
+  return Boolean(entry && entry.usd > 0 && now - Date.parse(entry.at) <= ttlSec * 1000);
+}
+
+// Merges a cache file into `cache` ("<source>:<id>" -> { usd, at }), keeping the newer entry.
+function loadPriceCache(file, cache = new Map()) {
+  if (!file || !fs.existsSync(file)) return cache;
+  try {
+    const { entries } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    for (const [key, entry] of Object.entries(entries || {})) {
+      const current = cache.get(key);
+      if (!current || Date.parse(entry.at) > Date.parse(current.at)) cache.set(key, entry);
+    }
+  } catch (err) {
+    // An unreadable cache is the same as none.
+  }
+  return cache;
+}
+
+function savePriceCache(file, cache, { cacheTtlSec = DEFAULT_PRICES.cacheTtlSec } = {}, now = Date.now()) {
+  const entries = Object.fromEntries([...cache].filter(([, entry]) => fresh(entry, cacheTtlSec, now)));
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ entries }, null, 2));
+}
+
+// `fetchBatch(ids)` resolves to { id: usd } from CoinGecko in one request. Create one oracle per
+// scan: each id is asked of CoinGecko at most once per oracle, hit or miss.
+function createPriceOracle(settings = {}, { fetchBatch, cache = new Map(), now = Date.now } = {}) {
+  const s = { ...DEFAULT_PRICES, ...settings };
+  const unknown = s.sources.filter(source => !PRICE_SOURCES.includes(source));
+  if (unknown.length) throw new Error(`Unknown price source(s): ${unknown.join(', ')}`);
+
+  const pending = new Map();
+  const used = new Map();
+  const errors = [];
+  let requests = 0;
+
+  const isStable = id => Boolean(id) && s.stablecoins.includes(id);
+  const cached = (source, id) => {
+    const entry = cache.get(`${source}:${id}`);
+    return fresh(entry, s.cacheTtlSec, now()) ? entry : null;
+  };
+  const remember = (source, id, usd) => {
+    const entry = { usd, at: new Date(now()).toISOString() };
+    cache.set(`${source}:${id}`, entry);
+    return entry;
+  };
+
+  const lookup = {
+    override: id => (s.overrides[id] > 0 ? { usd: s.overrides[id], at: null } : null),
+    coingecko: async id => {
+      if (!pending.has(id)) await fetchCoinGecko([id]);
+      await pending.get(id);
+      return cached('coingecko', id);
+    },
+    quotes: async (id, derive) => {
+      const hit = cached('quotes', id);
+      if (hit || !derive) return hit;
+      const usd = await derive().catch(() => null);
+      return usd > 0 ? remember('quotes', id, usd) : null;
+    },
+    peg: id => (isStable(id) ? { usd: 1, at: null } : null)
+  };
+
+  // Ids a source ahead of CoinGecko already answers are not sent.
+  function needsCoinGecko(id) {
+    for (const source of s.sources) {
+      if (source === 'coingecko') return !cached('coingecko', id);
+      if (source === 'override' && lookup.override(id)) return false;
+      if (source === 'quotes' && cached('quotes', id)) return false;
+      if (source === 'peg' && isStable(id)) return false;
+    }
+    return false;
+  }
+
+  async function fetchCoinGecko(ids) {
+    const wanted = [...new Set(ids.filter(Boolean))].filter(id => !pending.has(id) && needsCoinGecko(id));
+    if (!wanted.length || !fetchBatch) {
+      for (const id of ids) if (id && !pending.has(id)) pending.set(id, Promise.resolve());
+      return;
+    }
+    requests += 1;
+    const batch = fetchBatch(wanted).then(
+      prices => {
+        for (const id of wanted) if (prices[id] > 0) remember('coingecko', id, prices[id]);
+      },
+      err => {
+        errors.push(err.message);
+      }
+    );
+    for (const id of wanted) pending.set(id, batch);
+    await batch;
+  }
+
+  return {
+    isStable,
+
+    // One CoinGecko request for every id that needs it.
+    prefetch(ids) {
+      return fetchCoinGecko(ids);
+    },
+
+    // { usd, source, at } from the first source that knows `id`, or null. `derive` is an async
+    // function returning a USD price from aggregator quotes, used by the `quotes` source.
+    async price(id, { derive } = {}) {
+      if (!id) return null;
+      for (const source of s.sources) {
+        const hit = await lookup[source](id, derive);
+        if (hit) {
+          const entry = { usd: hit.usd, source, at: hit.at };
+          used.set(id, entry);
+          return entry;
+        }
+      }
+      return null;
+    },
+
+    // Records a price seen in aggregator quotes for later lookups by the `quotes` source.
+    observe(id, usd) {
+      if (id && usd > 0 && isFinite(usd)) remember('quotes', id, usd);
+    },
+
+    snapshot() {
+      const tokens = Object.fromEntries([...used].sort(([a], [b]) => a.localeCompare(b)));
+      return { sources: s.sources, cache_ttl_sec: s.cacheTtlSec, coingecko_requests: requests, errors, tokens };
+    }
+  };
+}
+
+// Why a pair cannot be sized from a USD target. Shared by the scan and validate-config.
+function noUsdPriceMessage(pair, usdTarget) {
+  const token = pair.coingeckoId ? `${pair.fromSymbol} (${pair.coingeckoId})` : `${pair.fromSymbol} (no coingeckoId)`;
+  return `No USD price for ${token} to size a $${usdTarget} trade; set sampleSellAmount on the pair or add prices.overrides`;
+}
+
+// True when some configured source could answer for `id` (CoinGecko and quotes are assumed to).
+function canPrice(id, settings = {}) {
+  const s = { ...DEFAULT_PRICES, ...settings };
+  const answers = {
+    override: () => s.overrides[id] > 0,
+    coingecko: () => true,
+    quotes: () => true,
+    peg: () => s.stablecoins.includes(id)
+  };
+  return Boolean(id) && s.sources.some(source => answers[source]?.());
+}
+
+module.exports = { PRICE_SOURCES, DEFAULT_PRICES, loadPriceCache, savePriceCache, createPriceOracle, noUsdPriceMessage, canPrice };
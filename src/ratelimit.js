@@ -0,0 +1,113 @@
+/**
+ * Concurrency and rate limiting helpers.
+ *
+ * - `createLimiter(max)` caps how many async tasks run at once (global pair concurrency).
+ * - `createTokenBucket({ perSecond, burst })` hands out tokens at a steady rate.
+ * - `installRateLimits(client, limits)` puts one token bucket per request host in front of an
+ *   axios client, configured from `rateLimits` in `pairs.config.json`:
+ *     { "default": { "perSecond": 2, "burst": 4 }, "hosts": { "api.1inch.io": { "perSecond": 1 } } }
+ * - `retryAfterMs(err)` reads a 429/503 `Retry-After` header (seconds or HTTP date).
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function createLimiter(max) {
+  const limit = Math.max(1, Number(max) || 1);
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= limit || !queue.length) return;
+    active += 1;
+    const { fn, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active -= 1;
+        next();
+      });
+  };
+
+  const run = fn =>
+    new Promise((resolve, reject) => {
+      queue.push({ fn, resolve, reject });
+      next();
+    });
+  run.active = () => active;
+  run.pending = () => queue.length;
+  return run;
+}
+
+function createTokenBucket({ perSecond, burst } = {}) {
+  const rate = Number(perSecond) || 0;
+  const capacity = Math.max(1, Number(burst) || 1);
+  let tokens = capacity;
+  let last = Date.now();
+  let chain = Promise.resolve();
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - last) / 1000) * rate);
+    last = now;
+  };
+
+  const acquire = async () => {
+    if (!rate) return;
+    refill();
+    if (tokens < 1) {
+      await sleep(Math.ceil(((1 - tokens) / rate) * 1000));
+      refill();
+    }
+    tokens -= 1;
+  };
+
+  // Serialise waiters so tokens are handed out in request order.
+  const take = () => {
+    const turn = chain.then(acquire);
+    chain = turn.catch(() => {});
+    return turn;
+  };
+  return { take };
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch (err) {
+    return null;
+  }
+}
+
+function installRateLimits(client, limits = {}) {
+  const buckets = new Map();
+  const bucketFor = host => {
+    if (!buckets.has(host)) {
+      const settings = (limits.hosts || {})[host] || limits.default;
+      buckets.set(host, settings ? createTokenBucket(settings) : null);
+    }
+    return buckets.get(host);
+  };
+
+  client.interceptors.request.use(async req => {
+    const host = hostOf(req.baseURL ? new URL(req.url, req.baseURL).href : req.url);
+    const bucket = host && bucketFor(host);
+    if (bucket) await bucket.take();
+    return req;
+  });
+  return buckets;
+}
+
+function retryAfterMs(err) {
+  const status = err.response?.status;
+  if (status !== 429 && status !== 503) return null;
+  const header = err.response.headers?.['retry-after'];
+  if (header === undefined || header === null || header === '') return null;
+  const seconds = Number(header);
+  if (isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+module.exports = { sleep, createLimiter, createTokenBucket, installRateLimits, retryAfterMs };
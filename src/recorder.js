@@ -0,0 +1,88 @@
+/**
+ * Record-and-replay for `axiosClient`.
+ *
+ * - `enableRecording(client, dir)` writes one JSON file per distinct request (method + URL + body)
+ *   with the response status/headers/data, or the network error if there was no response.
+ * - `enableReplay(client, dir)` swaps the client's adapter so those files are served back offline.
+ *
+ * Request headers are never written, so API keys stay out of recordings. Secrets that live in the
+ * URL itself (the Telegram bot token in `/bot<token>/sendMessage`) are redacted before the URL is
+ * saved or hashed, so replay still matches whatever token is configured. Other secrets passed in
+ * query strings or bodies are not scrubbed; check a recording before sharing it.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+function serializeBody(data) {
+  if (data === undefined || data === null) return '';
+  return typeof data === 'string' ? data : JSON.stringify(data);
+}
+
+const URL_SECRETS = [[/\/bot\d+:[\w-]+\//, '/bot<redacted>/']];
+
+function redactUrl(url) {
+  return URL_SECRETS.reduce((out, [pattern, replacement]) => out.replace(pattern, replacement), url);
+}
+
+function requestKey(config) {
+  const method = (config.method || 'get').toUpperCase();
+  const url = redactUrl(axios.getUri(config));
+  const hash = crypto.createHash('sha1').update(`${method} ${url}\n${serializeBody(config.data)}`).digest('hex');
+  return { method, url, file: `${hash.slice(0, 16)}.json` };
+}
+
+function writeRecording(dir, config, payload) {
+  const { method, url, file } = requestKey(config);
+  const entry = { request: { method, url, data: serializeBody(config.data) || undefined }, ...payload };
+  fs.writeFileSync(path.join(dir, file), JSON.stringify(entry, null, 2));
+}
+
+function enableRecording(client, dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  return client.interceptors.response.use(
+    response => {
+      writeRecording(dir, response.config, {
+        response: { status: response.status, headers: { ...response.headers }, data: response.data }
+      });
+      return response;
+    },
+    err => {
+      if (err.config) {
+        const payload = err.response
+          ? { response: { status: err.response.status, headers: { ...err.response.headers }, data: err.response.data } }
+          : { error: { code: err.code, message: err.message } };
+        writeRecording(dir, err.config, payload);
+      }
+      return Promise.reject(err);
+    }
+  );
+}
+
+function replayAdapter(dir) {
+  return async config => {
+    const { method, url, file } = requestKey(config);
+    const full = path.join(dir, file);
+    if (!fs.existsSync(full)) {
+      throw new axios.AxiosError(`No recording for ${method} ${url}`, 'ERR_NO_RECORDING', config);
+    }
+    const entry = JSON.parse(fs.readFileSync(full, 'utf8'));
+    if (entry.error) throw new axios.AxiosError(entry.error.message, entry.error.code, config);
+
+    const response = { ...entry.response, statusText: '', config, request: null };
+    const validate = config.validateStatus || (status => status >= 200 && status < 300);
+    if (!validate(response.status)) {
+      const code = response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST;
+      throw new axios.AxiosError(`Request failed with status code ${response.status}`, code, config, null, response);
+    }
+    return response;
+  };
+}
+
+function enableReplay(client, dir) {
+  if (!fs.existsSync(dir)) throw new Error(`Replay directory not found: ${dir}`);
+  client.defaults.adapter = replayAdapter(dir);
+}
+
+module.exports = { redactUrl, requestKey, enableRecording, enableReplay };
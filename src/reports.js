@@ -0,0 +1,95 @@
+/**
+ * Saved report files: naming, lookup and diffing.
+ *
+ * Every scan writes `opportunities-<timestamp>.json` (colons and dots in the ISO timestamp become
+ * dashes) plus `latest.json`. A report can be referred to by path, by `latest`, or by its timestamp
+ * in either form.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const FILE_PATTERN = /^opportunities-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z\.json$/;
+
+function reportFileName(timestamp) {
+  return `opportunities-${timestamp.replace(/[:.]/g, '-')}.json`;
+}
+
+function timestampFromFile(file) {
+  const match = FILE_PATTERN.exec(path.basename(file));
+  if (!match) return null;
+  const [, date, hh, mm, ss, ms] = match;
+  return `${date}T${hh}:${mm}:${ss}.${ms}Z`;
+}
+
+// Newest first.
+function listReports(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .map(name => ({ timestamp: timestampFromFile(name), file: path.join(dir, name) }))
+    .filter(r => r.timestamp)
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+}
+
+function resolveReport(ref, dir) {
+  if (!ref || ref === 'latest') {
+    const latest = path.join(dir, 'latest.json');
+    return fs.existsSync(latest) ? latest : null;
+  }
+  if (fs.existsSync(ref) && fs.statSync(ref).isFile()) return path.resolve(ref);
+  const named = path.join(dir, FILE_PATTERN.test(ref) ? ref : reportFileName(ref));
+  return fs.existsSync(named) ? named : null;
+}
+
+function loadReport(ref, dir) {
+  const file = resolveReport(ref, dir);
+  if (!file) throw new Error(`No report found for ${ref || 'latest'} in ${dir}`);
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function opportunityMap(report) {
+  const map = new Map();
+  for (const chain of report.chains || []) {
+    for (const op of chain.opportunities || []) map.set(`${chain.chain}|${op.pair}`, { chain: chain.chain, op });
+  }
+  return map;
+}
+
+// What changed between two reports, keyed by chain + pair.
+function diffReports(before, after) {
+  const a = opportunityMap(before);
+  const b = opportunityMap(after);
+  const opened = [];
+  const closed = [];
+  const changed = [];
+
+  for (const [key, { chain, op }] of b) {
+    const prior = a.get(key);
+    if (!prior) {
+      opened.push({ chain, pair: op.pair, spread_percent: op.spread_percent ?? null, net_spread_percent: op.net_spread_percent ?? null, best: op.best || null });
+      continue;
+    }
+    const delta = (op.spread_percent ?? 0) - (prior.op.spread_percent ?? 0);
+    const netDelta = op.net_spread_percent !== undefined && prior.op.net_spread_percent !== undefined ? (op.net_spread_percent ?? 0) - (prior.op.net_spread_percent ?? 0) : null;
+    if (delta !== 0 || op.best !== prior.op.best || op.worst !== prior.op.worst) {
+      changed.push({
+        chain,
+        pair: op.pair,
+        spread_before: prior.op.spread_percent ?? null,
+        spread_after: op.spread_percent ?? null,
+        spread_delta: delta,
+        net_spread_delta: netDelta,
+        best_before: prior.op.best || null,
+        best_after: op.best || null
+      });
+    }
+  }
+  for (const [key, { chain, op }] of a) {
+    if (!b.has(key)) closed.push({ chain, pair: op.pair, spread_percent: op.spread_percent ?? null, best: op.best || null });
+  }
+
+  changed.sort((x, y) => Math.abs(y.spread_delta) - Math.abs(x.spread_delta));
+  return { from: before.timestamp, to: after.timestamp, opened, closed, changed };
+}
+
+module.exports = { reportFileName, timestampFromFile, listReports, resolveReport, loadReport, diffReports };
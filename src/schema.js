@@ -0,0 +1,111 @@
+/**
+ * Minimal JSON Schema (draft-07 subset) validator for `config/pairs.config.schema.json`.
+ *
+ * Supported keywords: $ref (local `#/definitions/...`), type, enum, const, required, properties,
+ * additionalProperties, patternProperties, items, minItems, uniqueItems, minLength, pattern,
+ * minimum, maximum, exclusiveMinimum, oneOf, anyOf. Anything else is ignored.
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function typeMatches(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) throw new Error(`Unsupported $ref ${ref}`);
+  return ref.slice(2).split('/').reduce((node, key) => node && node[key], root);
+}
+
+function validateNode(schema, value, at, root, errors) {
+  if (schema.$ref) return validateNode(resolveRef(root, schema.$ref), value, at, root, errors);
+  const before = errors.length;
+  const fail = message => errors.push({ path: at, message });
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => typeMatches(value, t))) {
+      fail(`must be ${types.join(' or ')}`);
+      return false;
+    }
+  }
+  if (schema.enum && !schema.enum.some(v => v === value)) fail(`must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  if ('const' in schema && schema.const !== value) fail(`must be ${JSON.stringify(schema.const)}`);
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail(`must not be shorter than ${schema.minLength}`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`must match ${schema.pattern}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail(`must be > ${schema.exclusiveMinimum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+    if (schema.uniqueItems && new Set(value.map(v => JSON.stringify(v))).size !== value.length) fail('must not contain duplicates');
+    if (schema.items) value.forEach((item, i) => validateNode(schema.items, item, `${at}[${i}]`, root, errors));
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) fail(`is missing required property "${key}"`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childAt = `${at}.${key}`;
+      if (schema.properties && schema.properties[key]) {
+        validateNode(schema.properties[key], child, childAt, root, errors);
+        continue;
+      }
+      const patterned = Object.entries(schema.patternProperties || {}).filter(([p]) => new RegExp(p).test(key));
+      if (patterned.length) {
+        for (const [, sub] of patterned) validateNode(sub, child, childAt, root, errors);
+      } else if (schema.additionalProperties === false) {
+        fail(`has unknown property "${key}"`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        validateNode(schema.additionalProperties, child, childAt, root, errors);
+      }
+    }
+  }
+
+  const branches = schema.oneOf || schema.anyOf;
+  if (branches) {
+    const results = branches.map(branch => {
+      const resolved = branch.$ref ? resolveRef(root, branch.$ref) : branch;
+      const types = [].concat(resolved.type || []);
+      const required = resolved.required || [];
+      const branchErrors = [];
+      validateNode(branch, value, at, root, branchErrors);
+      const typed = !types.length || types.some(t => typeMatches(value, t));
+      const keyed = typed && (typeOf(value) !== 'object' || !required.length || required.some(k => k in value));
+      return { errors: branchErrors, typed, keyed };
+    });
+    const passing = results.filter(r => !r.errors.length).length;
+    if (!passing) {
+      // Report the closest branch the value was evidently aiming for; its errors are the most useful.
+      const pick = key => results.filter(r => r[key]);
+      const candidates = pick('keyed').length ? pick('keyed') : pick('typed').length ? pick('typed') : results;
+      const closest = candidates.reduce((a, b) => (b.errors.length < a.errors.length ? b : a));
+      errors.push(...closest.errors);
+    } else if (schema.oneOf && passing > 1) {
+      fail('matches more than one allowed shape');
+    }
+  }
+
+  return errors.length === before;
+}
+
+// Returns a list of { path, message }; empty when `value` conforms.
+function validateSchema(schema, value) {
+  const errors = [];
+  validateNode(schema, value, '$', schema, errors);
+  return errors;
+}
+
+module.exports = { validateSchema };
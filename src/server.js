@@ -0,0 +1,303 @@
+/**
+ * Built-in HTTP API over saved reports, scan history and on-demand quotes.
+ *
+ *   GET /api/reports/latest            newest report (`latest.json`)
+ *   GET /api/reports/:timestamp        one saved report (ISO timestamp or file-name form)
+ *   GET /api/reports?page=1&limit=20   saved reports, newest first, with their summaries
+ *   GET /api/history?chain=&pair=      history series (same filters as `node src/history.js series`)
+ *   GET /api/quote?chain=&pair=&amount=&aggregators=   runs analyzePair for one pair now; identical
+ *                                      requests within `quoteCacheSec` share one result, and at most
+ *                                      `quotesPerMinute` new ones are run (429 beyond that)
+ *   GET /api/stream                    Server-Sent Events: a `scan` event with each new report
+ *   GET /metrics                       aggregator health of the latest scan, Prometheus text format
+ *
+ * Settings come from `server` in `pairs.config.json` (port, host, cors.origins, pollSec,
+ * quoteCacheSec, quotesPerMinute) and CLI flags. When `server.tokenEnv` (default API_TOKEN) is
+ * set, every request needs `Authorization: Bearer <token>`; `?access_token=` is accepted too because EventSource can't send
+ * headers. New scans are picked up from `latest.json` on disk and from `publish()` (used by
+ * `serve --watch`).
+ */
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { listReports, resolveReport, reportFileName } = require('./reports');
+const { formatPrometheus } = require('./health');
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const HEARTBEAT_MS = 25000;
+const DEFAULT_QUOTE_CACHE_SEC = 15;
+const DEFAULT_QUOTES_PER_MINUTE = 30;
+const TIMESTAMP_PATTERN = /^(\d{4}-\d{2}-\d{2})T(\d{2})[:-](\d{2})[:-](\d{2})[.-](\d{3})Z$/;
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function readJsonFile(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function tokenMatches(expected, given) {
+  if (!given) return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(given);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function allowedOrigin(origins, origin) {
+  if (!origins || !origins.length) return null;
+  if (origins.includes('*')) return '*';
+  return origin && origins.includes(origin) ? origin : null;
+}
+
+function normalizeTimestamp(value) {
+  const match = TIMESTAMP_PATTERN.exec(value);
+  if (!match) return null;
+  const [, date, hh, mm, ss, ms] = match;
+  return `${date}T${hh}:${mm}:${ss}.${ms}Z`;
+}
+
+function positiveInt(value, fallback, max) {
+  const n = Number(value);
+  if (value === null || value === undefined || value === '') return fallback;
+  if (!Number.isInteger(n) || n < 1) throw httpError(400, `expected a positive integer, got ${value}`);
+  return max ? Math.min(n, max) : n;
+}
+
+// Wraps `quote(query)`: requests for the same chain, pair, amount and aggregators share one call
+// while it runs and for `cacheSec` after; new calls past `perMinute` (all clients) get a 429.
+function limitQuotes(quote, { cacheSec = DEFAULT_QUOTE_CACHE_SEC, perMinute = DEFAULT_QUOTES_PER_MINUTE } = {}) {
+  const cache = new Map();
+  let window = { start: 0, count: 0 };
+  return query => {
+    const now = Date.now();
+    for (const [key, entry] of cache) if (entry.expires <= now) cache.delete(key);
+    const key = ['chain', 'pair', 'amount', 'aggregators'].map(k => query[k] || '').join('|');
+    if (cache.has(key)) return cache.get(key).result;
+
+    if (now - window.start >= 60000) window = { start: now, count: 0 };
+    if (window.count >= perMinute) {
+      const err = httpError(429, `Quote limit of ${perMinute} per minute reached`);
+      err.retryAfterSec = Math.ceil((window.start + 60000 - now) / 1000);
+      throw err;
+    }
+    window.count += 1;
+    const entry = { expires: Infinity, result: Promise.resolve().then(() => quote(query)) };
+    cache.set(key, entry);
+    entry.result.then(
+      () => (entry.expires = Date.now() + cacheSec * 1000),
+      () => cache.delete(key)
+    );
+    return entry.result;
+  };
+}
+
+// Options: reportsDir, token, cors { origins }, pollSec, history (store), quote(query) => result,
+// quoteCacheSec, quotesPerMinute
+function createApiServer(options = {}) {
+  const reportsDir = options.reportsDir;
+  const clients = new Set();
+  let lastTimestamp = null;
+  let heartbeat = null;
+  const quote = options.quote && limitQuotes(options.quote, { cacheSec: options.quoteCacheSec, perMinute: options.quotesPerMinute });
+
+  const publish = report => {
+    if (!report || !report.timestamp || report.timestamp === lastTimestamp) return false;
+    lastTimestamp = report.timestamp;
+    const frame = `event: scan\nid: ${report.timestamp}\ndata: ${JSON.stringify(report)}\n\n`;
+    for (const res of clients) res.write(frame);
+    return true;
+  };
+
+  const latestFile = path.join(reportsDir, 'latest.json');
+  const checkLatest = () => {
+    try {
+      if (fs.existsSync(latestFile)) publish(readJsonFile(latestFile));
+    } catch (err) {
+      // Half-written file; the next poll will see the finished one.
+    }
+  };
+
+  const routes = [
+    ['/api/reports/latest', () => {
+      const file = resolveReport('latest', reportsDir);
+      if (!file) throw httpError(404, 'No report yet');
+      return readJsonFile(file);
+    }],
+    [/^\/api\/reports\/([^/]+)$/, (url, match) => {
+      const timestamp = normalizeTimestamp(decodeURIComponent(match[1]));
+      if (!timestamp) throw httpError(400, `Not a report timestamp: ${match[1]}`);
+      const file = path.join(reportsDir, reportFileName(timestamp));
+      if (!fs.existsSync(file)) throw httpError(404, `No report for ${timestamp}`);
+      return readJsonFile(file);
+    }],
+    ['/api/reports', url => {
+      const page = positiveInt(url.searchParams.get('page'), 1);
+      const limit = positiveInt(url.searchParams.get('limit'), DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+      const all = listReports(reportsDir);
+      const items = all.slice((page - 1) * limit, page * limit).map(r => {
+        let summary = null;
+        try {
+          summary = readJsonFile(r.file).summary || null;
+        } catch (err) {
+          // Unreadable report: list it without a summary.
+        }
+        return { timestamp: r.timestamp, url: `/api/reports/${r.timestamp}`, summary };
+      });
+      return { page, limit, total: all.length, pages: Math.ceil(all.length / limit), items };
+    }],
+    ['/api/history', url => {
+      if (!options.history) throw httpError(404, 'History is not enabled');
+      const q = Object.fromEntries(url.searchParams);
+      return { points: options.history.series({ chain: q.chain, pair: q.pair, aggregator: q.aggregator, since: q.since, until: q.until }) };
+    }],
+    ['/api/quote', async url => {
+      if (!quote) throw httpError(404, 'On-demand quotes are not enabled');
+      const q = Object.fromEntries(url.searchParams);
+      if (!q.chain || !q.pair) throw httpError(400, 'chain and pair are required');
+      return quote(q);
+    }]
+  ];
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const origin = allowedOrigin((options.cors || {}).origins, req.headers.origin);
+    const baseHeaders = origin ? { 'Access-Control-Allow-Origin': origin, Vary: 'Origin' } : {};
+
+    const send = (status, payload, headers = {}) => {
+      res.writeHead(status, { 'Content-Type': 'application/json', ...baseHeaders, ...headers });
+      res.end(JSON.stringify(payload));
+    };
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, { ...baseHeaders, 'Access-Control-Allow-Methods': 'GET, OPTIONS', 'Access-Control-Allow-Headers': 'Authorization', 'Access-Control-Max-Age': '600' });
+      return res.end();
+    }
+    if (req.method !== 'GET') return send(405, { error: `${req.method} not allowed` }, { Allow: 'GET, OPTIONS' });
+
+    if (options.token) {
+      const header = req.headers.authorization || '';
+      const given = header.startsWith('Bearer ') ? header.slice(7) : url.searchParams.get('access_token');
+      if (!tokenMatches(options.token, given)) return send(401, { error: 'Missing or invalid bearer token' }, { 'WWW-Authenticate': 'Bearer' });
+    }
+
+    if (url.pathname === '/api/stream') {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive', ...baseHeaders });
+      res.write('retry: 5000\n\n');
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+      return undefined;
+    }
+
+    if (url.pathname === '/metrics') {
+      const file = resolveReport('latest', reportsDir);
+      if (!file) return send(404, { error: 'No report yet' });
+      let text;
+      try {
+        text = formatPrometheus(readJsonFile(file));
+      } catch (err) {
+        return send(500, { error: err.message || String(err) });
+      }
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8', ...baseHeaders });
+      return res.end(text);
+    }
+
+    for (const [pattern, handler] of routes) {
+      const match = typeof pattern === 'string' ? (url.pathname === pattern ? [] : null) : pattern.exec(url.pathname);
+      if (!match) continue;
+      try {
+        return send(200, await handler(url, match));
+      } catch (err) {
+        return send(err.status || 500, { error: err.message || String(err) }, err.retryAfterSec ? { 'Retry-After': String(err.retryAfterSec) } : {});
+      }
+    }
+    return send(404, { error: `No route for ${url.pathname}` });
+  });
+
+  server.publish = publish;
+  server.clients = clients;
+
+  server.start = (port = DEFAULT_PORT, host = DEFAULT_HOST) =>
+    new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.url = `http://${host}:${server.address().port}`;
+        try {
+          if (fs.existsSync(latestFile)) lastTimestamp = readJsonFile(latestFile).timestamp || null;
+        } catch (err) {
+          lastTimestamp = null;
+        }
+        fs.watchFile(latestFile, { interval: (options.pollSec || 2) * 1000 }, checkLatest);
+        heartbeat = setInterval(() => {
+          for (const res of clients) res.write(': keep-alive\n\n');
+        }, HEARTBEAT_MS);
+        heartbeat.unref();
+        resolve(server.url);
+      });
+    });
+
+  server.stop = () =>
+    new Promise(resolve => {
+      fs.unwatchFile(latestFile, checkLatest);
+      clearInterval(heartbeat);
+      for (const res of clients) res.end();
+      clients.clear();
+      server.closeAllConnections();
+      server.close(() => resolve());
+    });
+
+  return server;
+}
+
+// `serve` entry point: wires the server to the scanner config, history and (optionally) watch mode.
+// Options: port, host, reportsDir, watch ({ chains, scan } as for runWatch), record, replay, log.
+async function runServer(options = {}) {
+  const { config, REPORTS_DIR, setupClient, resolveQuoteRequest, analyzePair } = require('./arbitrage');
+  const { createHistoryStore, historyOptions } = require('./history');
+  const settings = config.server || {};
+  const log = options.log || console;
+  const historyOpts = historyOptions(config);
+  const tokenEnv = settings.tokenEnv || 'API_TOKEN';
+
+  setupClient(options);
+  const server = createApiServer({
+    reportsDir: options.reportsDir ? path.resolve(options.reportsDir) : REPORTS_DIR,
+    token: process.env[tokenEnv] || null,
+    cors: settings.cors,
+    pollSec: settings.pollSec,
+    quoteCacheSec: settings.quoteCacheSec,
+    quotesPerMinute: settings.quotesPerMinute,
+    history: createHistoryStore(historyOpts.dir, historyOpts),
+    quote: query => {
+      let request;
+      try {
+        request = resolveQuoteRequest(query.chain, query.pair, { amount: query.amount, aggregators: query.aggregators });
+      } catch (err) {
+        throw httpError(400, err.message);
+      }
+      return analyzePair(request.chain, request.pair, { reverse: false, depth: false });
+    }
+  });
+
+  const url = await server.start(options.port || settings.port || DEFAULT_PORT, options.host || settings.host || DEFAULT_HOST);
+  log.log(`[serve] API on ${url}${process.env[tokenEnv] ? ' (bearer auth on)' : ''}`);
+
+  if (options.watch) {
+    await require('./watch').runWatch({ ...options.watch, record: options.record, replay: options.replay, onReport: server.publish });
+  } else {
+    await new Promise(resolve => {
+      process.once('SIGINT', resolve);
+      process.once('SIGTERM', resolve);
+    });
+  }
+  await server.stop();
+  log.log('[serve] stopped');
+}
+
+module.exports = { createApiServer, runServer, DEFAULT_PORT, DEFAULT_HOST };
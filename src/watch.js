@@ -0,0 +1,88 @@
+/**
+ * Long-running watch mode: `node src/cli.js watch` (or `npm run watch`).
+ *
+ * Each chain is rescanned every `chains[].watchIntervalSec` (default `watch.intervalSec`, 60s).
+ * Chains that fall due together are scanned in one cycle, and every cycle goes through the same
+ * `runScan` as a one-off run, so report files, history and webhook posts are unchanged. The
+ * latest.* files merge each cycle into the newest results of the other chains.
+ * SIGINT/SIGTERM let the running cycle finish before exiting; a second signal exits at once.
+ */
+const DEFAULT_INTERVAL_SEC = 60;
+
+function chainIntervalMs(chain, settings = {}) {
+  return (chain.watchIntervalSec ?? settings.intervalSec ?? DEFAULT_INTERVAL_SEC) * 1000;
+}
+
+function watch({ chains, settings = {}, scan, maxCycles, log = console }) {
+  const nextDue = new Map(chains.map(c => [c.id, 0]));
+  let stopping = false;
+  let wake = null;
+  let timer = null;
+
+  const stop = () => {
+    stopping = true;
+    clearTimeout(timer);
+    if (wake) wake();
+  };
+
+  const loop = async () => {
+    let cycles = 0;
+    while (!stopping) {
+      const now = Date.now();
+      const due = chains.filter(c => nextDue.get(c.id) <= now);
+      if (due.length) {
+        for (const chain of due) nextDue.set(chain.id, now + chainIntervalMs(chain, settings));
+        try {
+          const report = await scan({ chains: due });
+          log.log(`[watch] ${report.timestamp} ${due.map(c => c.name).join(', ')}: ${report.summary.total_pairs} pairs, ${report.summary.candidates} candidates`);
+        } catch (err) {
+          log.error('[watch] cycle failed:', err.message || err);
+        }
+        cycles += 1;
+        if (maxCycles && cycles >= maxCycles) break;
+        continue;
+      }
+
+      const waitMs = Math.max(0, Math.min(...nextDue.values()) - Date.now());
+      await new Promise(resolve => {
+        wake = resolve;
+        timer = setTimeout(resolve, waitMs);
+      });
+      wake = null;
+    }
+    return cycles;
+  };
+
+  return { stop, done: loop() };
+}
+
+// `options.chains` narrows what is watched; `options.scan` is passed through to every runScan call
+// and `options.onReport` sees each finished report, merged like latest.json.
+async function runWatch(options = {}) {
+  const { config, parseChainFilter, setupClient, runScan } = require('./arbitrage');
+  setupClient(options);
+  const chains = options.chains || parseChainFilter(config.chains || []);
+  if (!chains.length) throw new Error('No chains to watch (check CHAIN_IDS)');
+
+  const latestChains = new Map();
+  const scan = async cycle => {
+    const report = await runScan({ ...options.scan, ...cycle, latestChains });
+    if (options.onReport) options.onReport(report);
+    return report;
+  };
+  const watcher = watch({ chains, settings: config.watch, scan });
+  let signals = 0;
+  const onSignal = signal => {
+    signals += 1;
+    if (signals > 1) process.exit(130);
+    console.log(`[watch] ${signal} received, finishing the current cycle...`);
+    watcher.stop();
+  };
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+
+  const cycles = await watcher.done;
+  console.log(`[watch] stopped after ${cycles} cycles`);
+}
+
+module.exports = { watch, runWatch, chainIntervalMs };
@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getAdapter, adapterSettings } = require('../src/adapters');
+const { wethUsdc } = require('./helpers');
+
+// Runs an adapter's quote() with a fake client and returns the URL it asked for.
+async function quoteUrl(name, config, chainId) {
+  const adapter = getAdapter(name);
+  const settings = adapterSettings(adapter, config);
+  let url;
+  const http = { get: async target => ((url = target), { data: {} }) };
+  await adapter.quote({ http, chainId, pair: wethUsdc, sellAmount: '1000', settings, baseUrl: settings.baseUrl, options: {} });
+  return url;
+}
+
+test('0x uses per-chain hosts for v1 and the single api.0x.org host for v2 unless baseUrl is set', async () => {
+  assert.match(await quoteUrl('0x', {}, 137), /^https:\/\/polygon\.api\.0x\.org\/swap\/v1\/price\?/);
+  assert.match(await quoteUrl('0x', { adapters: { '0x': { version: 'v2' } } }, 137), /^https:\/\/api\.0x\.org\/swap\/permit2\/price\?chainId=137&/);
+  assert.match(await quoteUrl('0x', { adapters: { '0x': { version: 'v2' } } }, 56), /^https:\/\/api\.0x\.org\/swap\/permit2\/price\?chainId=56&/);
+  assert.match(await quoteUrl('0x', { adapters: { '0x': { version: 'v2', baseUrl: 'http://proxy.local' } } }, 137), /^http:\/\/proxy\.local\/swap\/permit2\/price\?chainId=137&/);
+  await assert.rejects(quoteUrl('0x', { adapters: { '0x': { chainIds: [8453] } } }, 8453), /0x v1 has no host for chain 8453/);
+});
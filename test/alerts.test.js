@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { evaluateAlerts, dispatchAlerts, settleAlertState } = require('../src/alerts');
+const { buildChannels, formatEvent, signPayload, SIGNATURE_HEADER } = require('../src/alerts/channels');
+const { tempDir } = require('./helpers');
+
+function report(timestamp, ops, chain = 'ethereum') {
+  return { timestamp, chains: [{ chain, chainId: 1, opportunities: ops }] };
+}
+
+function op(pair, net, scans = 3, extra = {}) {
+  return { pair, spread_percent: net + 0.2, net_spread_percent: net, net_profit_usd: net / 2, best: '1inch', worst: '0x', persistence: { consecutive_scans: scans }, ...extra };
+}
+
+const alerts = {
+  cooldownMinutes: 60,
+  rules: [{ name: 'net', minNetSpreadPercent: 0.3, minProfitUsd: 0.1, minConsecutiveScans: 2, chains: ['ethereum'] }]
+};
+
+test('rules filter on net spread, USD profit, persistence and chain', () => {
+  const { events } = evaluateAlerts(
+    report('2025-01-01T00:00:00.000Z', [op('WETH / USDC', 0.5), op('WBTC / USDC', 0.1), op('LINK / USDC', 0.9, 1), op('UNI / USDC', null)])
+  , alerts);
+  assert.deepEqual(events.map(e => e.pair), ['WETH / USDC']);
+  assert.equal(events[0].type, 'opened');
+
+  const other = evaluateAlerts(report('2025-01-01T00:00:00.000Z', [op('WETH / USDC', 0.5)], 'polygon'), alerts);
+  assert.equal(other.events.length, 0);
+});
+
+test('cooldown dedups repeats, then closed follow-ups fire once', () => {
+  let state = { open: {} };
+  const run = (timestamp, ops) => {
+    const result = evaluateAlerts(report(timestamp, ops), alerts, state);
+    state = result.state;
+    return result.events;
+  };
+
+  assert.equal(run('2025-01-01T00:00:00.000Z', [op('WETH / USDC', 0.5)]).length, 1);
+  assert.equal(run('2025-01-01T00:30:00.000Z', [op('WETH / USDC', 0.6)]).length, 0);
+  const repeat = run('2025-01-01T01:05:00.000Z', [op('WETH / USDC', 0.6)]);
+  assert.equal(repeat.length, 1);
+  assert.equal(repeat[0].repeat, true);
+
+  const closed = run('2025-01-01T01:10:00.000Z', [op('WETH / USDC', 0.1)]);
+  assert.deepEqual(closed.map(e => [e.type, e.first_seen]), [['closed', '2025-01-01T00:00:00.000Z']]);
+  assert.equal(run('2025-01-01T01:20:00.000Z', []).length, 0);
+});
+
+test('a failed send does not start the cooldown or drop the closed follow-up', () => {
+  const first = evaluateAlerts(report('2025-01-01T00:00:00.000Z', [op('WETH / USDC', 0.5)]), alerts);
+  const failed = [{ channel: 'slack', sent: 0, error: 'HTTP 500' }];
+  assert.deepEqual(settleAlertState({ ...first, previous: { open: {} } }, failed), { open: {} });
+  const kept = settleAlertState({ ...first, previous: { open: {} } }, [...failed, { channel: 'file', sent: 1 }]);
+  assert.deepEqual(kept, first.state);
+
+  const retry = evaluateAlerts(report('2025-01-01T00:05:00.000Z', [op('WETH / USDC', 0.5)]), alerts, { open: {} });
+  assert.equal(retry.events.length, 1, 'the next scan sends it again');
+
+  const closed = evaluateAlerts(report('2025-01-01T00:10:00.000Z', []), alerts, kept);
+  assert.equal(closed.events[0].type, 'closed');
+  assert.deepEqual(settleAlertState({ ...closed, previous: kept }, failed), kept);
+});
+
+test('open alerts on chains outside the current scan are left alone', () => {
+  const first = evaluateAlerts(report('2025-01-01T00:00:00.000Z', [op('WETH / USDC', 0.5)]), alerts);
+  const next = evaluateAlerts(report('2025-01-01T00:10:00.000Z', [], 'polygon'), alerts, first.state);
+  assert.equal(next.events.length, 0);
+  assert.equal(Object.keys(next.state.open).length, 1);
+});
+
+function captureServer(t) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => (body += chunk));
+    req.on('end', () => {
+      received.push({ url: req.url, headers: req.headers, body });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{"ok":true}');
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      t.after(() => new Promise(done => server.close(done)));
+      resolve({ url: `http://127.0.0.1:${server.address().port}`, received });
+    });
+  });
+}
+
+test('channels format and sign messages and respect per-rule routing', async t => {
+  const { url, received } = await captureServer(t);
+  const dir = tempDir(t, 'arb-alerts-');
+
+  const channels = buildChannels(
+    {
+      webhook: { type: 'webhook', url: `${url}/hook`, secret: 's3cret' },
+      slack: { type: 'slack', url: `${url}/slack` },
+      discord: { type: 'discord', url: `${url}/discord` },
+      telegram: { type: 'telegram', token: 'T0KEN', chatId: '42', apiUrl: url },
+      file: { type: 'file', path: 'alerts.jsonl' },
+      stdout: { type: 'stdout' },
+      unset: { type: 'slack', urlEnv: 'ARB_TEST_UNSET_SLACK_URL' }
+    },
+    dir
+  );
+  assert.ok(!channels.unset);
+
+  const { events } = evaluateAlerts(report('2025-01-01T00:00:00.000Z', [op('WETH / USDC', 0.5)]), alerts);
+  events.push({ type: 'closed', rule: 'file-only', chain: 'ethereum', pair: 'WBTC / USDC', first_seen: 'x', last_spread_percent: 0.4, channels: ['file'] });
+  const logged = [];
+  const log = { log: line => logged.push(line) };
+  const results = await dispatchAlerts(events, channels, { timestamp: '2025-01-01T00:00:00.000Z', log });
+  assert.ok(results.every(r => !r.error));
+
+  const byPath = Object.fromEntries(received.map(r => [r.url, r]));
+  const hook = byPath['/hook'];
+  assert.equal(hook.headers[SIGNATURE_HEADER.toLowerCase()], signPayload(hook.body, 's3cret'));
+  assert.equal(JSON.parse(hook.body).events.length, 1);
+  assert.match(JSON.parse(byPath['/slack'].body).text, /OPEN WETH \/ USDC on ethereum: spread 0\.700%, net 0\.500% \(\$0\.25\)/);
+  assert.match(JSON.parse(byPath['/discord'].body).content, /\[net\]$/);
+  assert.deepEqual(JSON.parse(byPath['/botT0KEN/sendMessage'].body).chat_id, '42');
+
+  const lines = fs.readFileSync(path.join(dir, 'alerts.jsonl'), 'utf8').trim().split('\n').map(l => JSON.parse(l));
+  assert.deepEqual(lines.map(l => l.type), ['opened', 'closed']);
+  assert.ok(lines.every(l => !l.channels));
+  assert.deepEqual(logged, [`[alert] ${formatEvent(events[0])}`], 'stdout goes through the scan logger');
+});
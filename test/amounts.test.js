@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseUnits, formatUnits, wholeUnits, unitsToNumber, priceFromAmounts, usdToUnits, unitsToUsd, scaleUnits } = require('../src/amounts');
+
+test('parseUnits and formatUnits round-trip without float error', () => {
+  assert.equal(parseUnits('1.5', 18), 1500000000000000000n);
+  assert.equal(parseUnits(0.1, 18), 100000000000000000n);
+  assert.equal(parseUnits(1e-7, 8), 10n);
+  assert.equal(parseUnits('0.123456789', 6), 123456n);
+  assert.equal(formatUnits(123456789012345678901234567n, 18), '123456789.012345678901234567');
+  assert.equal(formatUnits(-5000000n, 6), '-5');
+  assert.throws(() => parseUnits('1.2.3', 18), /Invalid decimal amount/);
+});
+
+test('unitsToNumber handles values beyond 2^53 raw units', () => {
+  assert.equal(unitsToNumber('123456789012345678901', 18), 123.456789012345678901);
+  assert.equal(unitsToNumber(undefined, 18), null);
+  assert.equal(unitsToNumber('abc', 18), null);
+});
+
+test('priceFromAmounts is decimal-adjusted for mixed-decimal pairs', () => {
+  // 0.025 WETH (18) -> 50 USDC (6)
+  assert.equal(priceFromAmounts('50000000', 6, '25000000000000000', 18), 2000);
+  // 50 USDC (6) -> 0.025 WETH (18)
+  assert.equal(priceFromAmounts('25000000000000000', 18, '50000000', 6), 0.0005);
+  assert.equal(priceFromAmounts('1', 6, '0', 18), null);
+});
+
+test('usdToUnits sizes trades exactly and never returns zero', () => {
+  assert.equal(usdToUnits(50, 2000, 18), 25000000000000000n);
+  assert.equal(usdToUnits(50, 100000, 8), 50000n);
+  assert.equal(usdToUnits(0.000001, 100000, 8), 1n);
+});
+
+test('gas and fee math stays in base units until the USD price is applied', () => {
+  assert.equal(wholeUnits('150000'), 150000n);
+  assert.equal(wholeUnits(21000.4), 21000n);
+  assert.equal(wholeUnits('1.5e9'), null);
+  // 150k gas at 30 gwei and $2000 ETH
+  assert.equal(unitsToUsd(150000n * parseUnits(30, 9), 18, 2000), 9);
+  assert.equal(unitsToUsd('1', 18, 2000), 2e-15);
+  assert.equal(unitsToUsd('1', 18, 0), null);
+  assert.equal(scaleUnits('123456789012345678901', '2', '3'), 82304526008230452600n);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { cexMarket, venueSymbol, walkBook, fillFromBook } = require('../src/cex');
+const { runScan } = require('../src/arbitrage');
+const { WETH, USDC, wethUsdc, ethereum, withMock, withConfig, tempDir } = require('./helpers');
+
+// Canned public order books in each venue's own response shape. $50 of WETH at $2000 is 0.025 WETH.
+const BOOKS = {
+  binance: {
+    ETHUSDC: {
+      lastUpdateId: 1027024,
+      bids: [['1999.50000000', '0.01000000'], ['1999.00000000', '0.02000000'], ['1998.00000000', '1.00000000']],
+      asks: [['2000.50000000', '0.01000000'], ['2001.00000000', '0.02000000'], ['2002.00000000', '1.00000000']]
+    }
+  },
+  coinbase: {
+    'ETH-USDC': {
+      bids: [['2010.00', '0.5', 3]],
+      asks: [['2011.00', '0.5', 2]],
+      sequence: 3,
+      auction_mode: false,
+      time: '2026-10-19T00:00:00.000000Z'
+    }
+  },
+  kraken: {
+    ETHUSDC: {
+      error: [],
+      result: { ETHUSDC: { bids: [['1990.00', '0.005', 1760832000], ['1980.00', '1.000', 1760832000]], asks: [['1995.00', '1.000', 1760832000]] } }
+    }
+  }
+};
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test('pairs map to exchange markets, and the quote asset side is walked from the other book', () => {
+  assert.deepEqual(cexMarket(wethUsdc), { base: 'ETH', quote: 'USDC', inverted: false });
+  assert.deepEqual(cexMarket({ fromSymbol: 'USDC', toSymbol: 'WBTC' }), { base: 'BTC', quote: 'USDC', inverted: true });
+  assert.deepEqual(cexMarket({ fromSymbol: 'stETH', toSymbol: 'USDT' }, { symbols: { stETH: 'STETH' } }), { base: 'STETH', quote: 'USDT', inverted: false });
+  assert.equal(venueSymbol({ base: 'BTC', quote: 'USD' }, { symbols: { BTC: 'XBT' } }), 'XBTUSD');
+  assert.equal(venueSymbol({ base: 'ETH', quote: 'USDC' }, {}, '-'), 'ETH-USDC');
+
+  const { bids, asks } = BOOKS.binance.ETHUSDC;
+  const levels = side => side.map(([p, q]) => [Number(p), Number(q)]);
+  close(walkBook(levels(bids), 0.025).total, 0.01 * 1999.5 + 0.015 * 1999);
+  close(walkBook(levels(asks), 20.005 + 10.005, 'quote').total, 0.015);
+  assert.throws(() => walkBook(levels(bids), 2), /order book too thin: filled [\d.]+ of 2 base/);
+
+  const sell = fillFromBook('binance', { symbol: 'ETHUSDC', bids, asks }, { pair: { ...wethUsdc, market: cexMarket(wethUsdc) }, sellAmount: '25000000000000000', settings: { takerFeeBps: 10 } });
+  assert.equal(sell.buyAmount, '49980000');
+  close(sell.raw.buy_price, 2000.8);
+  assert.equal(sell.raw.mid_price, 2000);
+  assert.equal(sell.raw.levels, 2);
+
+  const usdcWeth = { ...wethUsdc, fromSymbol: 'USDC', toSymbol: 'WETH', fromDecimals: 6, toDecimals: 18 };
+  const buy = fillFromBook('binance', { symbol: 'ETHUSDC', bids, asks }, { pair: { ...usdcWeth, market: cexMarket(usdcWeth) }, sellAmount: '20005000' });
+  assert.equal(buy.buyAmount, '10000000000000000');
+  close(buy.raw.mid_price, 1 / 2000);
+  assert.throws(() => fillFromBook('kraken', { symbol: 'ETHUSDC', bids: [], asks }, { pair: { ...usdcWeth, market: cexMarket(usdcWeth) }, sellAmount: '1' }), /kraken ETHUSDC: empty order book/);
+});
+
+test('runScan quotes CEX venues next to the aggregators and reports DEX-vs-CEX spreads net of taker fees', async t => {
+  const usd = { [WETH.toLowerCase()]: 2000, [USDC.toLowerCase()]: 1 };
+  const server = await withMock(t, {
+    gas: { estimatedGas: 50000, gasPrice: '10000000000' },
+    rates: Object.fromEntries(['0x', '1inch'].map(source => [source, ({ sellToken, buyToken }) => usd[sellToken.toLowerCase()] / usd[buyToken.toLowerCase()]])),
+    books: BOOKS
+  });
+  const out = tempDir(t, 'cex-scan-');
+  withConfig(t, { history: { dir: path.join(out, 'history') }, cycles: { enabled: false }, paper: { enabled: false } });
+
+  const chain = { ...ethereum, aggregators: ['0x', '1inch'], cexVenues: ['binance', 'coinbase', 'kraken'], pairs: [{ ...wethUsdc, toCoingeckoId: 'usd-coin' }] };
+  const log = { log: () => {}, warn: () => {} };
+  const report = await runScan({ chains: [chain], concurrency: 1, outDir: out, notify: false, log });
+
+  const books = server.calls.filter(c => ['binance', 'coinbase', 'kraken'].includes(c.source)).sort((a, b) => a.source.localeCompare(b.source));
+  assert.deepEqual(books.map(c => [c.source, c.path, c.query]), [
+    ['binance', '/api/v3/depth', { symbol: 'ETHUSDC', limit: '100' }],
+    ['coinbase', '/products/ETH-USDC/book', { level: '2' }],
+    ['kraken', '/0/public/Depth', { pair: 'ETHUSDC', count: '100' }]
+  ], 'order books are fetched once, for the forward leg only');
+
+  const [result] = report.chains[0].raw;
+  assert.deepEqual(result.quotes.map(q => q.source), ['0x', '1inch']);
+  assert.deepEqual(result.reverseQuotes.map(q => q.source), ['0x', '1inch']);
+  assert.deepEqual(result.cex_quotes.map(q => [q.source, q.price]), [['binance', 1999.2], ['coinbase', 2010], ['kraken', 1982]]);
+  close(result.cex_quotes[1].costUsd, 0.3);
+
+  const spreads = Object.fromEntries(result.cex_spreads.map(row => [row.venue, row]));
+  assert.equal(spreads.coinbase.direction, 'sell_cex');
+  assert.deepEqual([spreads.coinbase.buy_on, spreads.coinbase.sell_on, spreads.coinbase.taker_fee_bps], ['0x', 'coinbase', 60]);
+  close(spreads.coinbase.spread_percent, 0.5);
+  close(spreads.coinbase.cost_usd, 1 + 0.3 + 0.15);
+  assert.equal(spreads.kraken.direction, 'buy_cex');
+  assert.deepEqual([spreads.kraken.buy_on, spreads.kraken.sell_on, spreads.kraken.buy_price], ['kraken', '0x', 1995]);
+  close(spreads.kraken.net_profit_usd, 50 * (5 / 1995) - (1 + 0.2 + 0.15));
+  assert.equal(report.summary.cex_spreads, 3);
+
+  const md = fs.readFileSync(path.join(out, 'latest.md'), 'utf8');
+  assert.match(md, /### ethereum DEX vs CEX\n(.*\n){2}/);
+  assert.match(md, /\| WETH \/ USDC \| coinbase ETH-USDC \| 0x -> coinbase \| 2000\.0000 \| 2010\.0000 \| 2010\.5000 \| 0\.5000 \| 60 \|/);
+});
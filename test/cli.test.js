@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { EXIT, parseArgs, formatTable, run } = require('../src/cli');
+const { config } = require('../src/arbitrage');
+const { withMock, tempDir } = require('./helpers');
+
+// The CLI installs the configured per-host rate limits on first use; keep the mock server unthrottled.
+config.rateLimits = {};
+
+function captureIo() {
+  const io = { stdout: [], stderr: [] };
+  io.out = text => io.stdout.push(text);
+  io.err = text => io.stderr.push(text);
+  return io;
+}
+
+test('parseArgs handles values, inline values, negated booleans and positionals', () => {
+  const spec = { chains: 'string', write: 'boolean', 'fail-above': 'string' };
+  const { options, positionals } = parseArgs(['ethereum', '--chains', '1,137', '--no-write', '--fail-above=0.5', 'WETH/USDC'], spec);
+  assert.deepEqual(options, { chains: '1,137', write: false, failAbove: '0.5' });
+  assert.deepEqual(positionals, ['ethereum', 'WETH/USDC']);
+  assert.throws(() => parseArgs(['--bogus'], spec), /Unknown option --bogus/);
+  assert.throws(() => parseArgs(['--chains'], spec), /--chains needs a value/);
+});
+
+test('formatTable right-aligns numeric columns', () => {
+  const table = formatTable(['Pair', 'Spread %'], [['WETH / USDC', '0.5000'], ['WBTC / USDC', '12.0000']]);
+  assert.equal(table, ['Pair         Spread %', '-----------  --------', 'WETH / USDC    0.5000', 'WBTC / USDC   12.0000'].join('\n'));
+});
+
+test('bad usage exits with 2', async () => {
+  const io = captureIo();
+  assert.equal(await run(['scan', '--format', 'xml'], io), EXIT.USAGE);
+  assert.match(io.stderr[0], /--format must be one of json, csv, md, table/);
+  assert.equal(await run(['frobnicate'], captureIo()), EXIT.USAGE);
+  assert.equal(await run(['scan', '--chains', 'nowhere'], captureIo()), EXIT.USAGE);
+  assert.equal(await run(['quote', 'ethereum'], captureIo()), EXIT.USAGE);
+});
+
+test('scan filters, prints CSV without writing and trips --fail-above', async t => {
+  await withMock(t, { rates: { '0x': 2000, '1inch': 2030 } });
+  const out = tempDir(t);
+
+  const io = captureIo();
+  const args = ['scan', '--chains', 'ethereum', '--pairs', 'WETH/USDC', '--aggregators', '0x,1inch', '--format', 'csv', '--out', out, '--no-write', '--no-webhook'];
+  assert.equal(await run([...args, '--fail-above', '1'], io), EXIT.THRESHOLD);
+  const lines = io.stdout[0].split('\n');
+  assert.equal(lines.length, 2);
+  assert.match(lines[1], /,ethereum,WETH \/ USDC,1inch,0x,1\.5000,/);
+  assert.match(io.stderr.at(-1), /1 opportunities above --fail-above 1 \(spread_percent\): ethereum WETH \/ USDC/);
+  assert.deepEqual(fs.readdirSync(out), []);
+
+  assert.equal(await run([...args, '--fail-above', '2'], captureIo()), EXIT.OK);
+});
+
+test('scan exits 4 when no aggregator returns a usable quote', async t => {
+  await withMock(t, { rates: {}, failures: { '0x': { status: 500, body: { reason: 'down' } } } });
+  const io = captureIo();
+  const code = await run(['scan', '--chains', '1', '--pairs', 'WETH/USDC', '--aggregators', '0x', '--no-write', '--no-webhook', '--format', 'table'], io);
+  assert.equal(code, EXIT.NO_QUOTES);
+  assert.match(io.stdout[0], /No opportunities\./);
+});
+
+test('quote prints a per-aggregator table for an ad-hoc registry pair and amount', async t => {
+  const server = await withMock(t, { rates: { '0x': 2000, '1inch': 2010, paraswap: 1990, cow: 2005 } });
+  const io = captureIo();
+  assert.equal(await run(['quote', 'ethereum', 'WETH/USDC', '--amount', '2'], io), EXIT.OK);
+  const text = io.stdout[0];
+  assert.match(text, /^ethereum WETH \/ USDC: sell 2 WETH for USDC/);
+  assert.match(text, /1inch\s+4020\.000000\s+2010\.000000\s+0\.0000\s+\S+\s+best/);
+  assert.match(text, /paraswap\s+3980\.000000\s+1990\.000000\s+-0\.9950/);
+  assert.match(text, /Spread 1\.0050% \(1inch vs paraswap\)/);
+  const sellAmounts = server.calls.filter(c => c.source === '0x').map(c => c.query.sellAmount);
+  assert.deepEqual(sellAmounts, ['2000000000000000000']);
+
+  for (const amount of ['1e-7', '0x10', '-1', '0.0000000000000000001']) {
+    const bad = captureIo();
+    assert.equal(await run(['quote', 'ethereum', 'WETH/USDC', '--amount', amount], bad), EXIT.USAGE, amount);
+    assert.match(bad.stderr.join('\n'), /amount must be a positive decimal number of WETH/);
+  }
+});
+
+test('report show and diff read saved reports by timestamp or path', async t => {
+  const dir = tempDir(t);
+  const a = { timestamp: '2026-10-18T12:00:00.000Z', rank_by: 'spread_percent', chains: [{ chain: 'ethereum', opportunities: [
+    { pair: 'WETH / USDC', spread_percent: 0.5, best: '0x', worst: 'cow' },
+    { pair: 'WBTC / USDC', spread_percent: 0.2, best: '1inch', worst: 'cow' }
+  ] }] };
+  const b = { timestamp: '2026-10-18T12:05:00.000Z', rank_by: 'spread_percent', chains: [{ chain: 'ethereum', opportunities: [
+    { pair: 'WETH / USDC', spread_percent: 0.8, best: '1inch', worst: 'cow' },
+    { pair: 'DAI / USDC', spread_percent: 0.1, best: 'cow', worst: '0x' }
+  ] }] };
+  fs.writeFileSync(path.join(dir, 'opportunities-2026-10-18T12-00-00-000Z.json'), JSON.stringify(a));
+  fs.writeFileSync(path.join(dir, 'latest.json'), JSON.stringify(b));
+
+  const show = captureIo();
+  assert.equal(await run(['report', 'show', '--dir', dir], show), EXIT.OK);
+  assert.match(show.stdout[0], /Scan 2026-10-18T12:05:00\.000Z/);
+  assert.match(show.stdout[0], /ethereum\s+WETH \/ USDC\s+0\.8000/);
+
+  const diff = captureIo();
+  assert.equal(await run(['report', 'diff', '2026-10-18T12:00:00.000Z', 'latest', '--dir', dir, '--format', 'json'], diff), EXIT.OK);
+  const parsed = JSON.parse(diff.stdout[0]);
+  assert.deepEqual(parsed.opened.map(o => o.pair), ['DAI / USDC']);
+  assert.deepEqual(parsed.closed.map(o => o.pair), ['WBTC / USDC']);
+  assert.equal(parsed.changed[0].best_after, '1inch');
+  assert.ok(Math.abs(parsed.changed[0].spread_delta - 0.3) < 1e-9);
+
+  assert.equal(await run(['report', 'show', 'nope', '--dir', dir], captureIo()), EXIT.USAGE);
+});
+
+test('report health prints the aggregator table and Prometheus text', async t => {
+  const dir = tempDir(t);
+  const health = { aggregators: [
+    { aggregator: '1inch', chain: 'ethereum', attempts: 4, successes: 1, failures: 3, success_rate: 0.25, retries: 6, skipped: 2, errors: { http_5xx: 3 }, latency_ms: { p50: 900, p95: 1500, max: 1500 }, breaker: 'open' }
+  ] };
+  fs.writeFileSync(path.join(dir, 'latest.json'), JSON.stringify({ timestamp: '2026-10-18T12:05:00.000Z', chains: [], health }));
+
+  const table = captureIo();
+  assert.equal(await run(['report', 'health', '--dir', dir], table), EXIT.OK);
+  assert.match(table.stdout[0], /ethereum\s+1inch\s+4\s+25\.0\s+6\s+2\s+900\s+1500\s+http_5xx 3\s+open/);
+
+  const prom = captureIo();
+  assert.equal(await run(['report', 'health', 'latest', '--dir', dir, '--format', 'prom'], prom), EXIT.OK);
+  assert.match(prom.stdout[0], /arbitrage_aggregator_circuit_open\{aggregator="1inch",chain="ethereum"\} 1/);
+  assert.equal(await run(['report', 'health', '--dir', dir, '--format', 'csv'], captureIo()), EXIT.USAGE);
+});
+
+test('paper replay simulates saved reports once into the ledger, and paper show reads it', async t => {
+  const dir = tempDir(t);
+  const op = {
+    pair: 'WETH / USDC',
+    sellAmount: 0.025,
+    sellToken: 'WETH',
+    notional_usd: 50,
+    quotes: [{ source: '1inch', buyAmountHuman: 50.5, sellAmountHuman: 0.025, costUsd: 0.1 }],
+    reverseQuotes: [{ source: 'paraswap', buyAmountHuman: 0.0256, sellAmountHuman: 50.5, costUsd: 0.1 }],
+    round_trip: { buy_on: '1inch', sell_on: 'paraswap', start_amount: 0.025, profit_percent: 2.4, net_profit_usd: 0.9 }
+  };
+  for (const time of ['12-00-00-000Z', '12-05-00-000Z']) {
+    const timestamp = `2026-10-18T${time.replace(/-(\d\d)-(\d\d)-(\d{3})Z/, ':$1:$2.$3Z')}`;
+    fs.writeFileSync(path.join(dir, `opportunities-2026-10-18T${time}.json`), JSON.stringify({ timestamp, chains: [{ chain: 'ethereum', chainId: 1, opportunities: [op] }] }));
+  }
+
+  const replay = captureIo();
+  assert.equal(await run(['paper', 'replay', '--dir', dir, '--format', 'json'], replay), EXIT.OK);
+  const parsed = JSON.parse(replay.stdout[0]);
+  assert.equal(parsed.replayed, 2);
+  assert.deepEqual(parsed.trades.map(tr => tr.status), ['filled', 'filled']);
+  assert.equal(parsed.totals.win_rate, 1);
+  assert.ok(fs.existsSync(path.join(dir, 'paper-ledger.json')));
+
+  const again = captureIo();
+  assert.equal(await run(['paper', 'replay', '--dir', dir], again), EXIT.OK);
+  assert.match(again.stdout[0], /^Replayed 0 of 2 reports/);
+
+  const show = captureIo();
+  assert.equal(await run(['paper', 'show', '--dir', dir], show), EXIT.OK);
+  assert.match(show.stdout[0], /2 fills, win rate 100\.0%/);
+  assert.match(show.stdout[0], /2026-10-18T12:05:00\.000Z\s+ethereum\s+WETH \/ USDC\s+1inch -> paraswap\s+filled/);
+  assert.equal(await run(['paper', 'close', '--dir', dir], captureIo()), EXIT.USAGE);
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { keccak256, toChecksumAddress, checksumStatus } = require('../src/address');
+const { validateSchema } = require('../src/schema');
+const { resolveConfig, validateConfig } = require('../src/config');
+
+const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+
+function baseConfig(chain) {
+  return {
+    tokenLists: ['config/tokens.json'],
+    chains: [{ id: 1, name: 'ethereum', aggregators: ['0x', '1inch'], ...chain }]
+  };
+}
+
+test('keccak256 and EIP-55 checksums match known vectors', () => {
+  assert.equal(keccak256(''), 'c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470');
+  assert.equal(toChecksumAddress(USDC.toLowerCase()), USDC);
+  assert.equal(checksumStatus(WETH), 'valid');
+  assert.equal(checksumStatus(WETH.toLowerCase()), 'unchecked');
+  assert.equal(checksumStatus('0xA0b86991c6218b36c1d19d4a2e9eb0ce3606eb48'), 'invalid');
+  assert.equal(checksumStatus('0x1234'), 'malformed');
+});
+
+test('validateSchema reports paths for bad types, unknown keys and oneOf branches', () => {
+  const schema = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      n: { type: 'integer', minimum: 0 },
+      items: { type: 'array', items: { oneOf: [{ type: 'string', pattern: '^a' }, { type: 'object', required: ['x'] }] } }
+    }
+  };
+  const errors = validateSchema(schema, { n: 1.5, typo: true, items: ['abc', 'bcd', {}] });
+  assert.deepEqual(errors.map(e => `${e.path} ${e.message}`), [
+    '$.n must be integer',
+    '$ has unknown property "typo"',
+    '$.items[1] must match ^a',
+    '$.items[2] is missing required property "x"'
+  ]);
+});
+
+test('pairs resolve from symbols, options and pair sets via the token registry', () => {
+  const { config, problems } = resolveConfig(baseConfig({
+    pairs: ['WETH/USDC', { pair: 'wbtc / usdc', usdSellTarget: 100 }],
+    pairSets: [{ base: ['WETH', 'DAI'], quote: ['USDT', 'DAI'], minBuyAmount: 1 }]
+  }));
+  assert.deepEqual(problems, []);
+  const pairs = config.chains[0].pairs;
+  assert.deepEqual(pairs.map(p => p.name), ['WETH / USDC', 'WBTC / USDC', 'WETH / USDT', 'WETH / DAI', 'DAI / USDT']);
+  assert.equal(pairs[0].fromAddress, WETH);
+  assert.equal(pairs[0].toDecimals, 6);
+  assert.equal(pairs[0].toCoingeckoId, 'usd-coin');
+  assert.equal(pairs[1].usdSellTarget, 100);
+  assert.equal(pairs[4].minBuyAmount, 1);
+  assert.equal(config.chains[0].pairSets, undefined);
+  assert.equal(config.tokenRegistry.find(137, 'wmatic').decimals, 18);
+});
+
+test('explicit pairs are kept and enriched from the registry', () => {
+  const { config } = resolveConfig(baseConfig({
+    pairs: [{ fromAddress: WETH, toAddress: USDC, fromDecimals: 18, toDecimals: 6 }]
+  }));
+  const [pair] = config.chains[0].pairs;
+  assert.equal(pair.name, 'WETH / USDC');
+  assert.equal(pair.coingeckoId, 'ethereum');
+  assert.equal(pair.toCoingeckoId, 'usd-coin');
+});
+
+test('validateConfig accepts the shipped config', () => {
+  const { errors } = validateConfig(require('../config/pairs.config.json'));
+  assert.deepEqual(errors, []);
+});
+
+test('validateConfig flags checksums, decimals, duplicates, unknown tokens, unsupported aggregators and CEX venues', () => {
+  const raw = baseConfig({
+    aggregators: ['0x', 'cow', 'uniswapx'],
+    pairs: [
+      'WETH/USDC',
+      { fromAddress: WETH, toAddress: '0xA0b86991c6218b36c1d19d4a2e9eb0ce3606eb48', fromDecimals: 18, toDecimals: 18 },
+      'WETH/PEPE'
+    ]
+  });
+  raw.chains.push({ id: 56, name: 'bsc', aggregators: ['cow'], cexVenues: ['binance', '1inch'], pairs: ['WBNB/USDT'] });
+
+  const { errors } = validateConfig(raw);
+  const expected = [
+    /chains\[0\] \(ethereum\): unknown aggregator "uniswapx"/,
+    /chains\[0\]\.pairs\[2\]: unknown token PEPE on chain 1/,
+    /chains\[0\]\.pairs\[1\] \(WETH \/ USDC\): toAddress .* bad EIP-55 checksum/,
+    /chains\[0\]\.pairs\[1\] \(WETH \/ USDC\): toDecimals 18 disagrees with config\/tokens\.json \(USDC has 6\)/,
+    /chains\[0\]\.pairs\[1\] \(WETH \/ USDC\): duplicate of chains\[0\]\.pairs\[0\]/,
+    /chains\[1\] \(bsc\): aggregator "cow" does not support chain 56/,
+    /chains\[1\] \(bsc\): unknown CEX venue "1inch" \(known: binance, coinbase, kraken\)/
+  ];
+  for (const pattern of expected) assert.ok(errors.some(e => pattern.test(e)), `missing ${pattern}\n${errors.join('\n')}`);
+  assert.equal(errors.length, expected.length);
+});
+
+test('validateConfig warns when 1inch has no gas price to cost its quotes with', () => {
+  assert.deepEqual(validateConfig(baseConfig({ pairs: ['WETH/USDC'] })).warnings, [
+    'chains[0] (ethereum): no gasPriceGwei, so 1inch net figures are null unless another aggregator\'s quote has a gas price'
+  ]);
+  assert.deepEqual(validateConfig(baseConfig({ pairs: ['WETH/USDC'], gasPriceGwei: 10 })).warnings, []);
+});
+
+test('validateConfig rejects pairs that cannot be sized without a sampleSellAmount or a priceable id', () => {
+  const tokenA = '0x0000000000000000000000000000000000000001';
+  const explicit = { fromSymbol: 'TKA', fromAddress: tokenA, toAddress: USDC, fromDecimals: 18, toDecimals: 6 };
+  const raw = baseConfig({ pairs: [explicit, { ...explicit, fromAddress: WETH, fromSymbol: 'WETH', sampleSellAmount: '0.01' }] });
+  assert.deepEqual(validateConfig(raw).errors, [
+    'chains[0].pairs[0] (TKA / USDC): No USD price for TKA (no coingeckoId) to size a $10 trade; set sampleSellAmount on the pair or add prices.overrides'
+  ]);
+
+  const offline = { ...baseConfig({ pairs: ['WETH/USDC'] }), prices: { sources: ['override', 'peg'] } };
+  assert.match(validateConfig(offline).errors[0], /No USD price for WETH \(ethereum\)/);
+  offline.prices.overrides = { ethereum: 2000 };
+  assert.deepEqual(validateConfig(offline).errors, []);
+});
+
+test('validateConfig stops at schema errors', () => {
+  const { errors } = validateConfig({ chains: [{ id: 1, name: 'ethereum', aggregators: ['0x'], pairs: [{ fromAddress: WETH }], slipageBps: 5 }] });
+  assert.ok(errors.includes('$.chains[0] has unknown property "slipageBps"'), errors.join('\n'));
+  assert.ok(errors.some(e => e.startsWith('$.chains[0].pairs[0] is missing required property "toAddress"')), errors.join('\n'));
+});
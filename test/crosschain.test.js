@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { assetKey, bridgeAssumption, findCrossChain } = require('../src/crosschain');
+const { buildCrossChainCsv, buildMarkdown } = require('../src/arbitrage');
+
+function listing(chain, pair, sell, reverse, extra = {}) {
+  return {
+    chain,
+    raw: [{
+      pair,
+      chain,
+      asset: 'ethereum/usd-coin',
+      notional_usd: 50,
+      quotes: sell.map(([source, price]) => ({ source, price, costUsd: 1 })),
+      reverseQuotes: reverse.map(([source, price]) => ({ source, price, costUsd: 1 })),
+      ...extra
+    }]
+  };
+}
+
+test('assetKey prefers explicit assets, then CoinGecko ids, then symbols', () => {
+  assert.equal(assetKey({ fromSymbol: 'WETH', toSymbol: 'USDC', coingeckoId: 'ethereum', toCoingeckoId: 'usd-coin' }), 'ethereum/usd-coin');
+  assert.equal(assetKey({ fromSymbol: 'ETH', toSymbol: 'USDC', coingeckoId: 'ethereum', asset: 'eth', toAsset: 'usd' }), 'eth/usd');
+  assert.equal(assetKey({ fromSymbol: 'FOO', toSymbol: 'BAR' }), 'FOO/BAR');
+});
+
+test('bridge assumptions fall back from a->b to b->a to the defaults', () => {
+  const settings = { bridgeDefaults: { costUsd: 5 }, bridges: { 'ethereum->polygon': { costUsd: 12, latencyMin: 30 } } };
+  assert.deepEqual(bridgeAssumption(settings, 'ethereum', 'polygon'), { costUsd: 12, latencyMin: 30 });
+  assert.deepEqual(bridgeAssumption(settings, 'polygon', 'ethereum'), { costUsd: 12, latencyMin: 30 });
+  assert.deepEqual(bridgeAssumption(settings, 'ethereum', 'bsc'), { costUsd: 5, latencyMin: 20 });
+});
+
+test('findCrossChain buys on the cheap chain and sells on the dear one, net of bridge and legs', () => {
+  const reports = [
+    // Buying WETH on ethereum costs 1 / 0.0005 = 2000 USDC; selling fetches at most 1998.
+    listing('ethereum', 'WETH / USDC', [['0x', 1998], ['cow', 1995]], [['0x', 0.0005]]),
+    // On polygon the best sale is 2040; buying back costs 1 / 0.00049 ≈ 2040.8.
+    listing('polygon', 'WETH (PoS) / USDC', [['paraswap', 2040], ['0x', 2030]], [['paraswap', 0.00049]])
+  ];
+  const chains = [{ name: 'ethereum', slippageBps: 30 }, { name: 'polygon', slippageBps: 10 }];
+  const settings = { bridges: { 'ethereum->polygon': { costUsd: 0.2, latencyMin: 25 } } };
+  const { assets, opportunities } = findCrossChain(reports, chains, settings);
+
+  assert.deepEqual(assets, ['ethereum/usd-coin']);
+  assert.equal(opportunities.length, 1);
+  const op = opportunities[0];
+  assert.deepEqual([op.buy_chain, op.buy_on, op.sell_chain, op.sell_on], ['ethereum', '0x', 'polygon', 'paraswap']);
+  assert.equal(op.sell_pair, 'WETH (PoS) / USDC');
+  assert.equal(op.price_basis, 'reverse');
+  assert.ok(Math.abs(op.spread_percent - 2) < 1e-9);
+  assert.deepEqual([op.bridge_cost_usd, op.bridge_latency_min], [0.2, 25]);
+  // 2% of $50, minus two $1 legs, 40 bps of slippage and the bridge.
+  assert.ok(Math.abs(op.net_profit_usd - (1 - 2 - 0.2 - 0.2)) < 1e-9);
+});
+
+test('findCrossChain skips suspect quotes, flagged pairs, lone assets and spreads under the minimum', () => {
+  const reports = [
+    listing('ethereum', 'WETH / USDC', [['0x', 2000], ['cow', 2500]], [], { quotes: [{ source: '0x', price: 2000 }, { source: 'cow', price: 9000, suspect: true }] }),
+    listing('polygon', 'WETH / USDC', [['0x', 2010]], []),
+    listing('bsc', 'ETH / USDT', [['0x', 3000]], [], { liquidity_flag: 'best buy 0 < min 5' })
+  ];
+  reports.push({ chain: 'arbitrum', raw: [{ pair: 'ARB / USDC', asset: 'arbitrum/usd-coin', quotes: [{ source: '0x', price: 1 }] }] });
+
+  const { assets, opportunities } = findCrossChain(reports, [], { minSpreadPercent: 0.1 });
+  assert.deepEqual(assets, ['ethereum/usd-coin']);
+  assert.equal(opportunities.length, 1);
+  assert.deepEqual([opportunities[0].buy_chain, opportunities[0].sell_chain, opportunities[0].price_basis], ['ethereum', 'polygon', 'forward']);
+  assert.equal(opportunities[0].net_profit_usd, null);
+  assert.equal(findCrossChain(reports, [], { minSpreadPercent: 1 }).opportunities.length, 0);
+});
+
+test('cross-chain results get their own CSV and Markdown section', () => {
+  const reports = [
+    listing('ethereum', 'WETH / USDC', [['0x', 1998]], [['0x', 0.0005]]),
+    listing('polygon', 'WETH / USDC', [['paraswap', 2040]], [['paraswap', 0.00049]])
+  ];
+  const report = { timestamp: '2024-01-01T00:00:00.000Z', chains: [], cross_chain: findCrossChain(reports) };
+  const csv = buildCrossChainCsv(report).split('\n');
+  assert.equal(csv.length, 2);
+  assert.match(csv[0], /^timestamp,asset,buy_chain,/);
+  assert.match(csv[1], /,ethereum\/usd-coin,ethereum,WETH \/ USDC,0x,/);
+  assert.match(buildMarkdown(report), /## Cross-chain \(top 1\)\n.*\n.*\n\| ethereum\/usd-coin \| ethereum \(0x\) \| polygon \(paraswap\) \|/);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findCycles, verifyCycle, edgeFromQuotes, addEdge } = require('../src/cycles');
+const { analyzePair, scanCycles } = require('../src/arbitrage');
+const { WETH, USDC, wethUsdc, ethereum, mockDecimals, withMock } = require('./helpers');
+
+const WBTC = '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599';
+
+function edge(from, to, rate, source = '0x') {
+  return { from, to, fromSymbol: from, toSymbol: to, rate, source, weight: -Math.log(rate) };
+}
+
+test('findCycles finds negative-log loops of 3+ hops within the hop limit', () => {
+  const edges = [
+    edge('A', 'B', 2), edge('B', 'C', 3), edge('C', 'A', 0.2), // 1.2x triangle
+    edge('A', 'D', 1.1), edge('D', 'A', 1), // profitable two-hop loop: left to the round trip
+    edge('C', 'D', 1), edge('D', 'B', 0.5) // B -> C -> D -> B is 1.5x
+  ];
+  const cycles = findCycles(edges, { maxHops: 3 });
+  assert.deepEqual(cycles.map(c => c.path.join('>')), ['B>C>D>B', 'A>B>C>A']);
+  assert.ok(Math.abs(cycles[1].estimated_return_percent - 20) < 1e-9);
+  assert.ok(cycles.every(c => c.hops === 3));
+
+  // A -> B -> C -> D -> A needs four hops.
+  const four = findCycles(edges, { maxHops: 4 }).map(c => c.path.join('>'));
+  assert.ok(four.includes('A>B>C>D>A'));
+  assert.deepEqual(findCycles(edges, { maxHops: 3, minReturnPercent: 30 }).map(c => c.path.join('>')), ['B>C>D>B']);
+});
+
+test('edgeFromQuotes keeps the best usable rate and addEdge the best per direction', () => {
+  const pair = { fromAddress: '0xAA', toAddress: '0xBB', fromSymbol: 'A', toSymbol: 'B' };
+  const e = edgeFromQuotes(pair, [{ source: '0x', price: 2 }, { source: 'cow', price: 9, suspect: true }, { source: '1inch', error: 'down' }]);
+  assert.deepEqual([e.from, e.to, e.rate, e.source], ['0xaa', '0xbb', 2, '0x']);
+  assert.equal(edgeFromQuotes(pair, [{ source: '0x', error: 'down' }]), null);
+
+  const edges = addEdge(addEdge(new Map(), e), { ...e, rate: 1.5, source: 'cow' });
+  assert.equal(edges.get('0xaa>0xbb').source, '0x');
+});
+
+test('verifyCycle chains amounts through each leg and reports net figures', async () => {
+  const [cycle] = findCycles([edge('A', 'B', 2), edge('B', 'C', 3), edge('C', 'A', 0.2)]);
+  const rates = { A: 2, B: 3.03, C: 0.2 };
+  const seen = [];
+  const result = await verifyCycle(cycle, { raw: '100', human: 100, usdPrice: 1 }, async (leg, amount) => {
+    seen.push(amount);
+    const buy = Number(amount) * rates[leg.from];
+    return { source: `agg-${leg.from}`, price: rates[leg.from], buyAmount: String(buy), buyAmountHuman: buy, sellAmountHuman: Number(amount), costUsd: 0.5 };
+  }, { slippageBps: 10 });
+
+  assert.deepEqual(seen, ['100', '200', '606']);
+  assert.equal(result.verified, true);
+  assert.deepEqual(result.aggregators, ['agg-A', 'agg-B', 'agg-C']);
+  assert.ok(Math.abs(result.return_percent - 21.2) < 1e-9);
+  assert.ok(Math.abs(result.net_profit_usd - (21.2 - 1.5 - 0.3)) < 1e-9);
+
+  const failed = await verifyCycle(cycle, { raw: '100', human: 100 }, async leg => (leg.from === 'B' ? null : { source: 'x', price: 2, buyAmount: '200', buyAmountHuman: 200 }));
+  assert.equal(failed.verified, false);
+  assert.match(failed.error, /B -> C/);
+});
+
+test('scanCycles auto-quotes missing pairs and verifies a mispriced triangle', async t => {
+  const usd = { [WETH.toLowerCase()]: 2000, [WBTC.toLowerCase()]: 40000, [USDC.toLowerCase()]: 1 };
+  const server = await withMock(t, {
+    decimals: { ...mockDecimals, [WBTC.toLowerCase()]: 8 },
+    usd: { ethereum: 2000, 'wrapped-bitcoin': 40000, 'usd-coin': 1 },
+    rates: Object.fromEntries(['0x', '1inch', 'paraswap', 'cow'].map(source => [source, ({ sellToken, buyToken }) => {
+      const rate = usd[sellToken.toLowerCase()] / usd[buyToken.toLowerCase()];
+      // 0x pays 2.5% over the odds for WBTC -> WETH.
+      return source === '0x' && sellToken === WBTC && buyToken === WETH ? rate * 1.025 : rate;
+    }]))
+  });
+
+  const wbtcUsdc = { ...wethUsdc, name: 'WBTC / USDC', fromSymbol: 'WBTC', fromAddress: WBTC, fromDecimals: 8, coingeckoId: 'wrapped-bitcoin', toCoingeckoId: 'usd-coin' };
+  const chain = { ...ethereum, pairs: [{ ...wethUsdc, toCoingeckoId: 'usd-coin' }, wbtcUsdc], cycles: { enabled: true, maxHops: 3, minReturnPercent: 0.1, usdSize: 100 } };
+  const results = await Promise.all(chain.pairs.map(pair => analyzePair(chain, pair, { depth: false })));
+  const found = await scanCycles(chain, results);
+
+  assert.deepEqual(found.tokens, ['WETH', 'USDC', 'WBTC']);
+  assert.equal(found.quoted_pairs, 2);
+  assert.equal(found.edges, 6);
+  assert.equal(found.cycles.length, 1);
+  const [cycle] = found.cycles;
+  assert.equal(cycle.verified, true);
+  assert.equal(cycle.hops, 3);
+  assert.deepEqual(new Set(cycle.path), new Set(['WETH', 'USDC', 'WBTC']));
+  assert.equal(cycle.legs.find(l => l.from === 'WBTC').source, '0x');
+  assert.ok(Math.abs(cycle.return_percent - 2.5) < 0.01);
+  assert.ok(cycle.net_profit_usd < cycle.notional_usd * 0.025);
+
+  assert.equal(await scanCycles({ ...chain, pairs: [wethUsdc] }, results), null);
+  assert.equal(await scanCycles({ ...chain, cycles: { enabled: false } }, results), null);
+});
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { classifyError, percentile, createHealthTracker, formatPrometheus } = require('../src/health');
+const { runScan } = require('../src/arbitrage');
+const { wethUsdc, ethereum, withMock, withConfig, tempDir } = require('./helpers');
+
+const chain = { id: 1, name: 'ethereum' };
+const fail = status => ({ ok: false, latencyMs: 10, error: { status, message: `HTTP ${status}` } });
+
+test('classifyError sorts failures into classes', () => {
+  assert.equal(classifyError({ status: 429 }), 'rate_limited');
+  assert.equal(classifyError({ code: 'ECONNABORTED', message: 'timeout of 10000ms exceeded' }), 'timeout');
+  assert.equal(classifyError({ status: 503 }), 'http_5xx');
+  assert.equal(classifyError({ status: 400 }), 'http_4xx');
+  assert.equal(classifyError({ code: 'ECONNREFUSED' }), 'network');
+  assert.equal(classifyError({ message: 'unexpected response' }), 'other');
+  assert.deepEqual([percentile([5, 1, 3, 2, 4], 50), percentile([5, 1, 3, 2, 4], 95), percentile([], 50)], [3, 5, null]);
+});
+
+test('the breaker opens after consecutive failures, cools down for N scans, then half-opens', () => {
+  const state = { breakers: {} };
+  const scan1 = createHealthTracker({ failureThreshold: 2, cooldownScans: 1 }, state);
+  scan1.record('1inch', chain, { ok: true, latencyMs: 100 });
+  scan1.record('1inch', chain, fail(500));
+  assert.equal(scan1.blocked('1inch', chain), null);
+  scan1.record('1inch', chain, { ...fail(500), retries: 2 });
+  assert.match(scan1.blocked('1inch', chain), /circuit open for 1inch on ethereum after 2 consecutive failures \(http_5xx\)/);
+
+  const [row] = scan1.snapshot().aggregators;
+  assert.deepEqual(
+    { attempts: row.attempts, successes: row.successes, failures: row.failures, retries: row.retries, skipped: row.skipped, errors: row.errors, breaker: row.breaker },
+    { attempts: 3, successes: 1, failures: 2, retries: 2, skipped: 1, errors: { http_5xx: 2 }, breaker: 'open' }
+  );
+  assert.deepEqual(row.latency_ms, { p50: 10, p95: 100, max: 100 });
+
+  const scan2 = createHealthTracker({ failureThreshold: 2, cooldownScans: 1 }, state);
+  assert.ok(scan2.blocked('1inch', chain));
+
+  const scan3 = createHealthTracker({ failureThreshold: 2, cooldownScans: 1 }, state);
+  assert.equal(scan3.blocked('1inch', chain), null);
+  scan3.record('1inch', chain, fail(429));
+  assert.ok(scan3.blocked('1inch', chain), 'one failure while half-open reopens the breaker');
+
+  createHealthTracker({ failureThreshold: 2, cooldownScans: 1 }, state);
+  const scan5 = createHealthTracker({ failureThreshold: 2, cooldownScans: 1 }, state);
+  scan5.record('1inch', chain, { ok: true, latencyMs: 50 });
+  assert.equal(scan5.snapshot().aggregators[0].breaker, 'closed');
+  assert.equal(state.breakers['1inch@ethereum'].consecutive_failures, 0);
+});
+
+test('only the chains being scanned advance their breakers', () => {
+  const settings = { failureThreshold: 1, cooldownScans: 1 };
+  const polygon = { ...chain, id: 137, name: 'polygon' };
+  const state = { breakers: {} };
+  createHealthTracker(settings, state, [chain]).record('1inch', chain, fail(500));
+
+  // Two polygon-only watch cycles leave the ethereum cooldown untouched.
+  createHealthTracker(settings, state, [polygon]);
+  assert.ok(createHealthTracker(settings, state, [polygon]).blocked('1inch', chain));
+  assert.ok(createHealthTracker(settings, state, [chain]).blocked('1inch', chain));
+  assert.equal(createHealthTracker(settings, state, [chain, polygon]).blocked('1inch', chain), null);
+});
+
+test('formatPrometheus renders per-aggregator gauges with labels', () => {
+  const tracker = createHealthTracker({ failureThreshold: 1 });
+  tracker.record('0x', chain, { ok: true, latencyMs: 120, retries: 1 });
+  tracker.record('cow', chain, fail(500));
+  const text = formatPrometheus({ timestamp: '2026-10-19T00:00:00.000Z', health: tracker.snapshot() });
+
+  assert.match(text, /^# HELP arbitrage_scan_timestamp_seconds /);
+  assert.match(text, /\narbitrage_scan_timestamp_seconds 1792368000\n/);
+  assert.match(text, /\n# TYPE arbitrage_aggregator_attempts gauge\narbitrage_aggregator_attempts\{aggregator="0x",chain="ethereum"\} 1\n/);
+  assert.match(text, /\narbitrage_aggregator_failures\{aggregator="cow",chain="ethereum",class="http_5xx"\} 1\n/);
+  assert.match(text, /\narbitrage_aggregator_latency_ms\{aggregator="0x",chain="ethereum",quantile="0.95"\} 120\n/);
+  assert.match(text, /\narbitrage_aggregator_circuit_open\{aggregator="cow",chain="ethereum"\} 1\n/);
+  assert.match(text, /\narbitrage_aggregator_retries\{aggregator="0x",chain="ethereum"\} 1\n/);
+  assert.ok(text.endsWith('\n'));
+});
+
+test('runScan reports health and skips an aggregator once its breaker opens', async t => {
+  await withMock(t, {
+    rates: { '0x': 2000, '1inch': 2001, paraswap: 1999 },
+    failures: { paraswap: { status: 500, body: { error: 'down' } } }
+  });
+  const out = tempDir(t, 'health-test-');
+  withConfig(t, { health: { failureThreshold: 2, cooldownScans: 0 }, history: { dir: path.join(out, 'history') } });
+
+  const pairs = [wethUsdc, { ...wethUsdc, name: 'WETH / USDC again' }];
+  const scanChain = { ...ethereum, aggregators: ['0x', '1inch', 'paraswap'], pairs };
+  const log = { log: () => {}, warn: () => {} };
+  const report = await runScan({ chains: [scanChain], concurrency: 1, outDir: out, notify: false, log });
+
+  const paraswap = report.health.aggregators.find(h => h.aggregator === 'paraswap');
+  assert.equal(paraswap.attempts, 2);
+  assert.equal(paraswap.retries, 4);
+  assert.deepEqual(paraswap.errors, { http_5xx: 2 });
+  assert.equal(paraswap.skipped, 2);
+  assert.equal(paraswap.breaker, 'open');
+  assert.equal(report.summary.open_breakers, 1);
+  const skipped = report.chains[0].raw[1].quotes.find(q => q.source === 'paraswap');
+  assert.equal(skipped.skipped, true);
+  assert.match(skipped.error, /circuit open/);
+
+  const ok = report.health.aggregators.find(h => h.aggregator === '0x');
+  assert.equal(ok.success_rate, 1);
+  assert.ok(ok.latency_ms.p95 >= ok.latency_ms.p50);
+  const state = JSON.parse(fs.readFileSync(path.join(out, 'health-state.json'), 'utf8'));
+  assert.equal(state.breakers['paraswap@ethereum'].open, true);
+  assert.match(fs.readFileSync(path.join(out, 'latest.md'), 'utf8'), /## Aggregator health\n/);
+
+  // A replay must issue the same calls as the recorded run: the saved open breaker is ignored and kept.
+  const savedState = fs.readFileSync(path.join(out, 'health-state.json'), 'utf8');
+  const replayed = await runScan({ chains: [scanChain], concurrency: 1, outDir: out, notify: false, log, replay: true });
+  const counts = h => [h.attempts, h.skipped, h.breaker];
+  assert.deepEqual(counts(replayed.health.aggregators.find(h => h.aggregator === 'paraswap')), counts(paraswap));
+  assert.equal(fs.readFileSync(path.join(out, 'health-state.json'), 'utf8'), savedState);
+});
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { config, priceCache } = require('../src/arbitrage');
+const { createMockServer } = require('../src/mock-server');
+
+const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+
+const wethUsdc = {
+  name: 'WETH / USDC',
+  fromSymbol: 'WETH',
+  toSymbol: 'USDC',
+  fromAddress: WETH,
+  toAddress: USDC,
+  fromDecimals: 18,
+  toDecimals: 6,
+  coingeckoId: 'ethereum',
+  usdSellTarget: 50,
+  minBuyAmount: 5
+};
+
+const ethereum = {
+  id: 1,
+  name: 'ethereum',
+  nativeCoingeckoId: 'ethereum',
+  slippageBps: 30,
+  aggregators: ['0x', '1inch', 'paraswap', 'cow'],
+  defaultUsdSell: 50,
+  pairs: [wethUsdc]
+};
+
+// Point every built-in adapter and CEX venue (and CoinGecko) at a mock server; returns a restore function.
+function pointAdaptersAt(url, overrides = {}) {
+  const saved = config.adapters;
+  const savedGecko = process.env.COINGECKO_API_URL;
+  config.adapters = {
+    '0x': { baseUrl: url, ...overrides },
+    '1inch': { baseUrl: url, ...overrides },
+    paraswap: { baseUrl: url, ...overrides },
+    cow: { baseUrl: url, ...overrides },
+    binance: { baseUrl: url, ...overrides },
+    coinbase: { baseUrl: url, ...overrides },
+    kraken: { baseUrl: url, ...overrides }
+  };
+  process.env.COINGECKO_API_URL = url;
+  return () => {
+    config.adapters = saved;
+    if (savedGecko === undefined) delete process.env.COINGECKO_API_URL;
+    else process.env.COINGECKO_API_URL = savedGecko;
+  };
+}
+
+const mockDecimals = { [WETH.toLowerCase()]: 18, [USDC.toLowerCase()]: 6 };
+
+// Starts a mock server (WETH/USDC decimals and a $2000 ETH unless `script` says otherwise) with every
+// adapter pointed at it; the test's teardown restores the adapters, clears prices and stops it.
+async function withMock(t, script = {}, overrides) {
+  const server = createMockServer({ decimals: mockDecimals, usd: { ethereum: 2000 }, ...script });
+  const restore = pointAdaptersAt(await server.start(), overrides);
+  t.after(async () => {
+    restore();
+    priceCache.clear();
+    await server.stop();
+  });
+  return server;
+}
+
+// Sets top-level config keys for one test and puts the old values back afterwards.
+function withConfig(t, changes) {
+  const saved = Object.fromEntries(Object.keys(changes).map(key => [key, config[key]]));
+  Object.assign(config, changes);
+  t.after(() => Object.assign(config, saved));
+}
+
+// A temp directory removed when the test ends.
+function tempDir(t, prefix = 'arb-test-') {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+module.exports = { WETH, USDC, wethUsdc, ethereum, pointAdaptersAt, mockDecimals, withMock, withConfig, tempDir };
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createHistoryStore, annotateReport, currentStreak, bestAggregatorCounts } = require('../src/history');
+const { tempDir } = require('./helpers');
+
+function scan(timestamp, pairs, chain = 'polygon') {
+  const raw = pairs.map(([pair, spread, best]) => ({ pair, chain, chainId: 137, spread_percent: spread, best, worst: 'paraswap', quotes: [{ source: best, price: 1 }] }));
+  return { timestamp, chains: [{ chain, chainId: 137, raw, opportunities: raw.filter(r => r.spread_percent) }] };
+}
+
+function tempStore(t, options) {
+  const dir = tempDir(t, 'arb-history-');
+  return createHistoryStore(dir, options);
+}
+
+test('append writes daily segments and an index that series() reads back', t => {
+  const store = tempStore(t);
+  store.append(scan('2025-01-01T00:00:00.000Z', [['WETH / USDC', 0.6, '0x'], ['WMATIC / USDC', 0.1, '1inch']]));
+  store.append(scan('2025-01-02T00:00:00.000Z', [['WETH / USDC', 0.7, '1inch']]));
+
+  assert.equal(store.scans().length, 2);
+  assert.ok(fs.existsSync(path.join(store.dir, '2025-01-01.jsonl')));
+  const points = store.series({ chain: 'polygon', pair: 'WETH / USDC' });
+  assert.deepEqual(points.map(p => p.spread_percent), [0.6, 0.7]);
+  assert.deepEqual(store.series({ pair: 'WETH / USDC', aggregator: '0x' }).map(p => p.best), [true]);
+});
+
+test('annotateReport derives streaks, rolling means and new/closed status', t => {
+  const store = tempStore(t);
+  store.append(scan('2025-01-01T00:00:00.000Z', [['WETH / USDC', 0.4, '0x'], ['WMATIC / USDC', 0.2, '0x']]));
+  store.append(scan('2025-01-01T01:00:00.000Z', [['WETH / USDC', 0.6, '0x'], ['WMATIC / USDC', 0.3, '0x']]));
+  store.append(scan('2025-01-01T02:00:00.000Z', [['WETH / USDC', 0.1, '0x']], 'ethereum'));
+
+  const report = annotateReport(scan('2025-01-01T03:00:00.000Z', [['WETH / USDC', 0.8, '0x'], ['WBTC / USDC', 0.5, 'cow']]), store);
+  const [weth, wbtc] = report.chains[0].opportunities;
+  assert.equal(weth.persistence.consecutive_scans, 3);
+  assert.equal(weth.persistence.status, 'open');
+  assert.ok(Math.abs(weth.persistence.rolling_mean_spread - 0.6) < 1e-9);
+  assert.equal(wbtc.persistence.status, 'new');
+  assert.equal(wbtc.persistence.consecutive_scans, 1);
+  assert.deepEqual(report.chains[0].closed.map(c => c.pair), ['WMATIC / USDC']);
+});
+
+test('prune drops scans and segments past the retention window', t => {
+  const store = tempStore(t, { retentionDays: 7 });
+  store.append(scan('2025-01-01T00:00:00.000Z', [['WETH / USDC', 0.6, '0x']]));
+  store.append(scan('2025-01-10T00:00:00.000Z', [['WETH / USDC', 0.6, '0x']]));
+
+  assert.equal(store.prune(new Date('2025-01-12T00:00:00.000Z')), 1);
+  assert.deepEqual(store.scans().map(s => s.timestamp), ['2025-01-10T00:00:00.000Z']);
+  assert.ok(!fs.existsSync(path.join(store.dir, '2025-01-01.jsonl')));
+});
+
+test('currentStreak and bestAggregatorCounts answer the common questions', () => {
+  const points = [
+    { timestamp: 'a', spread_percent: 0.7, best: '0x' },
+    { timestamp: 'b', spread_percent: 0.4, best: '1inch' },
+    { timestamp: 'c', spread_percent: 0.6, best: '1inch' },
+    { timestamp: 'd', spread_percent: 0.9, best: '1inch' }
+  ];
+  assert.deepEqual(currentStreak(points, 0.5), { since: 'c', until: 'd', scans: 2 });
+  assert.equal(currentStreak(points, 1), null);
+  assert.deepEqual(bestAggregatorCounts(points)[0], { aggregator: '1inch', scans: 3, share: 0.75 });
+});
@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { entryBlocked, executeRoundTrip, emptyLedger, loadLedger, saveLedger, simulateReport, summarizeLedger, replayReports } = require('../src/paper');
+const { runScan } = require('../src/arbitrage');
+const { ethereum, withMock, withConfig, tempDir } = require('./helpers');
+
+// One WETH -> USDC -> WETH round trip: 1 WETH buys 2010 USDC on 1inch, which buy `end` WETH back
+// on paraswap. Each leg costs 1 USD.
+function op(end, extra = {}) {
+  return {
+    pair: 'WETH / USDC',
+    sellAmount: 1,
+    sellToken: 'WETH',
+    notional_usd: 2000,
+    quotes: [{ source: '1inch', buyAmountHuman: 2010, sellAmountHuman: 1, costUsd: 1 }, { source: '0x', buyAmountHuman: 2000, sellAmountHuman: 1, costUsd: 1 }],
+    reverseQuotes: [{ source: 'paraswap', buyAmountHuman: end, sellAmountHuman: 2010, costUsd: 1 }],
+    round_trip: { buy_on: '1inch', sell_on: 'paraswap', start_amount: 1, profit_percent: (end - 1) * 100, net_profit_usd: 1 },
+    ...extra
+  };
+}
+
+function report(timestamp, chains) {
+  return { timestamp, chains: Object.entries(chains).map(([chain, opportunities]) => ({ chain, chainId: chain === 'ethereum' ? 1 : 137, opportunities })) };
+}
+
+test('executeRoundTrip fills both legs from the report quotes net of slippage, fees and leg costs', () => {
+  const exact = executeRoundTrip(op(1.005), { slippageBps: 0, feeBps: 0 });
+  assert.deepEqual([exact.start, exact.received, exact.end, exact.costs], [1, 2010, 1.005, 2]);
+  assert.ok(Math.abs(exact.pnlUsd - 8) < 1e-9);
+
+  const slipped = executeRoundTrip(op(1.005), { slippageBps: 5, feeBps: 5 });
+  assert.ok(Math.abs(slipped.end - 1.005 * 0.999 * 0.999) < 1e-12);
+  assert.ok(Math.abs(slipped.pnlUsd - ((1.005 * 0.998001 - 1) * 2000 - 2)) < 1e-9);
+
+  assert.deepEqual(executeRoundTrip(op(1.005, { reverseQuotes: [] }), { slippageBps: 0, feeBps: 0 }), { reason: 'no paraswap reverse quote in the report' });
+  const unknownCost = op(1.005);
+  unknownCost.quotes[0].costUsd = null;
+  assert.deepEqual(executeRoundTrip(unknownCost, { slippageBps: 0, feeBps: 0 }), { reason: 'leg cost unknown' });
+
+  const feeInAmounts = op(1.005);
+  feeInAmounts.reverseQuotes[0].fillCostUsd = 0;
+  assert.equal(executeRoundTrip(feeInAmounts, { slippageBps: 0, feeBps: 0 }).costs, 1, 'a fee already out of the amounts is not charged again');
+});
+
+test('entry rules filter on round-trip figures, persistence, chains, pairs and aggregators', () => {
+  const chain = { chain: 'ethereum', chainId: 1 };
+  assert.equal(entryBlocked(op(1.005), chain, { minNetProfitUsd: 0 }), null);
+  assert.equal(entryBlocked(op(1.005), chain, { minNetProfitUsd: 2 }), 'round-trip net 1 < 2 USD');
+  assert.equal(entryBlocked(op(1.005, { round_trip: undefined }), chain, {}), 'no round trip');
+  assert.equal(entryBlocked(op(1.005), chain, { chains: [137] }), 'chain not in entry.chains');
+  assert.equal(entryBlocked(op(1.005), chain, { chains: [1], pairs: ['WETH / USDC'] }), null);
+  assert.equal(entryBlocked(op(1.005), chain, { aggregators: ['1inch', '0x'] }), 'aggregator not in entry.aggregators');
+  assert.equal(entryBlocked(op(1.005, { persistence: { consecutive_scans: 2 } }), chain, { minConsecutiveScans: 3 }), 'not seen in enough consecutive scans');
+});
+
+test('simulateReport keeps balances, running PnL, win rate and drawdown, and skips repeats', () => {
+  const ledger = emptyLedger();
+  const settings = { inventory: { ethereum: { WETH: 1.5 } }, defaultInventoryUsd: 1000 };
+  const chains = [{ name: 'ethereum', slippageBps: 0 }, { name: 'polygon', slippageBps: 0 }];
+
+  const first = simulateReport(report('2026-10-19T00:00:00.000Z', { ethereum: [op(1.005)] }), ledger, settings, chains);
+  assert.equal(first.trades[0].status, 'filled');
+  assert.ok(Math.abs(first.trades[0].pnl_usd - 8) < 1e-9);
+
+  const second = simulateReport(report('2026-10-19T00:01:00.000Z', { ethereum: [op(0.998)], polygon: [op(1.01)] }), ledger, settings, chains);
+  const polygon = second.trades.find(t => t.chain === 'polygon');
+  const ethereum = second.trades.find(t => t.chain === 'ethereum');
+  assert.equal(polygon.status, 'skipped');
+  assert.equal(polygon.reason, 'insufficient WETH on polygon (0.5 < 1)');
+  assert.ok(Math.abs(ethereum.pnl_usd + 6) < 1e-9);
+  assert.ok(Math.abs(ethereum.cumulative_pnl_usd - 2) < 1e-9);
+
+  assert.equal(simulateReport(report('2026-10-19T00:01:00.000Z', {}), ledger, settings, chains).duplicate, true);
+
+  const totals = summarizeLedger(ledger);
+  assert.deepEqual([totals.reports, totals.fills, totals.wins, totals.losses, totals.skipped, totals.win_rate], [2, 2, 1, 1, 1, 0.5]);
+  assert.ok(Math.abs(totals.max_drawdown_usd - 6) < 1e-9);
+  assert.ok(Math.abs(totals.balances.ethereum.WETH - 1.503) < 1e-9);
+  assert.equal(totals.balances.ethereum.USD, -4);
+  assert.equal(totals.balances.polygon.WETH, 0.5);
+  assert.deepEqual(ledger.deposits.map(d => [d.chain, d.token, d.usd]), [['polygon', 'WETH', 1000]]);
+});
+
+test('replayReports takes reports oldest first and caps trades per scan', () => {
+  const ledger = emptyLedger();
+  const reports = [
+    report('2026-10-19T00:02:00.000Z', { ethereum: [op(1.002, { pair: 'B' }), op(1.001, { pair: 'A', round_trip: { ...op(1.001).round_trip, net_profit_usd: 5 } })] }),
+    report('2026-10-19T00:01:00.000Z', { ethereum: [op(1.005)] })
+  ];
+  const results = replayReports(reports, ledger, { maxTradesPerScan: 1 }, []);
+  assert.deepEqual(results.map(r => r.timestamp), ['2026-10-19T00:01:00.000Z', '2026-10-19T00:02:00.000Z']);
+  assert.deepEqual(results[1].trades.map(t => t.pair), ['A']);
+  assert.deepEqual(replayReports(reports, ledger, {}, []), []);
+});
+
+test('an unreadable ledger is moved aside instead of being overwritten', t => {
+  const dir = tempDir(t, 'paper-ledger-');
+  const file = path.join(dir, 'paper-ledger.json');
+  fs.writeFileSync(file, '{"balances": {"ethereum": ');
+
+  const warnings = [];
+  const ledger = loadLedger(file, { warn: message => warnings.push(message) });
+  assert.deepEqual(ledger, emptyLedger());
+  const [aside] = fs.readdirSync(dir);
+  assert.match(aside, /^paper-ledger\.json\.corrupt-/);
+  assert.equal(fs.readFileSync(path.join(dir, aside), 'utf8'), '{"balances": {"ethereum": ');
+  assert.match(warnings[0], /unreadable .* moved it to .*corrupt-/);
+
+  saveLedger(file, ledger);
+  assert.deepEqual(fs.readdirSync(dir).sort(), [aside, 'paper-ledger.json'].sort());
+  assert.deepEqual(loadLedger(file), ledger);
+});
+
+test('the trade log is capped, totals still count every trade, and old ledgers are upgraded', t => {
+  const ledger = emptyLedger();
+  const reports = ['00:01', '00:02', '00:03'].map(time => report(`2026-10-19T${time}:00.000Z`, { ethereum: [op(1.005)] }));
+  replayReports(reports, ledger, { maxTrades: 2, inventory: { ethereum: { WETH: 10 } } }, []);
+  assert.deepEqual(ledger.trades.map(tr => tr.timestamp), ['2026-10-19T00:02:00.000Z', '2026-10-19T00:03:00.000Z']);
+  assert.equal(ledger.last_seen, '2026-10-19T00:03:00.000Z');
+  assert.deepEqual([summarizeLedger(ledger).reports, summarizeLedger(ledger).fills], [3, 3]);
+  assert.equal(simulateReport(reports[0], ledger).duplicate, true, 'reports older than last_seen are skipped');
+
+  const dir = tempDir(t, 'paper-ledger-');
+  const file = path.join(dir, 'paper-ledger.json');
+  const { last_seen: _, ...old } = emptyLedger();
+  fs.writeFileSync(file, JSON.stringify({ ...old, seen: ['2026-10-19T00:02:00.000Z', '2026-10-19T00:01:00.000Z'], stats: { ...old.stats, reports: undefined } }));
+  const upgraded = loadLedger(file);
+  assert.equal(upgraded.seen, undefined);
+  assert.equal(upgraded.last_seen, '2026-10-19T00:02:00.000Z');
+  assert.equal(summarizeLedger(upgraded).reports, 2);
+});
+
+test('runScan reloads the ledger each scan, so changes made between watch cycles are kept', async t => {
+  await withMock(t, { rates: { '0x': 2000, '1inch': 2010 } });
+  const out = tempDir(t, 'paper-scan-');
+  withConfig(t, { history: { dir: path.join(out, 'history') }, cycles: { enabled: false }, paper: { enabled: true } });
+
+  const scan = () => runScan({ chains: [{ ...ethereum, aggregators: ['0x', '1inch'] }], outDir: out, notify: false, log: { log: () => {}, warn: () => {} } });
+  const file = path.join(out, 'paper-ledger.json');
+  await scan();
+  assert.equal(loadLedger(file).stats.reports, 1);
+
+  const replayed = emptyLedger();
+  replayed.stats.reports = 41;
+  saveLedger(file, replayed);
+  const second = await scan();
+  assert.equal(second.paper.totals.reports, 42);
+  assert.equal(loadLedger(file).stats.reports, 42);
+});
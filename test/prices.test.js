@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPriceOracle, loadPriceCache, savePriceCache } = require('../src/prices');
+const { runScan } = require('../src/arbitrage');
+const { WETH, USDC, wethUsdc, ethereum, mockDecimals, withMock, withConfig, tempDir } = require('./helpers');
+
+const WBTC = '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599';
+
+test('the oracle walks sources in priority order and batches CoinGecko ids into one request', async () => {
+  const batches = [];
+  const fetchBatch = async ids => {
+    batches.push(ids);
+    return { ethereum: 2000, 'usd-coin': 0.999 };
+  };
+  const prices = createPriceOracle({ overrides: { 'wrapped-bitcoin': 60000 } }, { fetchBatch });
+  await prices.prefetch(['ethereum', 'wrapped-bitcoin', 'usd-coin', 'unlisted', 'ethereum']);
+
+  assert.deepEqual(batches, [['ethereum', 'usd-coin', 'unlisted']]);
+  assert.deepEqual(await prices.price('wrapped-bitcoin'), { usd: 60000, source: 'override', at: null });
+  assert.equal((await prices.price('ethereum')).source, 'coingecko');
+  assert.equal((await prices.price('usd-coin')).usd, 0.999);
+  assert.equal(await prices.price('unlisted'), null);
+  assert.equal(batches.length, 1, 'a miss is not asked for again in the same scan');
+
+  const pegFirst = createPriceOracle({ sources: ['peg', 'coingecko'] }, { fetchBatch });
+  assert.deepEqual(await pegFirst.price('usd-coin'), { usd: 1, source: 'peg', at: null });
+  assert.deepEqual(Object.keys(pegFirst.snapshot().tokens), ['usd-coin']);
+  assert.throws(() => createPriceOracle({ sources: ['coingecko', 'oracle'] }), /Unknown price source\(s\): oracle/);
+});
+
+test('CoinGecko failures fall through to quote-derived prices, and the cache expires', async () => {
+  let now = Date.parse('2026-10-19T00:00:00Z');
+  const cache = new Map();
+  const down = async () => {
+    throw new Error('coingecko failed [429]: rate limited');
+  };
+  const prices = createPriceOracle({ cacheTtlSec: 60 }, { fetchBatch: down, cache, now: () => now });
+
+  const derived = await prices.price('wrapped-bitcoin', { derive: async () => 40000 });
+  assert.deepEqual(derived, { usd: 40000, source: 'quotes', at: '2026-10-19T00:00:00.000Z' });
+  assert.deepEqual(prices.snapshot().errors, ['coingecko failed [429]: rate limited']);
+
+  prices.observe('ethereum', 2001);
+  now += 30 * 1000;
+  assert.equal((await prices.price('ethereum')).usd, 2001);
+  now += 60 * 1000;
+  assert.equal(await prices.price('ethereum'), null);
+});
+
+test('the price cache survives a round trip through its file without stale entries', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prices-test-'));
+  try {
+    const file = path.join(dir, 'price-cache.json');
+    const now = Date.parse('2026-10-19T00:10:00Z');
+    const cache = new Map([
+      ['coingecko:ethereum', { usd: 2000, at: '2026-10-19T00:09:00.000Z' }],
+      ['quotes:wrapped-bitcoin', { usd: 40000, at: '2026-10-19T00:00:00.000Z' }]
+    ]);
+    savePriceCache(file, cache, { cacheTtlSec: 300 }, now);
+
+    const older = new Map([['coingecko:ethereum', { usd: 1900, at: '2026-10-19T00:08:00.000Z' }]]);
+    const loaded = loadPriceCache(file, older);
+    assert.deepEqual([...loaded], [['coingecko:ethereum', { usd: 2000, at: '2026-10-19T00:09:00.000Z' }]]);
+    assert.equal(loadPriceCache(path.join(dir, 'missing.json')).size, 0);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('runScan prices a scan with one CoinGecko request and records each source', async t => {
+  const usd = { [WETH.toLowerCase()]: 2000, [WBTC.toLowerCase()]: 40000, [USDC.toLowerCase()]: 1 };
+  const server = await withMock(t, {
+    decimals: { ...mockDecimals, [WBTC.toLowerCase()]: 8 },
+    // CoinGecko does not know wrapped-bitcoin: its size comes from USDC -> WBTC quotes.
+    usd: { ethereum: 2000 },
+    rates: Object.fromEntries(['0x', '1inch'].map(source => [source, ({ sellToken, buyToken }) => usd[sellToken.toLowerCase()] / usd[buyToken.toLowerCase()]]))
+  });
+  const out = tempDir(t, 'prices-scan-');
+  withConfig(t, { prices: { coingecko: { apiKeyEnv: 'TEST_COINGECKO_KEY' } }, history: { dir: path.join(out, 'history') }, cycles: { enabled: false } });
+  process.env.TEST_COINGECKO_KEY = 'demo-key';
+  t.after(() => delete process.env.TEST_COINGECKO_KEY);
+
+  const pairs = [
+    { ...wethUsdc, toCoingeckoId: 'usd-coin' },
+    { ...wethUsdc, name: 'WBTC / USDC', fromSymbol: 'WBTC', fromAddress: WBTC, fromDecimals: 8, coingeckoId: 'wrapped-bitcoin', toCoingeckoId: 'usd-coin', minBuyAmount: undefined }
+  ];
+  const log = { log: () => {}, warn: () => {} };
+  const report = await runScan({ chains: [{ ...ethereum, aggregators: ['0x', '1inch'], pairs }], concurrency: 1, outDir: out, notify: false, log });
+
+  const gecko = server.calls.filter(c => c.source === 'coingecko');
+  assert.equal(gecko.length, 1);
+  assert.deepEqual(gecko[0].query.ids.split(',').sort(), ['ethereum', 'usd-coin', 'wrapped-bitcoin']);
+  assert.equal(gecko[0].headers['x-cg-demo-api-key'], 'demo-key');
+
+  const [weth, wbtc] = report.chains[0].raw;
+  assert.equal(weth.sizing.source, 'coingecko');
+  assert.equal(weth.usd_prices.buy.source, 'peg');
+  assert.equal(wbtc.sizing.source, 'quotes');
+  assert.equal(wbtc.sizing.usd_price, 40000);
+  assert.equal(wbtc.sellAmount, 0.00125, '$50 of WBTC, not usdTarget / 1000 tokens');
+  assert.equal(report.prices.coingecko_requests, 1);
+  assert.deepEqual(Object.fromEntries(Object.entries(report.prices.tokens).map(([id, p]) => [id, p.source])), { ethereum: 'coingecko', 'usd-coin': 'peg', 'wrapped-bitcoin': 'quotes' });
+
+  const cached = JSON.parse(fs.readFileSync(path.join(out, 'price-cache.json'), 'utf8')).entries;
+  assert.deepEqual(Object.keys(cached).sort(), ['coingecko:ethereum', 'quotes:ethereum', 'quotes:wrapped-bitcoin']);
+  assert.match(fs.readFileSync(path.join(out, 'latest.md'), 'utf8'), /## USD prices\n(.*\n){2}\| ethereum \| 2000 \| coingecko \|/);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLimiter, createTokenBucket, retryAfterMs, sleep } = require('../src/ratelimit');
+
+test('createLimiter never runs more than the cap at once and keeps result order', async () => {
+  const limit = createLimiter(2);
+  let running = 0;
+  let peak = 0;
+  const results = await Promise.all(
+    [30, 10, 20, 5, 15].map((ms, i) =>
+      limit(async () => {
+        running += 1;
+        peak = Math.max(peak, running);
+        await sleep(ms);
+        running -= 1;
+        return i;
+      })
+    )
+  );
+  assert.equal(peak, 2);
+  assert.deepEqual(results, [0, 1, 2, 3, 4]);
+});
+
+test('createTokenBucket allows a burst and then paces requests', async () => {
+  const bucket = createTokenBucket({ perSecond: 20, burst: 2 });
+  const started = Date.now();
+  await Promise.all([bucket.take(), bucket.take(), bucket.take(), bucket.take()]);
+  const elapsed = Date.now() - started;
+  // Two tokens are free, the next two need ~50ms each.
+  assert.ok(elapsed >= 90, `elapsed ${elapsed}ms`);
+  assert.ok(elapsed < 500, `elapsed ${elapsed}ms`);
+});
+
+test('retryAfterMs reads seconds and HTTP dates on 429/503 only', () => {
+  assert.equal(retryAfterMs({ response: { status: 429, headers: { 'retry-after': '2' } } }), 2000);
+  const date = new Date(Date.now() + 5000).toUTCString();
+  const ms = retryAfterMs({ response: { status: 503, headers: { 'retry-after': date } } });
+  assert.ok(ms > 3000 && ms <= 5000);
+  assert.equal(retryAfterMs({ response: { status: 500, headers: { 'retry-after': '2' } } }), null);
+  assert.equal(retryAfterMs({ response: { status: 429, headers: {} } }), null);
+  assert.equal(retryAfterMs(new Error('network')), null);
+});
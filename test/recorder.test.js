@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { enableRecording, enableReplay } = require('../src/recorder');
+const { createMockServer } = require('../src/mock-server');
+const { tempDir } = require('./helpers');
+
+test('recorded exchanges replay offline, including error responses', async t => {
+  const dir = tempDir(t, 'arb-recording-');
+
+  const server = createMockServer({ usd: { ethereum: 2000 }, failures: { paraswap: { status: 429 } } });
+  const url = await server.start();
+  const recorder = axios.create();
+  enableRecording(recorder, dir);
+  const live = await recorder.get(`${url}/simple/price?ids=ethereum&vs_currencies=usd`);
+  await assert.rejects(recorder.get(`${url}/prices/?fromToken=a&toToken=b&amount=1`));
+  await server.stop();
+
+  assert.equal(fs.readdirSync(dir).length, 2);
+
+  const replayer = axios.create();
+  enableReplay(replayer, dir);
+  const replayed = await replayer.get(`${url}/simple/price?ids=ethereum&vs_currencies=usd`);
+  assert.deepEqual(replayed.data, live.data);
+  await assert.rejects(replayer.get(`${url}/prices/?fromToken=a&toToken=b&amount=1`), err => err.response.status === 429);
+  await assert.rejects(replayer.get(`${url}/simple/price?ids=bitcoin`), /No recording/);
+});
+
+test('bot tokens in the URL are redacted from recordings and ignored on replay', async t => {
+  const dir = tempDir(t, 'arb-recording-');
+
+  const server = createMockServer({});
+  const url = await server.start();
+  const recorder = axios.create({ validateStatus: () => true });
+  enableRecording(recorder, dir);
+  const live = await recorder.post(`${url}/bot123456:AAF-secret_token/sendMessage`, { chat_id: '42', text: 'hi' });
+  await server.stop();
+
+  const [file] = fs.readdirSync(dir);
+  const { request } = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+  assert.equal(request.url, `${url}/bot<redacted>/sendMessage`);
+
+  const replayer = axios.create({ validateStatus: () => true });
+  enableReplay(replayer, dir);
+  const replayed = await replayer.post(`${url}/bot654321:other-token/sendMessage`, { chat_id: '42', text: 'hi' });
+  assert.equal(replayed.status, live.status);
+});
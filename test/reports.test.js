@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCsv, buildMarkdown } = require('../src/arbitrage');
+
+const report = {
+  timestamp: '2025-01-01T00:00:00.000Z',
+  chains: [
+    {
+      chain: 'ethereum',
+      opportunities: [
+        { pair: 'WBTC / USDC', spread_percent: 0.2, net_spread_percent: 0.15, net_profit_usd: 0.075, cost_usd: 0.025, best: 'cow', worst: '0x', sellAmount: 0.001, sellToken: 'WBTC', buyToken: 'USDC' },
+        {
+          pair: 'WETH / USDC',
+          spread_percent: 0.5,
+          net_spread_percent: -0.1,
+          net_profit_usd: -0.05,
+          cost_usd: 0.3,
+          best: '1inch',
+          worst: 'paraswap',
+          sellAmount: 0.025,
+          sellToken: 'WETH',
+          buyToken: 'USDC',
+          round_trip: { buy_on: '1inch', sell_on: 'cow', profit_percent: 0.1, profit_usd: 0.05, net_profit_usd: -0.2 }
+        }
+      ]
+    }
+  ]
+};
+
+test('buildCsv writes a header and one row per opportunity', () => {
+  const lines = buildCsv(report).split('\n');
+  assert.equal(lines.length, 3);
+  assert.ok(lines[0].startsWith('timestamp,chain,pair,best,worst,spread_percent,net_spread_percent'));
+  assert.equal(lines[1].split(',')[2], 'WETH / USDC');
+  assert.ok(lines[1].includes(',1inch,cow,0.1000,0.0500,-0.2000,'));
+});
+
+test('buildCsv can rank on the net figure', () => {
+  const lines = buildCsv(report, { rankBy: 'net_spread_percent' }).split('\n');
+  assert.equal(lines[1].split(',')[2], 'WBTC / USDC');
+});
+
+test('buildMarkdown renders a table per chain with n/a for missing round trips', () => {
+  const md = buildMarkdown(report);
+  assert.ok(md.startsWith('# Arbitrage Opportunities (2025-01-01T00:00:00.000Z)'));
+  assert.ok(md.includes('## ethereum (top 2)'));
+  assert.ok(md.includes('| WETH / USDC | 0.5000 | -0.1000 | -0.0500 | 1inch | paraswap | 1inch -> cow |'));
+  assert.ok(md.includes('| WBTC / USDC | 0.2000 | 0.1500 | 0.0750 | cow | 0x | n/a |'));
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { withRetry } = require('../src/arbitrage');
+
+test('withRetry returns once the call succeeds', async () => {
+  let calls = 0;
+  const result = await withRetry(async () => {
+    calls += 1;
+    if (calls < 3) throw new Error('flaky');
+    return 'ok';
+  }, 'flaky call', { delayMs: 1 });
+  assert.equal(result, 'ok');
+  assert.equal(calls, 3);
+});
+
+test('withRetry gives up after the retry budget and labels the error', async () => {
+  let calls = 0;
+  await assert.rejects(
+    withRetry(async () => {
+      calls += 1;
+      const err = new Error('boom');
+      err.response = { status: 503, data: { message: 'unavailable' } };
+      throw err;
+    }, '0x WETH / USDC', { retries: 1, delayMs: 1 }),
+    { message: '0x WETH / USDC failed [503]: unavailable' }
+  );
+  assert.equal(calls, 2);
+});
+
+test('withRetry waits for Retry-After on 429 instead of the fixed backoff', async () => {
+  let calls = 0;
+  const started = Date.now();
+  const result = await withRetry(async () => {
+    calls += 1;
+    if (calls === 1) {
+      const err = new Error('rate limited');
+      err.response = { status: 429, headers: { 'retry-after': '0.05' }, data: {} };
+      throw err;
+    }
+    return 'ok';
+  }, 'rate limited call', { delayMs: 10000 });
+  assert.equal(result, 'ok');
+  assert.ok(Date.now() - started < 2000);
+});
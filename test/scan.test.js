@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzePair, collectQuotes, priceOracle } = require('../src/arbitrage');
+const { createHealthTracker } = require('../src/health');
+const { wethUsdc, ethereum, withMock } = require('./helpers');
+
+test('analyzePair quotes every aggregator both ways against the mock server', async t => {
+  const server = await withMock(t, {
+    rates: {
+      '0x': ({ sellToken }) => (sellToken.startsWith('0xC02') ? 2000 : 1 / 2000),
+      '1inch': ({ sellToken }) => (sellToken.startsWith('0xC02') ? 2010 : 1 / 2005),
+      paraswap: ({ sellToken }) => (sellToken.startsWith('0xC02') ? 1995 : 1 / 1990),
+      cow: ({ sellToken }) => (sellToken.startsWith('0xC02') ? 2001 : 1 / 2002)
+    }
+  });
+
+  const result = await analyzePair(ethereum, wethUsdc);
+  assert.equal(result.quotes.length, 4);
+  assert.equal(result.reverseQuotes.length, 4);
+  assert.ok(result.quotes.every(q => !q.error));
+  assert.equal(result.round_trip.buy_on, '1inch');
+  assert.equal(result.round_trip.sell_on, 'paraswap');
+  assert.ok(result.round_trip.net_token_gain > 0);
+  assert.ok(result.net_profit_usd < result.notional_usd * (result.spread_percent / 100));
+  assert.ok(server.calls.some(c => c.source === 'coingecko'));
+
+  // CoW's 10 bps fee prices its spread quote but is already out of its buyAmount.
+  const cow = result.quotes.find(q => q.source === 'cow');
+  assert.ok(Math.abs(cow.costUsd - result.notional_usd * 0.001) < 1e-9);
+  assert.equal(cow.fillCostUsd, 0);
+});
+
+test('collectQuotes surfaces HTTP errors, 429s and timeouts per aggregator', async t => {
+  await withMock(
+    t,
+    {
+      rates: { '0x': 2000, '1inch': 2000, paraswap: 2000, cow: 2000 },
+      failures: { '1inch': { status: 500, body: { description: 'internal' } }, paraswap: { status: 429, retryAfter: 1 }, cow: { timeout: true } }
+    },
+    { timeout: 200 }
+  );
+
+  const quotes = await collectQuotes(ethereum, wethUsdc, '25000000000000000');
+  const bySource = Object.fromEntries(quotes.map(q => [q.source, q]));
+  assert.equal(bySource['0x'].buyAmountHuman, 50);
+  assert.match(bySource['1inch'].error, /\[500\]: internal/);
+  assert.match(bySource.paraswap.error, /\[429\]/);
+  assert.match(bySource.cow.error, /timeout/);
+});
+
+test('analyzePair sweeps the size ladder and finds the optimal and break-even sizes', async t => {
+  // 1inch starts 1% ahead of paraswap, but its edge is gone by 1 WETH.
+  const depthRate = edge => ({ sellToken, sellAmount }) => {
+    const forward = sellToken.startsWith('0xC02');
+    const eth = forward ? Number(sellAmount) / 1e18 : Number(sellAmount) / 1e6 / 2000;
+    const rate = 2000 * (1 - 0.0001 * eth) * (1 + edge * Math.max(0, 1 - eth));
+    return forward ? rate : 1 / rate;
+  };
+  await withMock(t, {
+    rates: { '1inch': depthRate(0.01), paraswap: depthRate(0) },
+    gas: { estimatedGas: 1000, gasCostUSD: '0.01' }
+  });
+
+  const chain = { ...ethereum, aggregators: ['1inch', 'paraswap'], slippageBps: 0, gasPriceGwei: 20, sizeLadderUsd: [5000, 50, 500, 50] };
+  const result = await analyzePair(chain, wethUsdc);
+  const { depth } = result;
+  assert.deepEqual(depth.ladder_usd, [50, 500, 5000]);
+  assert.equal(depth.curve.paraswap.length, 3);
+  assert.equal(depth.curve['1inch'][0].price_impact_percent, 0);
+  assert.ok(depth.curve['1inch'][2].price_impact_percent > depth.curve.paraswap[2].price_impact_percent);
+  assert.equal(depth.optimal_size_usd, 500);
+  assert.equal(depth.negative_from_usd, 5000);
+});
+
+test('analyzePair excludes outlier quotes from the spread and explains why', async t => {
+  await withMock(t, {
+    usd: { ethereum: 2000, 'usd-coin': 1 },
+    rates: { '0x': 2000, '1inch': 2004, paraswap: 1998, cow: 2400 }
+  });
+
+  const result = await analyzePair({ ...ethereum, sizeLadderUsd: undefined }, { ...wethUsdc, toCoingeckoId: 'usd-coin' });
+  const cow = result.quotes.find(q => q.source === 'cow');
+  assert.equal(cow.suspect, true);
+  assert.match(cow.suspect_reason, /USD reference 2000/);
+  assert.equal(result.suspect_quotes, 1);
+  assert.equal(result.best, '1inch');
+  assert.equal(result.worst, 'paraswap');
+  assert.ok(result.spread_percent < 0.4);
+});
+
+test('concurrent analyzePair calls record into their own health tracker and price oracle only', async t => {
+  await withMock(t, { rates: { '0x': 2000, '1inch': 2010 } });
+  const chain = { ...ethereum, aggregators: ['0x', '1inch'], sizeLadderUsd: undefined };
+  const scan = { health: createHealthTracker(), prices: priceOracle() };
+  const request = { health: createHealthTracker(), prices: priceOracle() };
+
+  await Promise.all([analyzePair(chain, wethUsdc, scan), analyzePair(chain, wethUsdc, { ...request, reverse: false }), analyzePair(chain, wethUsdc)]);
+  const attempts = tracker => tracker.snapshot().aggregators.map(a => [a.aggregator, a.attempts]);
+  assert.deepEqual(attempts(scan.health), [['0x', 2], ['1inch', 2]]);
+  assert.deepEqual(attempts(request.health), [['0x', 1], ['1inch', 1]]);
+  assert.deepEqual(Object.keys(scan.prices.snapshot().tokens), ['ethereum']);
+  assert.deepEqual(Object.keys(request.prices.snapshot().tokens), ['ethereum']);
+});
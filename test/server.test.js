@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { createApiServer } = require('../src/server');
+
+function report(timestamp, spread) {
+  return { timestamp, chains: [{ chain: 'ethereum', opportunities: [{ pair: 'WETH / USDC', spread_percent: spread }] }], summary: { total_pairs: 1, candidates: 1 } };
+}
+
+async function startServer(t, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-test-'));
+  for (const [i, ts] of ['2026-10-18T12:00:00.000Z', '2026-10-18T12:05:00.000Z', '2026-10-18T12:10:00.000Z'].entries()) {
+    fs.writeFileSync(path.join(dir, `opportunities-${ts.replace(/[:.]/g, '-')}.json`), JSON.stringify(report(ts, i)));
+  }
+  fs.writeFileSync(path.join(dir, 'latest.json'), JSON.stringify(report('2026-10-18T12:10:00.000Z', 2)));
+  const server = createApiServer({ reportsDir: dir, pollSec: 0.05, ...options });
+  const url = await server.start(0);
+  t.after(async () => {
+    await server.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return { server, url, dir };
+}
+
+// Opens the event stream; resolves once connected, with a promise of the first `scan` event.
+function openStream(url) {
+  return new Promise((resolve, reject) => {
+    const req = http.get(`${url}/api/stream`, res => {
+      const event = new Promise(done => {
+        let buffer = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+          buffer += chunk;
+          const match = /event: scan\nid: (.*)\ndata: (.*)\n\n/.exec(buffer);
+          if (!match) return;
+          req.destroy();
+          done({ id: match[1], report: JSON.parse(match[2]) });
+        });
+      });
+      resolve({ event });
+    });
+    req.on('error', err => (err.code === 'ECONNRESET' ? null : reject(err)));
+  });
+}
+
+test('serves latest, single and paginated reports', async t => {
+  const { url } = await startServer(t);
+
+  const latest = await fetch(`${url}/api/reports/latest`);
+  assert.equal(latest.status, 200);
+  assert.equal((await latest.json()).timestamp, '2026-10-18T12:10:00.000Z');
+
+  const one = await fetch(`${url}/api/reports/2026-10-18T12:05:00.000Z`);
+  assert.equal((await one.json()).chains[0].opportunities[0].spread_percent, 1);
+  assert.equal((await fetch(`${url}/api/reports/2026-10-18T12-05-00-000Z`)).status, 200);
+  assert.equal((await fetch(`${url}/api/reports/2026-01-01T00:00:00.000Z`)).status, 404);
+  assert.equal((await fetch(`${url}/api/reports/..%2F..%2Fetc%2Fpasswd`)).status, 400);
+
+  const page = await (await fetch(`${url}/api/reports?page=2&limit=2`)).json();
+  assert.deepEqual({ page: page.page, limit: page.limit, total: page.total, pages: page.pages }, { page: 2, limit: 2, total: 3, pages: 2 });
+  assert.deepEqual(page.items.map(i => i.timestamp), ['2026-10-18T12:00:00.000Z']);
+  assert.equal(page.items[0].url, '/api/reports/2026-10-18T12:00:00.000Z');
+  assert.equal(page.items[0].summary.total_pairs, 1);
+  assert.equal((await fetch(`${url}/api/reports?limit=0`)).status, 400);
+});
+
+test('bearer auth and CORS', async t => {
+  const { url } = await startServer(t, { token: 's3cret', cors: { origins: ['http://localhost:3000'] } });
+
+  const denied = await fetch(`${url}/api/reports/latest`);
+  assert.equal(denied.status, 401);
+  assert.equal(denied.headers.get('www-authenticate'), 'Bearer');
+  assert.equal((await fetch(`${url}/api/reports/latest`, { headers: { Authorization: 'Bearer nope' } })).status, 401);
+
+  const ok = await fetch(`${url}/api/reports/latest`, { headers: { Authorization: 'Bearer s3cret', Origin: 'http://localhost:3000' } });
+  assert.equal(ok.status, 200);
+  assert.equal(ok.headers.get('access-control-allow-origin'), 'http://localhost:3000');
+  assert.equal((await fetch(`${url}/api/reports/latest?access_token=s3cret`)).status, 200);
+
+  const other = await fetch(`${url}/api/reports/latest`, { headers: { Authorization: 'Bearer s3cret', Origin: 'https://evil.example' } });
+  assert.equal(other.headers.get('access-control-allow-origin'), null);
+
+  const preflight = await fetch(`${url}/api/reports/latest`, { method: 'OPTIONS', headers: { Origin: 'http://localhost:3000' } });
+  assert.equal(preflight.status, 204);
+  assert.match(preflight.headers.get('access-control-allow-headers'), /Authorization/);
+});
+
+test('quote and history endpoints delegate to the scanner', async t => {
+  const seen = [];
+  const { url } = await startServer(t, {
+    quote: async q => {
+      seen.push(q);
+      return { pair: q.pair, quotes: [] };
+    },
+    history: { series: filters => [{ ...filters, spread_percent: 0.4 }] }
+  });
+
+  const res = await fetch(`${url}/api/quote?chain=ethereum&pair=WETH/USDC&amount=1.5`);
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), { pair: 'WETH/USDC', quotes: [] });
+  assert.deepEqual(seen, [{ chain: 'ethereum', pair: 'WETH/USDC', amount: '1.5' }]);
+  assert.equal((await fetch(`${url}/api/quote?chain=ethereum`)).status, 400);
+
+  const history = await (await fetch(`${url}/api/history?chain=polygon&pair=WMATIC%20%2F%20USDC`)).json();
+  assert.equal(history.points[0].pair, 'WMATIC / USDC');
+  assert.equal((await fetch(`${url}/api/nope`)).status, 404);
+});
+
+test('identical quotes share one scanner call and new ones are rate limited', async t => {
+  let calls = 0;
+  let release;
+  const gate = new Promise(resolve => (release = resolve));
+  const { url } = await startServer(t, {
+    quotesPerMinute: 2,
+    quote: async q => {
+      calls += 1;
+      await gate;
+      return { pair: q.pair, call: calls };
+    }
+  });
+
+  const get = query => fetch(`${url}/api/quote?chain=ethereum&${query}`);
+  const pending = [get('pair=WETH/USDC'), get('pair=WETH/USDC')];
+  await new Promise(resolve => setTimeout(resolve, 50));
+  release();
+  const bodies = await Promise.all((await Promise.all(pending)).map(res => res.json()));
+  assert.deepEqual(bodies, [{ pair: 'WETH/USDC', call: 1 }, { pair: 'WETH/USDC', call: 1 }]);
+  assert.deepEqual(await (await get('pair=WETH/USDC')).json(), { pair: 'WETH/USDC', call: 1 }, 'served from cache');
+
+  assert.equal((await get('pair=WBTC/USDC')).status, 200);
+  const limited = await get('pair=WETH/USDT');
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get('retry-after')) > 0);
+  assert.equal(calls, 2);
+});
+
+test('stream pushes published reports and new latest.json files once each', async t => {
+  const { server, url, dir } = await startServer(t);
+
+  const first = await openStream(url);
+  assert.equal(server.publish(report('2026-10-18T12:10:00.000Z', 2)), false);
+  assert.equal(server.publish(report('2026-10-18T12:15:00.000Z', 3)), true);
+  const published = await first.event;
+  assert.equal(published.id, '2026-10-18T12:15:00.000Z');
+  assert.equal(published.report.chains[0].opportunities[0].spread_percent, 3);
+
+  const second = await openStream(url);
+  fs.writeFileSync(path.join(dir, 'latest.json'), JSON.stringify(report('2026-10-18T12:20:00.000Z', 4)));
+  const fromDisk = await second.event;
+  assert.equal(fromDisk.id, '2026-10-18T12:20:00.000Z');
+});
+
+test('metrics endpoint renders the latest report health as Prometheus text', async t => {
+  const { url, dir } = await startServer(t, { token: 'secret' });
+  const health = { aggregators: [{ aggregator: '0x', chain: 'ethereum', attempts: 3, successes: 2, failures: 1, retries: 1, skipped: 0, errors: { timeout: 1 }, latency_ms: { p50: 80, p95: 400, max: 400 }, breaker: 'closed' }] };
+  fs.writeFileSync(path.join(dir, 'latest.json'), JSON.stringify({ ...report('2026-10-18T12:15:00.000Z', 1), health }));
+
+  assert.equal((await fetch(`${url}/metrics`)).status, 401);
+  const res = await fetch(`${url}/metrics`, { headers: { Authorization: 'Bearer secret' } });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/plain; version=0.0.4/);
+  const text = await res.text();
+  assert.match(text, /arbitrage_aggregator_failures\{aggregator="0x",chain="ethereum",class="timeout"\} 1/);
+  assert.match(text, /arbitrage_aggregator_latency_ms\{aggregator="0x",chain="ethereum",quantile="0.5"\} 80/);
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateSellAmount } = require('../src/arbitrage');
+const { wethUsdc, ethereum, withMock, withConfig } = require('./helpers');
+
+test('calculateSellAmount honours an explicit sampleSellAmount', async () => {
+  const info = await calculateSellAmount({ ...wethUsdc, sampleSellAmount: 0.5 }, ethereum);
+  assert.equal(info.raw, '500000000000000000');
+  assert.equal(info.human, 0.5);
+});
+
+test('calculateSellAmount derives the size from the USD target', async t => {
+  await withMock(t);
+
+  const info = await calculateSellAmount(wethUsdc, ethereum);
+  assert.equal(info.human, 0.025);
+  assert.equal(info.raw, '25000000000000000');
+  assert.equal(info.usdPrice, 2000);
+});
+
+test('calculateSellAmount refuses to guess a size when no source has a USD price', async t => {
+  await withMock(t, { failures: { coingecko: { status: 429 } } });
+  withConfig(t, { prices: { coingecko: { retries: 0 } } });
+
+  await assert.rejects(
+    calculateSellAmount({ ...wethUsdc, coingeckoId: 'uncached-id' }, ethereum),
+    /No USD price for WETH \(uncached-id\) to size a \$50 trade; set sampleSellAmount on the pair or add prices.overrides/
+  );
+});
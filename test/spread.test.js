@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeSpread, normalizeQuote, normalizeAmount } = require('../src/arbitrage');
+const { wethUsdc } = require('./helpers');
+
+test('computeSpread ranks best and worst by price', () => {
+  const spread = computeSpread([
+    { source: '0x', price: 2000 },
+    { source: '1inch', price: 2010 },
+    { source: 'paraswap', price: 1990 }
+  ]);
+  assert.equal(spread.best, '1inch');
+  assert.equal(spread.worst, 'paraswap');
+  assert.ok(Math.abs(spread.spread_percent - (20 / 1990) * 100) < 1e-9);
+});
+
+test('computeSpread ignores errored and non-finite quotes', () => {
+  const spread = computeSpread([
+    { source: '0x', price: 2000 },
+    { source: '1inch', error: 'down' },
+    { source: 'paraswap', price: Infinity },
+    { source: 'cow', price: 2002 }
+  ]);
+  assert.deepEqual([spread.best, spread.worst], ['cow', '0x']);
+});
+
+test('computeSpread needs at least two valid quotes', () => {
+  assert.equal(computeSpread([{ source: '0x', price: 2000 }, { source: 'cow', error: 'x' }]), null);
+  assert.equal(computeSpread([]), null);
+});
+
+test('normalizeQuote adds human amounts using pair decimals', () => {
+  const q = normalizeQuote({ source: '0x', price: 2000, buyAmount: '50000000', sellAmount: '25000000000000000' }, wethUsdc);
+  assert.equal(q.buyAmountHuman, 50);
+  assert.equal(q.sellAmountHuman, 0.025);
+  assert.equal(q.source, '0x');
+});
+
+test('normalizeAmount returns null for missing or invalid input', () => {
+  assert.equal(normalizeAmount(undefined, 18), null);
+  assert.equal(normalizeAmount('not-a-number', 18), null);
+});
+
+test('validateQuotes flags quotes far from the reference price', () => {
+  const { validateQuotes } = require('../src/arbitrage');
+  const quotes = validateQuotes(
+    [{ source: '0x', price: 2000 }, { source: '1inch', price: 2500 }, { source: 'cow', error: 'down' }],
+    { referencePrice: 2010, maxReferenceDeviationPercent: 10 }
+  );
+  assert.equal(quotes[0].suspect, undefined);
+  assert.equal(quotes[1].suspect, true);
+  assert.match(quotes[1].suspect_reason, /deviates 24\.38% from USD reference 2010/);
+  assert.equal(quotes[2].suspect, undefined);
+});
+
+test('validateQuotes uses the cross-aggregator median once three quotes are usable', () => {
+  const { validateQuotes } = require('../src/arbitrage');
+  const settings = { maxMedianDeviationPercent: 5 };
+  const three = validateQuotes([{ source: '0x', price: 2000 }, { source: '1inch', price: 2002 }, { source: 'cow', price: 2300 }], settings);
+  assert.deepEqual(three.map(q => Boolean(q.suspect)), [false, false, true]);
+  assert.match(three[2].suspect_reason, /aggregator median 2002/);
+
+  const two = validateQuotes([{ source: '0x', price: 2000 }, { source: 'cow', price: 2300 }], settings);
+  assert.ok(two.every(q => !q.suspect));
+});
+
+test('computeSpread skips suspect quotes', () => {
+  const spread = computeSpread([
+    { source: '0x', price: 2000 },
+    { source: '1inch', price: 2004 },
+    { source: 'cow', price: 2600, suspect: true }
+  ]);
+  assert.equal(spread.best, '1inch');
+});
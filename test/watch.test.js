@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { watch } = require('../src/watch');
+const { runScan } = require('../src/arbitrage');
+const { wethUsdc, ethereum, withMock, withConfig, tempDir } = require('./helpers');
+
+const quiet = { log: () => {}, error: () => {} };
+const fakeReport = chains => ({ timestamp: new Date().toISOString(), summary: { total_pairs: chains.length, candidates: 0 } });
+
+test('watch rescans each chain on its own interval', async () => {
+  const cycles = [];
+  const chains = [
+    { id: 1, name: 'ethereum', watchIntervalSec: 0.05 },
+    { id: 137, name: 'polygon', watchIntervalSec: 0.2 }
+  ];
+  const watcher = watch({
+    chains,
+    maxCycles: 4,
+    log: quiet,
+    scan: async ({ chains: due }) => {
+      cycles.push(due.map(c => c.name));
+      return fakeReport(due);
+    }
+  });
+  await watcher.done;
+  assert.deepEqual(cycles[0], ['ethereum', 'polygon']);
+  assert.ok(cycles.slice(1).every(c => c.length === 1 && c[0] === 'ethereum'));
+});
+
+test('stop lets the running cycle finish and ends the loop', async () => {
+  let finished = 0;
+  const watcher = watch({
+    chains: [{ id: 1, name: 'ethereum' }],
+    settings: { intervalSec: 60 },
+    log: quiet,
+    scan: async ({ chains }) => {
+      await new Promise(resolve => setTimeout(resolve, 30));
+      finished += 1;
+      return fakeReport(chains);
+    }
+  });
+  await new Promise(resolve => setTimeout(resolve, 10));
+  watcher.stop();
+  assert.equal(await watcher.done, 1);
+  assert.equal(finished, 1);
+});
+
+test('a failing cycle is logged and the loop keeps going', async () => {
+  const errors = [];
+  let calls = 0;
+  const watcher = watch({
+    chains: [{ id: 1, name: 'ethereum', watchIntervalSec: 0.01 }],
+    maxCycles: 2,
+    log: { log: () => {}, error: (...args) => errors.push(args.join(' ')) },
+    scan: async ({ chains }) => {
+      calls += 1;
+      if (calls === 1) throw new Error('upstream down');
+      return fakeReport(chains);
+    }
+  });
+  assert.equal(await watcher.done, 2);
+  assert.match(errors[0], /upstream down/);
+});
+
+test('a cycle over some chains keeps the others in the latest files', async t => {
+  await withMock(t, { rates: { '0x': 2000, '1inch': 2010 } });
+  const out = tempDir(t, 'watch-latest-');
+  const eth = { ...ethereum, aggregators: ['0x', '1inch'] };
+  const polygon = { ...eth, id: 137, name: 'polygon' };
+  withConfig(t, { history: { dir: path.join(out, 'history') }, cycles: { enabled: false }, paper: { enabled: false }, chains: [eth, polygon] });
+
+  const latestChains = new Map();
+  const scan = chains => runScan({ chains, outDir: out, notify: false, log: quiet, latestChains });
+  const first = await scan([eth, polygon]);
+  const second = await scan([polygon]);
+  const cycleFile = fs.readdirSync(out).filter(f => f.startsWith('opportunities-')).sort().pop();
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(out, cycleFile), 'utf8')).chains.map(c => c.chain), ['polygon']);
+
+  const latest = JSON.parse(fs.readFileSync(path.join(out, 'latest.json'), 'utf8'));
+  assert.deepEqual(JSON.parse(JSON.stringify(second)), latest, 'runScan returns what latest.json holds, so the SSE stream matches /api/reports/latest');
+  assert.equal(latest.timestamp, second.timestamp);
+  assert.deepEqual(latest.chains.map(c => [c.chain, c.scanned_at]), [['ethereum', first.timestamp], ['polygon', second.timestamp]]);
+  assert.equal(latest.summary.total_pairs, 2);
+  assert.match(fs.readFileSync(path.join(out, 'latest.csv'), 'utf8'), /ethereum[^\n]*\n[^]*polygon/);
+});
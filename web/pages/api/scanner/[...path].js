@@ -0,0 +1,49 @@
+import { Readable } from 'stream';
+
+// Server-side proxy to `npm run serve`: GET /api/scanner/<path> is forwarded to API_URL/<path> with
+// the bearer token from API_TOKEN. Both are server-only env vars, so the token never reaches the
+// browser bundle or a URL; the page sets NEXT_PUBLIC_API_URL=/api/scanner to go through here.
+export const config = { api: { bodyParser: false, responseLimit: false } };
+
+const PASSED_HEADERS = ['content-type', 'retry-after'];
+
+export default async function handler(req, res) {
+  const upstream = (process.env.API_URL || '').replace(/\/$/, '');
+  if (!upstream) {
+    res.status(404).json({ error: 'API_URL is not set' });
+    return;
+  }
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  const path = [].concat(req.query.path || []).map(encodeURIComponent).join('/');
+  const search = req.url.includes('?') ? req.url.slice(req.url.indexOf('?')) : '';
+  const headers = process.env.API_TOKEN ? { Authorization: `Bearer ${process.env.API_TOKEN}` } : {};
+  // Stop the upstream request (the SSE stream in particular) when the browser goes away.
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  try {
+    const upstreamRes = await fetch(`${upstream}/${path}${search}`, { headers, signal: controller.signal });
+    res.status(upstreamRes.status);
+    for (const name of PASSED_HEADERS) {
+      const value = upstreamRes.headers.get(name);
+      if (value) res.setHeader(name, value);
+    }
+    // no-transform keeps `next start` from compressing, and so buffering, the event stream.
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    if (!upstreamRes.body) {
+      res.end();
+      return;
+    }
+    Readable.fromWeb(upstreamRes.body)
+      .on('error', () => res.end())
+      .pipe(res);
+  } catch (err) {
+    if (res.headersSent) res.end();
+    else res.status(502).json({ error: `Scanner API unreachable: ${err.message}` });
+  }
+}
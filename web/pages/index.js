@@ -1,24 +1,139 @@
 import React, { useEffect, useMemo, useState } from 'react';
+import { useRouter } from 'next/router';
 import sampleReport from '../../sample_reports/report-sample.json';
-import { BarChart, Bar, XAxis, YAxis, Tooltip, CartesianGrid, ResponsiveContainer } from 'recharts';
+import { BarChart, Bar, LineChart, Line, Legend, XAxis, YAxis, Tooltip, CartesianGrid, ResponsiveContainer } from 'recharts';
 
 const accent = '#0ED2F7';
+// Set NEXT_PUBLIC_API_URL to read from `npm run serve` instead of the static file: the server's URL
+// (e.g. http://127.0.0.1:8787) when it has no token, or /api/scanner to go through the token proxy.
+const apiUrl = (process.env.NEXT_PUBLIC_API_URL || '').replace(/\/$/, '');
+const lineColors = ['#0ED2F7', '#7dffb3', '#ffda8b', '#ff8bd1', '#b59bff', '#8ab5ff'];
+
+function depthChartData(depth) {
+  if (!depth?.curve) return { data: [], sources: [] };
+  const sources = Object.keys(depth.curve);
+  const data = (depth.ladder_usd || []).map(size => {
+    const row = { size: `$${size.toLocaleString()}` };
+    for (const source of sources) {
+      const point = depth.curve[source].find(p => p.size_usd === size);
+      if (point && point.price_impact_percent !== undefined) row[source] = Number(point.price_impact_percent.toFixed(4));
+    }
+    return row;
+  });
+  return { data, sources };
+}
+
+const opportunityColumns = [
+  { key: 'pair', label: 'Pair' },
+  { key: 'chain', label: 'Chain' },
+  { key: 'spread_percent', label: 'Spread %', numeric: true },
+  { key: 'net_spread_percent', label: 'Net %', numeric: true },
+  { key: 'net_profit_usd', label: 'Net USD', numeric: true },
+  { key: 'best', label: 'Best' },
+  { key: 'worst', label: 'Worst' }
+];
+
+const quoteColumns = [
+  { key: 'source', label: 'Aggregator' },
+  { key: 'price', label: 'Price', numeric: true },
+  { key: 'buyAmountHuman', label: 'Buy amount', numeric: true },
+  { key: 'deviation', label: 'vs best %', numeric: true },
+  { key: 'costUsd', label: 'Cost USD', numeric: true },
+  { key: 'status', label: 'Status' }
+];
+
+// Numbers sort with missing values last in either direction; everything else sorts as text.
+function compareBy(sort) {
+  const sign = sort.dir === 'asc' ? 1 : -1;
+  return (a, b) => {
+    const x = a[sort.key];
+    const y = b[sort.key];
+    if (x == null || Number.isNaN(x)) return y == null || Number.isNaN(y) ? 0 : 1;
+    if (y == null || Number.isNaN(y)) return -1;
+    return sign * (typeof x === 'number' && typeof y === 'number' ? x - y : String(x).localeCompare(String(y)));
+  };
+}
+
+function nextSort(sort, key, numeric) {
+  if (sort.key === key) return { key, dir: sort.dir === 'asc' ? 'desc' : 'asc' };
+  return { key, dir: numeric ? 'desc' : 'asc' };
+}
+
+function findPair(report, chainName, pairName) {
+  const chain = (report?.chains || []).find(c => c.chain === chainName);
+  if (!chain) return null;
+  const hit = (chain.opportunities || []).find(op => op.pair === pairName) || (chain.raw || []).find(op => op.pair === pairName);
+  return hit ? { ...hit, chain: chain.chain } : null;
+}
+
+// Every aggregator's quote with its deviation from the best usable price.
+function quoteRows(quotes) {
+  const usable = (quotes || []).filter(q => !q.error && !q.suspect && q.price > 0);
+  const best = usable.length ? Math.max(...usable.map(q => q.price)) : null;
+  return (quotes || []).map(q => ({
+    ...q,
+    deviation: best && q.price > 0 ? ((q.price - best) / best) * 100 : null,
+    status: q.error || (q.suspect ? `suspect: ${q.suspect_reason}` : best !== null && q.price === best ? 'best' : 'ok')
+  }));
+}
+
+const healthColumns = [
+  { key: 'chain', label: 'Chain' },
+  { key: 'aggregator', label: 'Aggregator' },
+  { key: 'attempts', label: 'Attempts', numeric: true },
+  { key: 'success_rate', label: 'Success %', numeric: true },
+  { key: 'retries', label: 'Retries', numeric: true },
+  { key: 'skipped', label: 'Skipped', numeric: true },
+  { key: 'p50', label: 'p50 ms', numeric: true },
+  { key: 'p95', label: 'p95 ms', numeric: true },
+  { key: 'errors', label: 'Errors' },
+  { key: 'breaker', label: 'Breaker' }
+];
+
+function fixed(value, digits = 3) {
+  return value == null || !isFinite(value) ? 'n/a' : value.toFixed(digits);
+}
+
+function SortHeader({ columns, sort, onSort }) {
+  return (
+    <thead>
+      <tr>
+        {columns.map(col => (
+          <th key={col.key} className={col.numeric ? 'num' : ''} onClick={() => onSort(nextSort(sort, col.key, col.numeric))}>
+            {col.label}
+            {sort.key === col.key ? (sort.dir === 'asc' ? ' \u25b2' : ' \u25bc') : ''}
+          </th>
+        ))}
+      </tr>
+    </thead>
+  );
+}
 
 export default function Home() {
+  const router = useRouter();
   const [report, setReport] = useState(null);
   const [notice, setNotice] = useState('');
   const [chainFilter, setChainFilter] = useState('all');
+  const [aggregatorFilter, setAggregatorFilter] = useState('all');
+  const [minSpread, setMinSpread] = useState('');
+  const [showFlagged, setShowFlagged] = useState(false);
   const [search, setSearch] = useState('');
+  const [sort, setSort] = useState({ key: 'spread_percent', dir: 'desc' });
+  const [quoteSort, setQuoteSort] = useState({ key: 'price', dir: 'desc' });
+  const [healthSort, setHealthSort] = useState({ key: 'success_rate', dir: 'asc' });
+  const rankBy = sort.key === 'net_spread_percent' ? 'net_spread_percent' : 'spread_percent';
 
   useEffect(() => {
     let mounted = true;
+    let stream = null;
     const load = async () => {
       try {
         if (typeof window === 'undefined') {
           setReport(sampleReport);
           return;
         }
-        const res = await fetch('/reports/latest.json', { cache: 'no-store' });
+        const source = apiUrl ? `${apiUrl}/api/reports/latest` : '/reports/latest.json';
+        const res = await fetch(source, { cache: 'no-store' });
         if (!res.ok) throw new Error('No live report found');
         const data = await res.json();
         if (mounted) setReport(data);
@@ -26,33 +141,85 @@ export default function Home() {
         setReport(sampleReport);
         setNotice('Showing sample data (no live report found).');
       }
+      if (apiUrl && mounted && typeof EventSource !== 'undefined') {
+        stream = new EventSource(`${apiUrl}/api/stream`);
+        stream.addEventListener('scan', event => {
+          if (!mounted) return;
+          setReport(JSON.parse(event.data));
+          setNotice('');
+        });
+      }
     };
     load();
     return () => {
       mounted = false;
+      if (stream) stream.close();
     };
   }, []);
 
+  // Opportunities plus, from `raw`, pairs held back by a liquidity flag (they have no spread).
   const rows = useMemo(() => {
     if (!report) return [];
-    return (report.chains || []).flatMap(chain =>
-      (chain.opportunities || []).map(op => ({ ...op, chain: chain.chain }))
-    );
+    return (report.chains || []).flatMap(chain => {
+      const listed = new Set((chain.opportunities || []).map(op => op.pair));
+      const flagged = (chain.raw || []).filter(r => r.liquidity_flag && !r.error && !listed.has(r.pair));
+      return [...(chain.opportunities || []), ...flagged].map(op => ({ ...op, chain: chain.chain }));
+    });
   }, [report]);
 
+  const failedPairs = useMemo(
+    () => (report?.chains || []).flatMap(chain => (chain.raw || []).filter(r => r.error).map(r => ({ chain: chain.chain, pair: r.pair, error: r.error }))),
+    [report]
+  );
+
   const filtered = useMemo(() => {
     const needle = search.trim().toLowerCase();
+    const min = minSpread === '' ? null : Number(minSpread);
     return rows
+      .filter(r => showFlagged || !r.liquidity_flag)
       .filter(r => (chainFilter === 'all' ? true : r.chain === chainFilter))
+      .filter(r => aggregatorFilter === 'all' || r.best === aggregatorFilter || r.worst === aggregatorFilter || (r.liquidity_flag && (r.quotes || []).some(q => q.source === aggregatorFilter)))
+      .filter(r => min === null || Number.isNaN(min) || r.liquidity_flag || r.spread_percent >= min)
       .filter(r => (!needle ? true : `${r.pair} ${r.chain}`.toLowerCase().includes(needle)))
-      .sort((a, b) => (b.spread_percent || 0) - (a.spread_percent || 0));
-  }, [rows, chainFilter, search]);
+      .sort(compareBy(sort));
+  }, [rows, chainFilter, aggregatorFilter, minSpread, showFlagged, search, sort]);
 
-  const chartData = filtered.slice(0, 8).map(r => ({ name: `${r.pair} (${r.chain})`, spread: Number(r.spread_percent?.toFixed(3) || 0) }));
+  const chartData = filtered.filter(r => !r.liquidity_flag).slice(0, 8).map(r => ({ name: `${r.pair} (${r.chain})`, spread: Number(r[rankBy]?.toFixed(3) || 0) }));
   const chainOptions = useMemo(() => {
     const set = new Set(rows.map(r => r.chain));
     return Array.from(set);
   }, [rows]);
+  const aggregatorOptions = useMemo(() => {
+    const set = new Set(rows.flatMap(r => (r.quotes || []).map(q => q.source).concat([r.best, r.worst])).filter(Boolean));
+    return Array.from(set).sort();
+  }, [rows]);
+
+  // The selected pair lives in the URL (?chain=&pair=) so a drill-down can be shared.
+  const selectedChain = typeof router.query.chain === 'string' ? router.query.chain : null;
+  const selectedPair = typeof router.query.pair === 'string' ? router.query.pair : null;
+  const selected = useMemo(() => (selectedChain && selectedPair ? findPair(report, selectedChain, selectedPair) : null), [report, selectedChain, selectedPair]);
+  const selectedQuotes = useMemo(() => quoteRows(selected?.quotes).sort(compareBy(quoteSort)), [selected, quoteSort]);
+  const depthChart = useMemo(() => depthChartData(selected?.depth), [selected]);
+  const select = item => router.push({ pathname: router.pathname, query: item ? { chain: item.chain, pair: item.pair } : {} }, undefined, { shallow: true, scroll: false });
+
+  const healthRows = useMemo(
+    () =>
+      (report?.health?.aggregators || [])
+        .map(h => ({
+          ...h,
+          p50: h.latency_ms?.p50,
+          p95: h.latency_ms?.p95,
+          errors: Object.entries(h.errors || {}).map(([c, n]) => `${c} ${n}`).join(', ')
+        }))
+        .sort(compareBy(healthSort)),
+    [report, healthSort]
+  );
+
+  const paper = report?.paper || null;
+  const paperBalances = useMemo(
+    () => Object.entries(paper?.totals?.balances || {}).flatMap(([chain, tokens]) => Object.entries(tokens).map(([token, amount]) => [chain, token, amount])),
+    [paper]
+  );
 
   const summary = report?.summary || {};
 
@@ -75,14 +242,24 @@ export default function Home() {
             <div className="chip">Chains: {summary.total_chains || (report?.chains?.length ?? '?')}</div>
             <div className="chip">Pairs: {summary.total_pairs || '?'}</div>
             <div className="chip">Candidates: {summary.candidates || '?'}</div>
+            <div className="chip">Round-trip profitable: {summary.round_trip_profitable ?? '?'}</div>
+            {summary.open_breakers > 0 && <div className="chip warn-chip">Open breakers: {summary.open_breakers}</div>}
+            {paper && <div className="chip">Paper PnL: {fixed(paper.totals.pnl_usd, 2)} USD</div>}
             {report?.timestamp && <div className="chip">{new Date(report.timestamp).toLocaleString()}</div>}
           </div>
         </header>
 
         <section className="panel">
           <div className="panel-header">
-            <h2>Opportunities (sorted by spread)</h2>
+            <h2>Opportunities (sorted by {opportunityColumns.find(c => c.key === sort.key)?.label || sort.key})</h2>
             <div className="controls">
+              <label>
+                Rank by
+                <select value={rankBy} onChange={e => setSort({ key: e.target.value, dir: 'desc' })}>
+                  <option value="spread_percent">Gross spread</option>
+                  <option value="net_spread_percent">Net spread</option>
+                </select>
+              </label>
               <label>
                 Chain
                 <select value={chainFilter} onChange={e => setChainFilter(e.target.value)}>
@@ -92,6 +269,23 @@ export default function Home() {
                   ))}
                 </select>
               </label>
+              <label>
+                Aggregator
+                <select value={aggregatorFilter} onChange={e => setAggregatorFilter(e.target.value)}>
+                  <option value="all">All</option>
+                  {aggregatorOptions.map(a => (
+                    <option key={a} value={a}>{a}</option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                Min spread %
+                <input className="narrow" type="number" step="0.01" placeholder="any" value={minSpread} onChange={e => setMinSpread(e.target.value)} />
+              </label>
+              <label className="check">
+                <input type="checkbox" checked={showFlagged} onChange={e => setShowFlagged(e.target.checked)} />
+                Show flagged
+              </label>
               <input
                 type="search"
                 placeholder="Search pair or chain"
@@ -115,21 +309,271 @@ export default function Home() {
 
           <div className="grid">
             {filtered.slice(0, 12).map(item => (
-              <div className="card" key={`${item.chain}-${item.pair}`}>
+              <div
+                className={`card ${selected?.chain === item.chain && selected?.pair === item.pair ? 'selected' : ''} ${item.liquidity_flag ? 'flagged' : ''}`}
+                key={`${item.chain}-${item.pair}`}
+                onClick={() => select(item)}
+              >
                 <div className="card-top">
                   <div>
                     <p className="label">{item.chain}</p>
                     <h3>{item.pair}</h3>
                   </div>
-                  <div className="pill">{item.spread_percent?.toFixed(3)}%</div>
+                  <div className="pill">{item.liquidity_flag ? 'flagged' : `${item.spread_percent?.toFixed(3)}%`}</div>
                 </div>
+                <p className={item.net_profit_usd > 0 ? 'gain' : 'muted'}>
+                  Net: {item.net_spread_percent != null ? `${item.net_spread_percent.toFixed(3)}%` : 'n/a'}
+                  {item.net_profit_usd != null && ` ($${item.net_profit_usd.toFixed(2)} after $${item.cost_usd?.toFixed(2)} costs)`}
+                </p>
                 <p className="muted">Best: {item.best || 'n/a'} ? Worst: {item.worst || 'n/a'}</p>
                 <p className="muted">Sell: {item.sellAmount} {item.sellToken} ? {item.buyToken}</p>
+                {item.round_trip && (
+                  <p className={item.round_trip.net_token_gain > 0 ? 'gain' : 'muted'}>
+                    Round trip {item.round_trip.buy_on} {'->'} {item.round_trip.sell_on}: {item.round_trip.profit_percent?.toFixed(3)}%
+                    {item.round_trip.profit_usd != null && ` ($${item.round_trip.profit_usd.toFixed(2)})`}
+                  </p>
+                )}
+                {item.persistence && (
+                  <p className="muted">
+                    {item.persistence.status === 'new' ? 'New this scan' : `Open for ${item.persistence.consecutive_scans} scans`}
+                    {item.persistence.rolling_mean_spread != null && `, mean ${item.persistence.rolling_mean_spread.toFixed(3)}%`}
+                  </p>
+                )}
                 {item.liquidity_flag && <p className="warn">{item.liquidity_flag}</p>}
               </div>
             ))}
           </div>
+
+          <table>
+            <SortHeader columns={opportunityColumns} sort={sort} onSort={setSort} />
+            <tbody>
+              {filtered.map(item => (
+                <tr key={`${item.chain}-${item.pair}`} onClick={() => select(item)} className={item.liquidity_flag ? 'flagged' : ''}>
+                  <td>{item.pair}</td>
+                  <td>{item.chain}</td>
+                  <td className="num">{fixed(item.spread_percent)}</td>
+                  <td className="num">{fixed(item.net_spread_percent)}</td>
+                  <td className="num">{fixed(item.net_profit_usd, 2)}</td>
+                  <td>{item.best || (item.liquidity_flag ? item.liquidity_flag : 'n/a')}</td>
+                  <td>{item.worst || ''}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
         </section>
+
+        {selectedChain && selectedPair && !selected && report && (
+          <section className="panel">
+            <p className="muted">{selectedPair} on {selectedChain} is not in this report.</p>
+          </section>
+        )}
+
+        {selected && (
+          <section className="panel">
+            <div className="panel-header">
+              <h2>Quotes: {selected.pair} ({selected.chain})</h2>
+              <div className="chips">
+                <div className="chip">Sell: {selected.sellAmount ?? 'n/a'} {selected.sellToken}</div>
+                {selected.spread_percent != null && <div className="chip">Spread: {fixed(selected.spread_percent)}%</div>}
+                <button type="button" onClick={() => select(null)}>Close</button>
+              </div>
+            </div>
+            {selected.liquidity_flag && <p className="warn">Liquidity flag: {selected.liquidity_flag}</p>}
+            {selected.error && <p className="warn">Pair failed: {selected.error}</p>}
+            {selectedQuotes.length ? (
+              <table>
+                <SortHeader columns={quoteColumns} sort={quoteSort} onSort={setQuoteSort} />
+                <tbody>
+                  {selectedQuotes.map(q => (
+                    <tr key={q.source} className={q.error ? 'failed' : q.suspect ? 'flagged' : ''}>
+                      <td>{q.source}</td>
+                      <td className="num">{q.price != null ? q.price.toPrecision(8) : ''}</td>
+                      <td className="num">{q.buyAmountHuman != null ? q.buyAmountHuman.toPrecision(8) : ''}</td>
+                      <td className="num">{q.deviation != null ? q.deviation.toFixed(3) : ''}</td>
+                      <td className="num">{q.costUsd != null ? q.costUsd.toFixed(2) : ''}</td>
+                      <td>{q.status}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : (
+              <p className="muted">No per-aggregator quotes in this report.</p>
+            )}
+          </section>
+        )}
+
+        {selected?.cex_quotes && (
+          <section className="panel">
+            <div className="panel-header">
+              <h2>DEX vs CEX: {selected.pair} ({selected.chain})</h2>
+            </div>
+            {selected.cex_spreads?.length ? (
+              <table>
+                <thead>
+                  <tr>
+                    <th>Venue</th>
+                    <th>Route</th>
+                    <th className="num">Buy price</th>
+                    <th className="num">Sell price</th>
+                    <th className="num">CEX mid</th>
+                    <th className="num">Spread %</th>
+                    <th className="num">Taker bps</th>
+                    <th className="num">Net USD</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {selected.cex_spreads.map(c => (
+                    <tr key={c.venue}>
+                      <td>{c.venue} {c.symbol}</td>
+                      <td>{c.buy_on} {'->'} {c.sell_on}</td>
+                      <td className="num">{c.buy_price.toPrecision(8)}</td>
+                      <td className="num">{c.sell_price.toPrecision(8)}</td>
+                      <td className="num">{c.mid_price.toPrecision(8)}</td>
+                      <td className="num">{fixed(c.spread_percent)}</td>
+                      <td className="num">{c.taker_fee_bps}</td>
+                      <td className="num">{c.net_profit_usd != null ? c.net_profit_usd.toFixed(2) : 'n/a'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : (
+              <p className="muted">No usable CEX quotes for this pair.</p>
+            )}
+            {selected.cex_quotes
+              .filter(q => q.error || q.suspect)
+              .map(q => (
+                <p key={q.source} className="warn">
+                  {q.source}: {q.error || q.suspect_reason}
+                </p>
+              ))}
+          </section>
+        )}
+
+        {selected?.depth && (
+          <section className="panel">
+            <div className="panel-header">
+              <h2>Depth: {selected.pair} ({selected.chain})</h2>
+              {selected.depth?.optimal_size_usd != null && (
+                <div className="chips">
+                  <div className="chip">Optimal size: ${selected.depth.optimal_size_usd.toLocaleString()}</div>
+                  <div className="chip">
+                    Spread negative from: {selected.depth.negative_from_usd != null ? `$${selected.depth.negative_from_usd.toLocaleString()}` : 'never'}
+                  </div>
+                </div>
+              )}
+            </div>
+            {depthChart.data.length ? (
+              <div className="chart-block">
+                <ResponsiveContainer width="100%" height={300}>
+                  <LineChart data={depthChart.data} margin={{ top: 10, right: 20, left: 0, bottom: 10 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#1f2a44" />
+                    <XAxis dataKey="size" tick={{ fill: '#c9d1e6', fontSize: 12 }} />
+                    <YAxis tick={{ fill: '#c9d1e6', fontSize: 12 }} unit="%" />
+                    <Tooltip contentStyle={{ background: '#0d1526', border: '1px solid #1f2a44', color: '#fff' }} />
+                    <Legend />
+                    {depthChart.sources.map((source, i) => (
+                      <Line key={source} type="monotone" dataKey={source} stroke={lineColors[i % lineColors.length]} dot connectNulls />
+                    ))}
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            ) : (
+              <p className="muted">{selected.depth?.error || 'No size ladder configured for this pair.'}</p>
+            )}
+          </section>
+        )}
+
+        {paper && (
+          <section className="panel">
+            <div className="panel-header">
+              <h2>Paper trading</h2>
+              <div className="chips">
+                <div className={`chip ${paper.totals.pnl_usd < 0 ? 'warn-chip' : ''}`}>PnL: {fixed(paper.totals.pnl_usd, 2)} USD</div>
+                <div className="chip">Fills: {paper.totals.fills}</div>
+                <div className="chip">Win rate: {paper.totals.win_rate != null ? `${(paper.totals.win_rate * 100).toFixed(1)}%` : 'n/a'}</div>
+                <div className="chip">Drawdown: {fixed(paper.totals.drawdown_usd, 2)} (max {fixed(paper.totals.max_drawdown_usd, 2)})</div>
+                <div className="chip">Reports: {paper.totals.reports}</div>
+              </div>
+            </div>
+            {paper.trades.length ? (
+              <table>
+                <thead>
+                  <tr>
+                    <th>Chain</th>
+                    <th>Pair</th>
+                    <th>Route</th>
+                    <th>Status</th>
+                    <th className="num">PnL USD</th>
+                    <th className="num">Total USD</th>
+                    <th>Notes</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {paper.trades.map((t, i) => (
+                    <tr key={`${t.chain}-${t.pair}-${i}`} className={t.status === 'skipped' ? 'flagged' : t.pnl_usd < 0 ? 'failed' : ''} onClick={() => select(t)}>
+                      <td>{t.chain}</td>
+                      <td>{t.pair}</td>
+                      <td>{t.buy_on} {'->'} {t.sell_on}</td>
+                      <td>{t.status}</td>
+                      <td className="num">{fixed(t.pnl_usd)}</td>
+                      <td className="num">{fixed(t.cumulative_pnl_usd)}</td>
+                      <td>{t.reason || ''}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : (
+              <p className="muted">No round trip passed the entry rules in this scan.</p>
+            )}
+            {paperBalances.length > 0 && (
+              <p className="muted balances">Balances: {paperBalances.map(([chain, token, amount]) => `${chain} ${fixed(amount, 6)} ${token}`).join(' · ')}</p>
+            )}
+          </section>
+        )}
+
+        {healthRows.length > 0 && (
+          <section className="panel">
+            <div className="panel-header">
+              <h2>Aggregator health</h2>
+              <div className="chips">
+                <div className="chip">Breaker after {report.health.failure_threshold} consecutive failures</div>
+                <div className="chip">Cooldown: {report.health.cooldown_scans} scans</div>
+              </div>
+            </div>
+            <table>
+              <SortHeader columns={healthColumns} sort={healthSort} onSort={setHealthSort} />
+              <tbody>
+                {healthRows.map(h => (
+                  <tr key={`${h.chain}-${h.aggregator}`} className={h.breaker === 'open' ? 'failed' : h.breaker === 'half_open' ? 'flagged' : ''}>
+                    <td>{h.chain}</td>
+                    <td>{h.aggregator}</td>
+                    <td className="num">{h.attempts}</td>
+                    <td className="num">{h.success_rate != null ? (h.success_rate * 100).toFixed(1) : 'n/a'}</td>
+                    <td className="num">{h.retries}</td>
+                    <td className="num">{h.skipped}</td>
+                    <td className="num">{h.p50 ?? ''}</td>
+                    <td className="num">{h.p95 ?? ''}</td>
+                    <td>{h.errors}</td>
+                    <td>{h.breaker.replace('_', '-')}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </section>
+        )}
+
+        {failedPairs.length > 0 && (
+          <section className="panel">
+            <h2>Failed pairs ({failedPairs.length})</h2>
+            <ul className="failed-list">
+              {failedPairs.map(f => (
+                <li key={`${f.chain}-${f.pair}`} onClick={() => select(f)}>
+                  <strong>{f.pair}</strong> <span className="muted">({f.chain})</span>: <span className="warn">{f.error}</span>
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
       </div>
 
       <style jsx>{`
@@ -144,20 +588,40 @@ export default function Home() {
         .notice { margin-top: 8px; padding: 8px 10px; background: rgba(14,210,247,0.08); border: 1px solid rgba(14,210,247,0.3); border-radius: 8px; color: #9ce3ff; }
         .chips { display: flex; gap: 8px; align-items: center; flex-wrap: wrap; }
         .chip { background: #0f192c; border: 1px solid #1f2a44; padding: 8px 12px; border-radius: 10px; color: #d7e0f5; font-size: 13px; }
+        .warn-chip { color: #ffda8b; border-color: rgba(255,218,139,0.4); }
         .panel { margin-top: 24px; background: linear-gradient(135deg, rgba(15,26,48,0.95), rgba(10,15,30,0.95)); border: 1px solid #1f2a44; border-radius: 16px; padding: 18px; box-shadow: 0 20px 60px rgba(0,0,0,0.35); }
         .panel-header { display: flex; align-items: center; justify-content: space-between; gap: 12px; flex-wrap: wrap; margin-bottom: 12px; }
         .controls { display: flex; gap: 12px; align-items: center; flex-wrap: wrap; }
         label { display: flex; flex-direction: column; gap: 4px; font-size: 12px; color: #9fb1d5; }
         select, input { background: #0d1526; border: 1px solid #1f2a44; color: #e8edfa; padding: 8px 10px; border-radius: 10px; min-width: 150px; }
         input { min-width: 220px; }
+        input.narrow { min-width: 0; width: 90px; }
+        label.check { flex-direction: row; align-items: center; gap: 6px; }
+        label.check input { min-width: 0; }
+        button { background: #0f192c; border: 1px solid #1f2a44; color: #d7e0f5; padding: 8px 12px; border-radius: 10px; cursor: pointer; }
+        table { width: 100%; border-collapse: collapse; margin-top: 14px; font-size: 14px; }
+        th { text-align: left; color: #9fb1d5; font-weight: 600; cursor: pointer; user-select: none; padding: 8px; border-bottom: 1px solid #1f2a44; }
+        td { padding: 8px; border-bottom: 1px solid #152039; }
+        th.num, td.num { text-align: right; font-variant-numeric: tabular-nums; }
+        tbody tr { cursor: pointer; }
+        tbody tr:hover { background: rgba(14,210,247,0.05); }
+        tr.flagged td { color: #ffda8b; }
+        tr.failed td { color: #ff9b9b; }
+        .card.flagged { border-style: dashed; }
+        .balances { margin-top: 12px; }
+        .failed-list { margin: 12px 0 0; padding-left: 18px; display: flex; flex-direction: column; gap: 6px; }
+        .failed-list li { cursor: pointer; }
         .chart-block { background: #0d1526; border: 1px solid #1f2a44; border-radius: 14px; padding: 12px; }
         .grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(260px, 1fr)); gap: 12px; margin-top: 14px; }
         .card { background: #0d1526; border: 1px solid #1f2a44; border-radius: 12px; padding: 12px; display: flex; flex-direction: column; gap: 6px; }
+        .card { cursor: pointer; }
+        .card.selected { border-color: rgba(14,210,247,0.6); }
         .card-top { display: flex; justify-content: space-between; align-items: center; gap: 12px; }
         .pill { background: rgba(14,210,247,0.15); color: #7ee9ff; padding: 6px 10px; border-radius: 999px; border: 1px solid rgba(14,210,247,0.35); font-weight: 600; }
         .label { margin: 0; color: #7aa2ff; font-size: 13px; letter-spacing: 0.05em; text-transform: uppercase; }
         .muted { margin: 0; color: #a8b3c7; font-size: 14px; }
         .warn { color: #ffda8b; margin: 0; font-size: 13px; }
+        .gain { margin: 0; color: #7dffb3; font-size: 14px; }
         @media (max-width: 768px) {
           h1 { font-size: 26px; }
           .controls { width: 100%; }